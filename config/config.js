@@ -26,6 +26,14 @@ export const config = {
   jwtRefreshSecret: process.env.JWT_REFRESH_SECRET || "your-refresh-secret-key",
   jwtRefreshExpire: process.env.JWT_REFRESH_EXPIRE || "30d",
 
+  // At-rest encryption for sensitive member data (bank account numbers)
+  dataEncryptionKey: getEnv("DATA_ENCRYPTION_KEY"),
+
+  // Attendance QR
+  // Codes are per event and short-lived; the app fetches a fresh one while it is on screen
+  attendanceQrSecret: getEnv("ATTENDANCE_QR_SECRET"),
+  attendanceQrExpire: getEnv("ATTENDANCE_QR_EXPIRE", "10m"),
+
   // Bcrypt
   bcryptSaltRounds: 12,
 
@@ -35,6 +43,17 @@ export const config = {
   smtpUser: process.env.SMTP_USER,
   smtpPass: process.env.SMTP_PASS,
   fromEmail: process.env.FROM_EMAIL || "noreply@rotaract.com",
+  emailQueueInterval: Number(process.env.EMAIL_QUEUE_INTERVAL_MS) || 600, // Gap between queued bulk emails (ms)
+
+  // OpenID Connect login (e.g. college Google Workspace; any issuer with discovery works)
+  oidc: {
+    issuer: getEnv("OIDC_ISSUER"),
+    clientId: getEnv("OIDC_CLIENT_ID"),
+    clientSecret: getEnv("OIDC_CLIENT_SECRET"),
+    redirectUri: getEnv("OIDC_REDIRECT_URI"),
+    allowedDomain: getEnv("OIDC_ALLOWED_DOMAIN"),
+    scope: getEnv("OIDC_SCOPE", "openid email profile"),
+  },
 
   // Cloudinary
   cloudinaryName: process.env.CLOUDINARY_NAME,
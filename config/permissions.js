@@ -0,0 +1,113 @@
+// ============================================
+// PERMISSION REGISTRY
+// ============================================
+
+// Roles that get the admin portal (isAdmin flag)
+export const ADMIN_ROLES = ["president", "secretary", "treasurer", "faculty_coordinator"]
+
+// Roles that handle club finances (treasurer socket room, treasurer approval step)
+export const FINANCE_ROLES = ["secretary", "joint_secretary", "treasurer", "president"]
+
+// Every permission a route can require
+export const PERMISSIONS = {
+  "admin.dashboard": "View the admin dashboard",
+
+  "member.view": "View member list and profiles",
+  "member.create": "Add new members",
+  "member.update": "Edit member details",
+  "member.change_role": "Change a member's role",
+  "member.alumni": "Mark members as alumni",
+  "member.delete": "Deactivate members",
+  "member.contact": "See phone numbers, addresses and birthdays in member exports",
+
+  "event.create": "Create events",
+  "event.update": "Edit events and upload gallery images",
+  "event.delete": "Delete events",
+  "event.registrations": "View and export event registrations",
+
+  "expense.view_all": "View all member expenses",
+  "expense.create_manual": "Add expenses on behalf of members",
+  "expense.update": "Edit submitted expenses",
+  "expense.approve": "Sign off expenses in the approval chain",
+  "expense.reject": "Reject expenses",
+  "expense.reimburse": "Mark expenses as reimbursed",
+  "expense.delete": "Delete expenses",
+
+  "income.view": "View club income",
+  "income.manage": "Record, edit and delete club income",
+  "dues.manage": "Manage dues plans, invoices and payments",
+  "payout.manage": "Create, export and pay reimbursement batches",
+  "volunteer.view_all": "View all volunteer hours",
+
+  "report.view": "View financial, member and event reports",
+  "report.export": "Export reports and bills",
+
+  "archive.view": "View year archives",
+  "archive.close": "Close the year and start a new one",
+  "archive.files": "Attach files to year archives",
+
+  "board.manage": "Create and edit the board",
+  "settings.update": "Edit club settings and logos",
+  "permission.manage": "Edit the role to permission mapping",
+}
+
+// Baseline admin rights shared by every admin role
+const ADMIN_PERMISSIONS = [
+  "admin.dashboard",
+  "member.view",
+  "member.create",
+  "member.update",
+  "member.alumni",
+  "event.create",
+  "event.update",
+  "event.delete",
+  "event.registrations",
+  "expense.view_all",
+  "income.view",
+  "volunteer.view_all",
+  "report.view",
+  "report.export",
+  "archive.view",
+  "board.manage",
+  "settings.update",
+]
+
+// Finance rights held by the finance roles (these routes also enforce the club's 2FA enrolment policy)
+export const FINANCE_PERMISSIONS = [
+  "expense.create_manual",
+  "expense.update",
+  "expense.approve",
+  "expense.reject",
+  "expense.reimburse",
+  "expense.delete",
+  "income.manage",
+  "dues.manage",
+  "payout.manage",
+  "archive.close",
+  "archive.files",
+]
+
+// Default role -> permissions mapping (seeded for a Rotaract year that has no mapping yet)
+export const DEFAULT_ROLE_PERMISSIONS = {
+  president: [
+    ...ADMIN_PERMISSIONS,
+    ...FINANCE_PERMISSIONS,
+    "member.change_role",
+    "member.delete",
+    "member.contact",
+    "permission.manage",
+  ],
+  secretary: [...ADMIN_PERMISSIONS, ...FINANCE_PERMISSIONS, "member.delete", "member.contact"],
+  treasurer: [...ADMIN_PERMISSIONS, ...FINANCE_PERMISSIONS],
+  faculty_coordinator: [...ADMIN_PERMISSIONS, "expense.approve", "expense.reject"],
+  joint_secretary: [
+    "expense.create_manual",
+    "expense.update",
+    "expense.approve",
+    "expense.reject",
+    "expense.reimburse",
+    "expense.delete",
+  ],
+}
+
+export default { ADMIN_ROLES, FINANCE_ROLES, PERMISSIONS, FINANCE_PERMISSIONS, DEFAULT_ROLE_PERMISSIONS }
@@ -5,13 +5,131 @@
 import User, { USER_ROLES } from "../models/User.model.js"
 import Expense from "../models/Expense.model.js"
 import Event from "../models/Event.model.js"
+import Dues from "../models/Dues.model.js"
+import AuditLog from "../models/AuditLog.model.js"
 import { createAuditLog } from "../middleware/audit.middleware.js"
-import { sendEmail, emailTemplates } from "../utils/email.js"
-import { generateMemberId, paginate, paginationResponse, getFinancialYear } from "../utils/helpers.js"
+import { sendEmail, queueEmails, emailTemplates } from "../utils/email.js"
+import {
+  generateToken,
+  generateMemberId,
+  paginate,
+  paginationResponse,
+  getFinancialYear,
+  disconnectSessions,
+} from "../utils/helpers.js"
 import { logger } from "../utils/logger.js"
+import PDFDocument from "pdfkit"
+import ExcelJS from "exceljs"
+import fs from "fs"
+import path from "path"
+import { fileURLToPath } from "url"
 import ClubSettings from "../models/ClubSettings.model.js"
+import { ADMIN_ROLES } from "../config/permissions.js"
+import {
+  MAX_IMPORT_ROWS,
+  parseImportFile,
+  validateImportRows,
+  summarizeImport,
+  generateUniqueMemberId,
+} from "../utils/memberImport.js"
+import { findDuplicateGroups, reassignMemberReferences } from "../utils/memberMerge.js"
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// Trash listing per document type (each needs the matching delete permission)
+const TRASH_TYPES = {
+  members: {
+    model: User,
+    permission: "member.delete",
+    select: "memberId firstName lastName email role rotaractYear deletedAt deletedBy",
+  },
+  events: {
+    model: Event,
+    permission: "event.delete",
+    select: "name category startDate rotaractYear deletedAt deletedBy",
+  },
+  expenses: {
+    model: Expense,
+    permission: "expense.delete",
+    select: "member event category amount status date deletedAt deletedBy",
+  },
+}
+
+// Roles allowed to reset 2FA on another admin's account
+const TWO_FACTOR_RESET_ROLES = ["president", "faculty_coordinator"]
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString("en-IN") : "")
+
+// Columns available in the member directory export (private ones need member.contact)
+const DIRECTORY_COLUMNS = {
+  memberId: { header: "Member ID", width: 15, value: (member) => member.memberId },
+  name: { header: "Name", width: 25, value: (member) => `${member.firstName} ${member.lastName}` },
+  email: { header: "Email", width: 28, value: (member) => member.email },
+  role: { header: "Role", width: 18, value: (member) => member.role },
+  designation: { header: "Designation", width: 20, value: (member) => member.designation },
+  collegeName: { header: "College", width: 25, value: (member) => member.collegeName },
+  courseName: { header: "Course", width: 20, value: (member) => member.courseName },
+  rotaractYear: { header: "Rotaract Year", width: 14, value: (member) => member.rotaractYear },
+  joinDate: { header: "Joined", width: 12, value: (member) => formatDate(member.joinDate) },
+  status: {
+    header: "Status",
+    width: 10,
+    value: (member) => (member.isAlumni ? "alumni" : member.isActive ? "active" : "inactive"),
+  },
+  phone: { header: "Phone", width: 14, private: true, value: (member) => member.phone },
+  dateOfBirth: { header: "Date of Birth", width: 14, private: true, value: (member) => formatDate(member.dateOfBirth) },
+  address: {
+    header: "Address",
+    width: 40,
+    private: true,
+    value: (member) =>
+      [member.address?.street, member.address?.city, member.address?.state, member.address?.pincode]
+        .filter(Boolean)
+        .join(", "),
+  },
+}
+
+const DEFAULT_DIRECTORY_COLUMNS = ["memberId", "name", "email", "role", "designation", "collegeName", "status"]
+
+// Draw a member's uploaded photo, or their initials when there is none (pdfkit reads JPEG/PNG only)
+const drawMemberPhoto = (doc, member, x, y) => {
+  const photoPath = member.photo?.startsWith("/uploads/") ? path.join(__dirname, "..", member.photo) : null
+
+  if (photoPath && [".jpg", ".jpeg", ".png"].includes(path.extname(photoPath).toLowerCase())) {
+    try {
+      if (fs.existsSync(photoPath)) {
+        doc.image(photoPath, x, y, { fit: [45, 45], align: "center", valign: "center" })
+        return
+      }
+    } catch (imageError) {
+      logger.warn(`Roster photo skipped for ${member.memberId}: ${imageError.message}`)
+    }
+  }
+
+  doc.save()
+  doc.rect(x, y, 45, 45).fillColor("#e9ecef").fill()
+  doc
+    .fillColor("#6c757d")
+    .fontSize(14)
+    .text(`${member.firstName?.[0] || ""}${member.lastName?.[0] || ""}`, x, y + 15, { width: 45, align: "center" })
+  doc.restore()
+  doc.fillColor("black")
+}
+
+// Invitation email with the member's account setup link
+const buildInvitationEmail = (member, inviteToken) => {
+  const inviteUrl = `${process.env.FRONTEND_URL}/accept-invite/${inviteToken}`
+  return {
+    to: member.email,
+    ...emailTemplates.invitation(member.firstName, member.memberId, inviteUrl),
+  }
+}
 
-const ADMIN_ROLES = ["president", "secretary", "treasurer", "faculty_coordinator"]
+// Email a member their (new) invitation link
+const sendInvitationEmail = async (member, inviteToken) => {
+  await sendEmail(buildInvitationEmail(member, inviteToken))
+}
 
 // @desc    Get admin dashboard
 // @route   GET /api/admin/dashboard
@@ -169,7 +287,7 @@ export const getDashboard = async (req, res) => {
 export const getMembers = async (req, res) => {
   try {
     const { page, limit } = paginate(req.query.page, req.query.limit)
-    const { role, isActive, isAlumni, search, rotaractYear } = req.query
+    const { role, isActive, isAlumni, search, rotaractYear, invitationStatus, tenureYear, tenureRole } = req.query
 
     // Build query
     const query = {}
@@ -178,6 +296,19 @@ export const getMembers = async (req, res) => {
     if (isActive !== undefined) query.isActive = isActive === "true"
     if (isAlumni !== undefined) query.isAlumni = isAlumni === "true"
     if (rotaractYear) query.rotaractYear = rotaractYear
+    if (invitationStatus === "pending" || invitationStatus === "expired") {
+      query["invitation.status"] = "pending"
+      query["invitation.expiresAt"] = invitationStatus === "pending" ? { $gt: new Date() } : { $lte: new Date() }
+    } else if (invitationStatus) {
+      query["invitation.status"] = invitationStatus
+    }
+    // Past tenure, e.g. who was joint_secretary in 2023-2024 (matches role or board position)
+    if (tenureYear || tenureRole) {
+      const tenure = {}
+      if (tenureYear) tenure.rotaractYear = tenureYear
+      if (tenureRole) tenure.$or = [{ role: tenureRole }, { boardPosition: tenureRole }]
+      query.tenureHistory = { $elemMatch: tenure }
+    }
     if (search) {
       query.$or = [
         { firstName: { $regex: search, $options: "i" } },
@@ -210,6 +341,147 @@ export const getMembers = async (req, res) => {
   }
 }
 
+// @desc    Export the member directory as Excel, CSV or a printable PDF roster
+// @route   GET /api/admin/members/export
+// @access  Private/Admin (report.export; contact columns need member.contact)
+export const exportMembers = async (req, res) => {
+  try {
+    const format = req.query.format || "xlsx"
+    const { role, isActive, isAlumni, rotaractYear } = req.query
+
+    const columnKeys = req.query.columns
+      ? [...new Set(req.query.columns.split(",").map((key) => key.trim()).filter(Boolean))]
+      : DEFAULT_DIRECTORY_COLUMNS
+
+    const unknown = columnKeys.filter((key) => !DIRECTORY_COLUMNS[key])
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown columns: ${unknown.join(", ")}. Available: ${Object.keys(DIRECTORY_COLUMNS).join(", ")}`,
+      })
+    }
+
+    // Phone, address and birthday are only exported for roles granted member.contact
+    const privateColumns = columnKeys.filter((key) => DIRECTORY_COLUMNS[key].private)
+    if (privateColumns.length > 0 && !req.permissions?.has("member.contact")) {
+      return res.status(403).json({
+        success: false,
+        message: `Role '${req.user.role}' does not have permission to export: ${privateColumns.join(", ")}`,
+      })
+    }
+
+    const query = {}
+    if (role) query.role = role
+    if (isActive !== undefined) query.isActive = isActive === "true"
+    if (isAlumni !== undefined) query.isAlumni = isAlumni === "true"
+    if (rotaractYear) query.rotaractYear = rotaractYear
+
+    const members = await User.find(query)
+      .select("-password -twoFactorSecret -refreshTokens")
+      .sort({ firstName: 1, lastName: 1 })
+
+    const columns = columnKeys.map((key) => ({ key, ...DIRECTORY_COLUMNS[key] }))
+
+    // Audit log
+    await createAuditLog({
+      action: "member_export",
+      user: req.user,
+      targetType: "user",
+      description: `Member directory exported as ${format} (${members.length} members)`,
+      changes: { filters: query, columns: columnKeys },
+      req,
+    })
+
+    const fileName = `member-directory-${getFinancialYear()}.${format}`
+
+    if (format === "pdf") {
+      const includePhotos = req.query.photos !== "false"
+      const doc = new PDFDocument({ margin: 50 })
+
+      res.setHeader("Content-Type", "application/pdf")
+      res.setHeader("Content-Disposition", `attachment; filename=${fileName}`)
+
+      doc.pipe(res)
+
+      // Title
+      doc.fontSize(20).text("Member Roster", { align: "center" })
+      doc.fontSize(12).text(`${members.length} members`, { align: "center" })
+      doc.moveDown()
+
+      const textX = includePhotos ? 110 : 50
+      members.forEach((member) => {
+        const details = columns
+          .filter((column) => column.key !== "name")
+          .map((column) => `${column.header}: ${column.value(member) || "-"}`)
+          .join("   |   ")
+
+        doc.fontSize(9)
+        const rowHeight = Math.max(includePhotos ? 50 : 0, doc.heightOfString(details, { width: 550 - textX }) + 20)
+        if (doc.y + rowHeight > 720) {
+          doc.addPage()
+        }
+
+        const y = doc.y
+        if (includePhotos) {
+          drawMemberPhoto(doc, member, 50, y)
+        }
+
+        doc.fontSize(12).text(`${member.firstName} ${member.lastName}`, textX, y, { width: 550 - textX })
+        doc.fontSize(9).text(details, textX, doc.y + 2, { width: 550 - textX })
+
+        doc.y = y + rowHeight
+        doc.moveTo(50, doc.y).lineTo(550, doc.y).strokeColor("#dddddd").stroke()
+        doc.moveDown(0.5)
+      })
+
+      // Footer
+      doc.moveDown(2)
+      doc.fontSize(8).text(`Generated on: ${new Date().toLocaleString()}`, 50, doc.y, { align: "center" })
+
+      doc.end()
+      return
+    }
+
+    // Create workbook
+    const workbook = new ExcelJS.Workbook()
+    workbook.creator = "Rotaract Club"
+    workbook.created = new Date()
+
+    const worksheet = workbook.addWorksheet("Members")
+    worksheet.columns = columns.map((column) => ({ header: column.header, key: column.key, width: column.width }))
+
+    // Style header row
+    worksheet.getRow(1).fill = {
+      type: "pattern",
+      pattern: "solid",
+      fgColor: { argb: "FF4472C4" },
+    }
+    worksheet.getRow(1).font = { color: { argb: "FFFFFFFF" }, bold: true }
+
+    members.forEach((member) => {
+      worksheet.addRow(Object.fromEntries(columns.map((column) => [column.key, column.value(member) || ""])))
+    })
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv")
+      res.setHeader("Content-Disposition", `attachment; filename=${fileName}`)
+      await workbook.csv.write(res)
+    } else {
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet")
+      res.setHeader("Content-Disposition", `attachment; filename=${fileName}`)
+      await workbook.xlsx.write(res)
+    }
+    res.end()
+  } catch (error) {
+    logger.error(`Export members error: ${error.message}`)
+    if (res.headersSent) return res.end()
+    res.status(500).json({
+      success: false,
+      message: "Failed to export members",
+    })
+  }
+}
+
 // @desc    Get member by ID
 // @route   GET /api/admin/members/:id
 // @access  Private/Admin
@@ -252,20 +524,73 @@ export const getMemberById = async (req, res) => {
   }
 }
 
+// @desc    Get a member's tenure history across Rotaract years
+// @route   GET /api/admin/members/:id/history
+// @access  Private/Admin
+export const getMemberHistory = async (req, res) => {
+  try {
+    const member = await User.findById(req.params.id).select(
+      "memberId firstName lastName role designation rotaractYear isAlumni joinDate createdAt tenureHistory",
+    )
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found",
+      })
+    }
+
+    // Members created before tenure tracking have no entries yet; show their current state
+    const history = member.tenureHistory.length
+      ? member.tenureHistory
+      : [
+          {
+            rotaractYear: member.rotaractYear,
+            role: member.role,
+            designation: member.designation,
+            startDate: member.joinDate || member.createdAt,
+            reason: "joined",
+          },
+        ]
+
+    res.status(200).json({
+      success: true,
+      data: {
+        member: {
+          _id: member._id,
+          memberId: member.memberId,
+          name: member.fullName,
+          role: member.role,
+          rotaractYear: member.rotaractYear,
+          isAlumni: member.isAlumni,
+        },
+        history: [...history].sort((a, b) => new Date(b.startDate) - new Date(a.startDate)),
+      },
+    })
+  } catch (error) {
+    logger.error(`Get member history error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get member history",
+    })
+  }
+}
+
 // @desc    Add new member
 // @route   POST /api/admin/members
 // @access  Private/Admin
 export const addMember = async (req, res) => {
   try {
-    const { firstName, lastName, email, phone, password, role, collegeName, courseName, dateOfBirth, address } =
-      req.body
+    const { firstName, lastName, email, phone, role, collegeName, courseName, dateOfBirth, address } = req.body
 
-    // Check if user exists
-    const existingUser = await User.findOne({ $or: [{ email }, { phone }] })
+    // Check if user exists (deleted members keep their email and phone until purged)
+    const existingUser = await User.findOne({ $or: [{ email }, { phone }] }).withDeleted()
     if (existingUser) {
       return res.status(400).json({
         success: false,
-        message: "User with this email or phone already exists",
+        message: existingUser.deletedAt
+          ? "A deleted member with this email or phone is in the trash. Restore them instead."
+          : "User with this email or phone already exists",
       })
     }
 
@@ -297,13 +622,14 @@ export const addMember = async (req, res) => {
     // Determine if admin based on role
     const isAdmin = ADMIN_ROLES.includes(assignedRole)
 
-    const member = await User.create({
+    // Random unusable password until the member accepts the invitation
+    const member = new User({
       memberId,
       firstName,
       lastName,
       email,
       phone,
-      password: password || "Rotaract@123", // Default password
+      password: generateToken(),
       role: assignedRole,
       isAdmin,
       collegeName,
@@ -312,14 +638,11 @@ export const addMember = async (req, res) => {
       address,
       rotaractYear: settings.currentRotaractYear,
     })
+    const inviteToken = member.generateInvitationToken(req.user._id)
+    await member.save()
 
-    // Send welcome email with login credentials
-    const defaultPassword = password || "Rotaract@123"
-    const welcomeEmail = emailTemplates.welcome(firstName, memberId, defaultPassword)
-    await sendEmail({
-      to: email,
-      ...welcomeEmail,
-    })
+    // Send invitation email with the account setup link
+    await sendInvitationEmail(member, inviteToken)
 
     // Audit log
     await createAuditLog({
@@ -346,6 +669,122 @@ export const addMember = async (req, res) => {
   }
 }
 
+// @desc    Import members from a CSV/XLSX file (dry run unless commit=true)
+// @route   POST /api/admin/members/import
+// @access  Private/Admin (member.create)
+export const importMembers = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "Please upload a .csv or .xlsx file",
+      })
+    }
+
+    let rows
+    try {
+      rows = await parseImportFile(req.file)
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: parseError.isOperational ? parseError.message : "Could not read the uploaded file",
+      })
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "The file has no member rows",
+      })
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `A single import can have at most ${MAX_IMPORT_ROWS} rows`,
+      })
+    }
+
+    const settings = await ClubSettings.getSettings()
+    const report = await validateImportRows(rows, settings.currentRotaractYear)
+    const commit = String(req.query.commit ?? req.body.commit) === "true"
+
+    if (!commit) {
+      return res.status(200).json({
+        success: true,
+        message: "Dry run complete. Nothing was saved.",
+        data: {
+          dryRun: true,
+          summary: summarizeImport(report),
+          rows: report,
+        },
+      })
+    }
+
+    // Create the valid rows; invalid and duplicate rows are skipped
+    const takenIds = new Set()
+    const invitations = []
+    for (const item of report.filter((entry) => entry.status === "valid")) {
+      try {
+        const member = new User({
+          ...item.data,
+          memberId: await generateUniqueMemberId("RCAIHT", takenIds),
+          password: generateToken(),
+          role: item.data.role || "member",
+          isAdmin: false,
+          rotaractYear: settings.currentRotaractYear,
+        })
+        const inviteToken = member.generateInvitationToken(req.user._id)
+        await member.save()
+
+        item.status = "created"
+        item.memberId = member.memberId
+        invitations.push(buildInvitationEmail(member, inviteToken))
+      } catch (saveError) {
+        item.status = "failed"
+        item.errors.push({
+          field: saveError.code === 11000 ? Object.keys(saveError.keyPattern || {})[0] : "row",
+          message: saveError.code === 11000 ? "Already exists" : saveError.message,
+        })
+      }
+    }
+
+    // Invitation emails go out in the background, throttled
+    queueEmails(invitations)
+
+    const summary = summarizeImport(report)
+
+    // Audit log
+    await createAuditLog({
+      action: "member_import",
+      user: req.user,
+      targetType: "user",
+      description: `Members imported from ${req.file.originalname}: ${summary.created} of ${summary.totalRows} rows`,
+      changes: {
+        created: report.filter((item) => item.status === "created").map((item) => item.memberId),
+        skipped: summary.invalid + summary.duplicates + summary.failed,
+      },
+      req,
+    })
+
+    res.status(201).json({
+      success: true,
+      message: `${summary.created} members imported. Invitation emails are being sent.`,
+      data: {
+        dryRun: false,
+        summary,
+        rows: report,
+      },
+    })
+  } catch (error) {
+    logger.error(`Import members error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to import members",
+    })
+  }
+}
+
 // @desc    Update member
 // @route   PUT /api/admin/members/:id
 // @access  Private/Admin
@@ -392,6 +831,14 @@ export const updateMember = async (req, res) => {
       updates.isAlumni = updates.role === "alumni"
     }
 
+    // Role and designation changes start a new tenure entry
+    const tenureChanges = {}
+    if (updates.role) tenureChanges.role = updates.role
+    if (updates.designation !== undefined) tenureChanges.designation = updates.designation
+    if (member.changeTenure(tenureChanges, updates.role === "alumni" ? "alumni" : "role_change")) {
+      updates.tenureHistory = member.tenureHistory.map((tenure) => tenure.toObject())
+    }
+
     const updatedMember = await User.findByIdAndUpdate(req.params.id, updates, {
       new: true,
       runValidators: true,
@@ -453,9 +900,10 @@ export const changeMemberRole = async (req, res) => {
     }
 
     const oldRole = member.role
-    member.role = role
-    member.isAdmin = ADMIN_ROLES.includes(role)
-    member.isAlumni = role === "alumni"
+    member.changeTenure(
+      { role, isAdmin: ADMIN_ROLES.includes(role), isAlumni: role === "alumni" },
+      role === "alumni" ? "alumni" : "role_change",
+    )
     await member.save()
 
     // Audit log
@@ -497,9 +945,7 @@ export const markAsAlumni = async (req, res) => {
       })
     }
 
-    member.isAlumni = true
-    member.role = "alumni"
-    member.isAdmin = false
+    member.changeTenure({ isAlumni: true, role: "alumni", isAdmin: false }, "alumni")
     await member.save()
 
     // Audit log
@@ -526,7 +972,7 @@ export const markAsAlumni = async (req, res) => {
   }
 }
 
-// @desc    Delete member
+// @desc    Delete member (moves to trash; purged after the retention period)
 // @route   DELETE /api/admin/members/:id
 // @access  Private/President
 export const deleteMember = async (req, res) => {
@@ -549,7 +995,22 @@ export const deleteMember = async (req, res) => {
       })
     }
 
-    await member.deleteOne()
+    // Outstanding dues would be left without a member to collect from
+    const openDues = await Dues.countDocuments({
+      member: member._id,
+      status: { $in: ["unpaid", "partial", "overdue"] },
+    })
+    if (openDues > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete member with ${openDues} outstanding dues invoices. Settle or waive them first.`,
+      })
+    }
+
+    // Deleted members cannot sign in; drop their sessions too
+    const revoked = member.refreshTokens.map((session) => session._id)
+    member.refreshTokens = []
+    await member.softDelete(req.user._id)
 
     // Audit log
     await createAuditLog({
@@ -557,14 +1018,16 @@ export const deleteMember = async (req, res) => {
       user: req.user,
       targetType: "user",
       targetId: member._id,
-      description: `Member deleted: ${member.fullName}`,
+      description: `Member moved to trash: ${member.fullName}`,
       req,
     })
 
     res.status(200).json({
       success: true,
-      message: "Member deleted successfully",
+      message: "Member moved to trash",
     })
+
+    disconnectSessions(req.app.get("io"), revoked)
   } catch (error) {
     logger.error(`Delete member error: ${error.message}`)
     res.status(500).json({
@@ -574,6 +1037,596 @@ export const deleteMember = async (req, res) => {
   }
 }
 
+// @desc    Restore a deleted member from the trash
+// @route   POST /api/admin/members/:id/restore
+// @access  Private/President
+export const restoreMember = async (req, res) => {
+  try {
+    const member = await User.findOne({ _id: req.params.id, deletedAt: { $ne: null } })
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Deleted member not found",
+      })
+    }
+
+    await member.restore()
+
+    // Audit log
+    await createAuditLog({
+      action: "member_restore",
+      user: req.user,
+      targetType: "user",
+      targetId: member._id,
+      description: `Member restored from trash: ${member.fullName}`,
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Member restored successfully",
+      data: member,
+    })
+  } catch (error) {
+    logger.error(`Restore member error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to restore member",
+    })
+  }
+}
+
+// @desc    Find likely duplicate member records (same phone, name, or birthday and first name)
+// @route   GET /api/admin/members/duplicates
+// @access  Private/Admin (member.view)
+export const getDuplicateMembers = async (req, res) => {
+  try {
+    const members = await User.find({ mergedInto: null })
+      .select("memberId firstName lastName email phone dateOfBirth role isActive isAlumni rotaractYear createdAt")
+      .sort({ createdAt: 1 })
+
+    const groups = findDuplicateGroups(members)
+
+    res.status(200).json({
+      success: true,
+      data: groups,
+      total: groups.length,
+    })
+  } catch (error) {
+    logger.error(`Get duplicate members error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to find duplicate members",
+    })
+  }
+}
+
+// @desc    Merge a duplicate record into this member (references move over, duplicate is deactivated)
+// @route   POST /api/admin/members/:id/merge
+// @access  Private/Admin (member.delete)
+export const mergeMembers = async (req, res) => {
+  try {
+    const { duplicateId } = req.body
+
+    if (duplicateId === req.params.id) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot merge a member into itself",
+      })
+    }
+
+    const [survivor, duplicate] = await Promise.all([User.findById(req.params.id), User.findById(duplicateId)])
+
+    if (!survivor || !duplicate) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found",
+      })
+    }
+
+    if (survivor.mergedInto || duplicate.mergedInto) {
+      return res.status(400).json({
+        success: false,
+        message: "Member has already been merged into another record",
+      })
+    }
+
+    // Admin access belongs to one account; move the role first
+    if (duplicate.isAdmin && ADMIN_ROLES.includes(duplicate.role)) {
+      return res.status(400).json({
+        success: false,
+        message: "Change the duplicate's admin role before merging",
+      })
+    }
+
+    const revoked = duplicate.refreshTokens.map((session) => session._id)
+
+    const reassigned = await reassignMemberReferences(duplicate._id, survivor._id)
+
+    // Marked merged last: until then a failed merge can simply be retried
+    duplicate.isActive = false
+    duplicate.mergedInto = survivor._id
+    duplicate.mergedAt = new Date()
+    duplicate.refreshTokens = []
+    if (duplicate.invitation?.status === "pending") {
+      duplicate.invitation.status = "revoked"
+      duplicate.invitation.revokedAt = Date.now()
+      duplicate.invitation.tokenHash = undefined
+    }
+    await duplicate.save({ validateBeforeSave: false })
+
+    // Audit log (the duplicate's details live on here once its references have moved)
+    await createAuditLog({
+      action: "member_merge",
+      user: req.user,
+      targetType: "user",
+      targetId: survivor._id,
+      description: `Duplicate ${duplicate.memberId} (${duplicate.fullName}) merged into ${survivor.memberId}`,
+      changes: {
+        duplicate: {
+          id: duplicate._id,
+          memberId: duplicate.memberId,
+          name: duplicate.fullName,
+          email: duplicate.email,
+          phone: duplicate.phone,
+        },
+        survivor: {
+          id: survivor._id,
+          memberId: survivor.memberId,
+          name: survivor.fullName,
+          email: survivor.email,
+          phone: survivor.phone,
+        },
+        reassigned,
+      },
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Members merged successfully",
+      data: {
+        survivor,
+        duplicate: { _id: duplicate._id, memberId: duplicate.memberId, mergedInto: survivor._id },
+        reassigned,
+      },
+    })
+
+    disconnectSessions(req.app.get("io"), revoked)
+  } catch (error) {
+    logger.error(`Merge members error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to merge members",
+    })
+  }
+}
+
+// @desc    List deleted members, events or expenses awaiting purge
+// @route   GET /api/admin/trash?type=members|events|expenses
+// @access  Private/Admin (delete permission for the type)
+export const getTrash = async (req, res) => {
+  try {
+    const { page, limit } = paginate(req.query.page, req.query.limit)
+    const type = req.query.type || "members"
+
+    const trash = TRASH_TYPES[type]
+    if (!trash) {
+      return res.status(400).json({
+        success: false,
+        message: `Type must be one of: ${Object.keys(TRASH_TYPES).join(", ")}`,
+      })
+    }
+
+    if (!req.permissions?.has(trash.permission)) {
+      return res.status(403).json({
+        success: false,
+        message: `Role '${req.user.role}' does not have permission: ${trash.permission}`,
+      })
+    }
+
+    const settings = await ClubSettings.getSettings()
+    const retentionDays = settings.trash.retentionDays
+    const query = { deletedAt: { $ne: null } }
+
+    const [items, total] = await Promise.all([
+      trash.model
+        .find(query)
+        .select(trash.select)
+        .populate("deletedBy", "firstName lastName")
+        .sort({ deletedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      trash.model.countDocuments(query),
+    ])
+
+    res.status(200).json({
+      success: true,
+      data: items.map((item) => ({
+        ...item.toObject(),
+        purgeAt: new Date(item.deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000),
+      })),
+      retentionDays,
+      pagination: paginationResponse(total, page, limit),
+    })
+  } catch (error) {
+    logger.error(`Get trash error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get trash",
+    })
+  }
+}
+
+// @desc    Resend member invitation (issues a new link, old one stops working)
+// @route   POST /api/admin/members/:id/invitation
+// @access  Private/Admin (member.create)
+export const resendInvitation = async (req, res) => {
+  try {
+    const member = await User.findById(req.params.id)
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found",
+      })
+    }
+
+    if (member.hasChangedPassword) {
+      return res.status(400).json({
+        success: false,
+        message: "Member has already activated their account",
+      })
+    }
+
+    if (!member.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot invite a deactivated member",
+      })
+    }
+
+    const inviteToken = member.generateInvitationToken(req.user._id)
+    await member.save()
+
+    await sendInvitationEmail(member, inviteToken)
+
+    // Audit log
+    await createAuditLog({
+      action: "invitation_send",
+      user: req.user,
+      targetType: "user",
+      targetId: member._id,
+      description: `Invitation resent to ${member.fullName}`,
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Invitation sent successfully",
+      data: {
+        invitationStatus: member.invitationStatus,
+        expiresAt: member.invitation.expiresAt,
+        sendCount: member.invitation.sendCount,
+      },
+    })
+  } catch (error) {
+    logger.error(`Resend invitation error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to send invitation",
+    })
+  }
+}
+
+// @desc    Invite every member who has not activated their account yet (e.g. members created
+//          before invitations existed); members with an unexpired invitation are skipped
+// @route   POST /api/admin/members/invitations
+// @access  Private/Admin (member.create)
+export const sendPendingInvitations = async (req, res) => {
+  try {
+    const { ids } = req.body
+
+    const query = {
+      isActive: true,
+      hasChangedPassword: false,
+      mergedInto: null,
+      $nor: [{ "invitation.status": "pending", "invitation.expiresAt": { $gt: new Date() } }],
+    }
+    if (Array.isArray(ids) && ids.length > 0) query._id = { $in: ids }
+
+    const members = await User.find(query)
+
+    const invitations = []
+    for (const member of members) {
+      const inviteToken = member.generateInvitationToken(req.user._id)
+      await member.save({ validateBeforeSave: false })
+      invitations.push(buildInvitationEmail(member, inviteToken))
+    }
+
+    // Sent in the background, throttled
+    queueEmails(invitations)
+
+    const memberIds = members.map((member) => member.memberId)
+
+    // Audit log
+    await createAuditLog({
+      action: "invitation_send",
+      user: req.user,
+      targetType: "user",
+      description: `Invitations sent to ${members.length} members who have not activated their account`,
+      changes: { memberIds },
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: `Invitations queued for ${members.length} members`,
+      data: { sent: members.length, memberIds },
+    })
+  } catch (error) {
+    logger.error(`Send pending invitations error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to send invitations",
+    })
+  }
+}
+
+// @desc    Revoke a pending member invitation
+// @route   DELETE /api/admin/members/:id/invitation
+// @access  Private/Admin (member.create)
+export const revokeInvitation = async (req, res) => {
+  try {
+    const member = await User.findById(req.params.id)
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found",
+      })
+    }
+
+    if (member.invitation?.status !== "pending") {
+      return res.status(400).json({
+        success: false,
+        message: "Member has no pending invitation",
+      })
+    }
+
+    member.invitation.status = "revoked"
+    member.invitation.revokedAt = Date.now()
+    member.invitation.tokenHash = undefined
+    await member.save()
+
+    // Audit log
+    await createAuditLog({
+      action: "invitation_revoke",
+      user: req.user,
+      targetType: "user",
+      targetId: member._id,
+      description: `Invitation revoked for ${member.fullName}`,
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Invitation revoked successfully",
+    })
+  } catch (error) {
+    logger.error(`Revoke invitation error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke invitation",
+    })
+  }
+}
+
+// @desc    Reset a member's 2FA (lost authenticator and backup codes)
+// @route   POST /api/admin/members/:id/reset-2fa
+// @access  Private/Admin (member.update)
+export const resetMemberTwoFactor = async (req, res) => {
+  try {
+    const member = await User.findById(req.params.id)
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found",
+      })
+    }
+
+    if (member._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Use disable 2FA to change your own 2FA settings",
+      })
+    }
+
+    // Turning off 2FA on an admin account is a takeover path; keep it to the top of the club
+    if (member.isAdmin && !TWO_FACTOR_RESET_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the president or faculty coordinator can reset 2FA for an admin account",
+      })
+    }
+
+    if (!member.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Member does not have 2FA enabled",
+      })
+    }
+
+    // Whoever held the old second factor is signed out everywhere
+    const revoked = member.refreshTokens.map((session) => session._id)
+    member.twoFactorEnabled = false
+    member.twoFactorSecret = undefined
+    member.twoFactorBackupCodes = []
+    member.refreshTokens = []
+    await member.save()
+
+    const resetEmail = emailTemplates.twoFactorReset(member.firstName, req.user.fullName)
+    await sendEmail({
+      to: member.email,
+      ...resetEmail,
+    })
+
+    // Audit log
+    await createAuditLog({
+      action: "two_factor_reset",
+      user: req.user,
+      targetType: "user",
+      targetId: member._id,
+      description: `2FA reset for ${member.fullName}`,
+      changes: { reason: req.body.reason, sessionsRevoked: revoked.length },
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "2FA reset successfully. The member must set it up again.",
+    })
+
+    disconnectSessions(req.app.get("io"), revoked)
+  } catch (error) {
+    logger.error(`Reset member 2FA error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to reset 2FA",
+    })
+  }
+}
+
+// @desc    Get currently locked accounts with their recent failed logins
+// @route   GET /api/admin/locked-accounts
+// @access  Private/Admin (member.view)
+export const getLockedAccounts = async (req, res) => {
+  try {
+    const lockedUsers = await User.find({ lockUntil: { $gt: new Date() } })
+      .select("firstName lastName email memberId role loginAttempts lockUntil lastLogin")
+      .sort({ lockUntil: -1 })
+
+    // Failed attempts from the last 24 hours
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000)
+    const failedLogins = await AuditLog.find({
+      action: { $in: ["failed_login", "account_lock"] },
+      user: { $in: lockedUsers.map((user) => user._id) },
+      createdAt: { $gte: since },
+    })
+      .select("user action description ipAddress userAgent createdAt")
+      .sort({ createdAt: -1 })
+
+    const data = lockedUsers.map((user) => ({
+      ...user.toObject(),
+      recentFailedLogins: failedLogins.filter((entry) => String(entry.user) === String(user._id)).slice(0, 20),
+    }))
+
+    res.status(200).json({
+      success: true,
+      data,
+    })
+  } catch (error) {
+    logger.error(`Get locked accounts error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get locked accounts",
+    })
+  }
+}
+
+// @desc    Unlock a member's account
+// @route   POST /api/admin/members/:id/unlock
+// @access  Private/Admin (member.update)
+export const unlockMember = async (req, res) => {
+  try {
+    const member = await User.findById(req.params.id)
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found",
+      })
+    }
+
+    if (!member.isLocked() && !member.loginAttempts) {
+      return res.status(400).json({
+        success: false,
+        message: "Account is not locked",
+      })
+    }
+
+    member.unlockAccount()
+    await member.save()
+
+    // Audit log
+    await createAuditLog({
+      action: "account_unlock",
+      user: req.user,
+      targetType: "user",
+      targetId: member._id,
+      description: `Account unlocked for ${member.fullName}`,
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Account unlocked successfully",
+    })
+  } catch (error) {
+    logger.error(`Unlock member error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to unlock account",
+    })
+  }
+}
+
+// @desc    Sign a member out of every device
+// @route   DELETE /api/admin/members/:id/sessions
+// @access  Private/Admin (member.update)
+export const revokeMemberSessions = async (req, res) => {
+  try {
+    const member = await User.findById(req.params.id)
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found",
+      })
+    }
+
+    const revoked = member.refreshTokens.map((session) => session._id)
+    member.refreshTokens = []
+    await member.save()
+
+    // Audit log
+    await createAuditLog({
+      action: "session_revoke",
+      user: req.user,
+      targetType: "user",
+      targetId: member._id,
+      description: `All sessions revoked for ${member.fullName} (${revoked.length})`,
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "All sessions revoked successfully",
+      data: { revoked: revoked.length },
+    })
+
+    disconnectSessions(req.app.get("io"), revoked)
+  } catch (error) {
+    logger.error(`Revoke member sessions error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke sessions",
+    })
+  }
+}
+
 // @desc    Get members dropdown list
 // @route   GET /api/admin/members/dropdown
 // @access  Private/Admin
@@ -597,11 +1650,25 @@ export const getMembersDropdown = async (req, res) => {
 export default {
   getDashboard,
   getMembers,
+  exportMembers,
   getMemberById,
+  getMemberHistory,
   addMember,
+  importMembers,
   updateMember,
   changeMemberRole,
   markAsAlumni,
   deleteMember,
+  restoreMember,
+  getDuplicateMembers,
+  mergeMembers,
+  getTrash,
+  resendInvitation,
+  sendPendingInvitations,
+  revokeInvitation,
+  resetMemberTwoFactor,
+  getLockedAccounts,
+  unlockMember,
+  revokeMemberSessions,
   getMembersDropdown,
 }
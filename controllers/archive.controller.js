@@ -7,6 +7,10 @@ import User from "../models/User.model.js"
 import Expense from "../models/Expense.model.js"
 import Event from "../models/Event.model.js"
 import Board from "../models/Board.model.js"
+import VolunteerHours from "../models/VolunteerHours.model.js"
+import Dues from "../models/Dues.model.js"
+import Income from "../models/Income.model.js"
+import PayoutBatch from "../models/PayoutBatch.model.js"
 import ClubSettings from "../models/ClubSettings.model.js"
 import { createAuditLog } from "../middleware/audit.middleware.js"
 import { getFinancialYear } from "../utils/helpers.js"
@@ -46,9 +50,17 @@ export const getArchiveByYear = async (req, res) => {
       })
     }
 
+    // Payout batches for the year (downloadable via /api/payouts/:id/export)
+    const payoutBatches = await PayoutBatch.find({ rotaractYear: req.params.year })
+      .select("batchNumber status totalAmount paymentReference paidAt createdAt")
+      .sort({ createdAt: 1 })
+
     res.status(200).json({
       success: true,
-      data: archive,
+      data: {
+        ...archive.toObject(),
+        payoutBatches,
+      },
     })
   } catch (error) {
     logger.error(`Get archive error: ${error.message}`)
@@ -81,7 +93,7 @@ export const closeYear = async (req, res) => {
     }
 
     // Calculate summary
-    const [totalMembers, totalEvents, expensesSummary, board] = await Promise.all([
+    const [totalMembers, totalEvents, expensesSummary, duesSummary, incomeSummary, board] = await Promise.all([
       User.countDocuments({ rotaractYear: currentYear, isActive: true }),
       Event.countDocuments({ rotaractYear: currentYear }),
       Expense.aggregate([
@@ -103,6 +115,24 @@ export const closeYear = async (req, res) => {
           },
         },
       ]),
+      Dues.aggregate([
+        { $match: { rotaractYear: currentYear } },
+        {
+          $group: {
+            _id: null,
+            totalDuesCollected: { $sum: "$amountPaid" },
+            totalDuesOutstanding: {
+              $sum: {
+                $cond: [{ $eq: ["$status", "waived"] }, 0, { $max: [0, { $subtract: ["$amount", "$amountPaid"] }] }],
+              },
+            },
+          },
+        },
+      ]),
+      Income.aggregate([
+        { $match: { rotaractYear: currentYear } },
+        { $group: { _id: null, totalIncome: { $sum: "$amount" } } },
+      ]),
       Board.findOne({ rotaractYear: currentYear }),
     ])
 
@@ -112,6 +142,13 @@ export const closeYear = async (req, res) => {
       totalReimbursements: 0,
     }
 
+    const dues = duesSummary[0] || {
+      totalDuesCollected: 0,
+      totalDuesOutstanding: 0,
+    }
+
+    const totalIncome = incomeSummary[0]?.totalIncome || 0
+
     // Create or update archive
     let archive = await Archive.findOne({ rotaractYear: currentYear })
 
@@ -136,6 +173,10 @@ export const closeYear = async (req, res) => {
       totalExpenses: summary.totalExpenses,
       totalContributions: summary.totalContributions,
       totalReimbursements: summary.totalReimbursements,
+      totalDuesCollected: dues.totalDuesCollected,
+      totalDuesOutstanding: dues.totalDuesOutstanding,
+      totalIncome,
+      netBalance: totalIncome + dues.totalDuesCollected - summary.totalContributions,
     }
 
     archive.boardSnapshot = {
@@ -151,13 +192,17 @@ export const closeYear = async (req, res) => {
     await Promise.all([
       Expense.updateMany({ rotaractYear: currentYear }, { isArchived: true }),
       Event.updateMany({ rotaractYear: currentYear }, { isArchived: true }),
+      VolunteerHours.updateMany({ rotaractYear: currentYear }, { isArchived: true }),
+      Dues.updateMany({ rotaractYear: currentYear }, { isArchived: true }),
+      Income.updateMany({ rotaractYear: currentYear }, { isArchived: true }),
+      PayoutBatch.updateMany({ rotaractYear: currentYear }, { isArchived: true }),
       Board.updateOne({ rotaractYear: currentYear }, { isActive: false }),
     ])
 
     // Handle member carry over
     if (!carryOverMembers) {
-      // Mark all non-admin members as alumni
-      await User.updateMany(
+      // Mark all non-admin members as alumni (recorded in their tenure history)
+      await User.changeTenureMany(
         {
           rotaractYear: currentYear,
           role: "member",
@@ -166,6 +211,7 @@ export const closeYear = async (req, res) => {
           isAlumni: true,
           role: "alumni",
         },
+        "year_close",
       )
     }
 
@@ -244,9 +290,9 @@ export const startNewYear = async (req, res) => {
       status: "active",
     })
 
-    // Update members if carrying over
+    // Update members if carrying over (each starts a new tenure entry for the year)
     if (carryOverMembers) {
-      await User.updateMany({ isActive: true, isAlumni: false }, { rotaractYear: newYear })
+      await User.changeTenureMany({ isActive: true, isAlumni: false }, { rotaractYear: newYear }, "year_start")
     }
 
     // Audit log
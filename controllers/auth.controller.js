@@ -6,12 +6,125 @@ import User from "../models/User.model.js"
 import ClubSettings from "../models/ClubSettings.model.js"
 import { createAuditLog } from "../middleware/audit.middleware.js"
 import { sendEmail, emailTemplates } from "../utils/email.js"
-import { generateMemberId } from "../utils/helpers.js"
+import { generateMemberId, getDeviceInfo, disconnectSessions } from "../utils/helpers.js"
 import { logger } from "../utils/logger.js"
+import { checkNewPassword, isPasswordExpired } from "../utils/passwordPolicy.js"
+import { checkLoginContext, checkFailedAdminLogins } from "../utils/securityAlerts.js"
+import { FINANCE_ROLES } from "../config/permissions.js"
+import {
+  isOidcEnabled,
+  createAuthorizationUrl,
+  handleCallback,
+  createLoginTicket,
+  getLoginTicket,
+  consumeLoginTicket,
+} from "../utils/oidc.js"
 import crypto from "crypto"
 import speakeasy from "speakeasy"
 import QRCode from "qrcode"
 
+// Verify the second login factor: a TOTP code, or else a one-time backup code
+// (needs +twoFactorSecret +twoFactorBackupCodes; a used backup code is saved with the user)
+const verifySecondFactor = (user, { twoFactorCode, backupCode }) => {
+  if (twoFactorCode) {
+    const verified = speakeasy.totp.verify({
+      secret: user.twoFactorSecret,
+      encoding: "base32",
+      token: twoFactorCode,
+      window: 2,
+    })
+    return verified ? "totp" : null
+  }
+
+  if (backupCode && user.useBackupCode(backupCode)) return "backup"
+  return null
+}
+
+// Wrong second-factor codes a magic link or sign-in ticket survives before it stops working
+const MAX_SECOND_FACTOR_ATTEMPTS = 5
+
+// Count a failed login; when it locks the account, audit it and email a self-service unlock link
+// Resolves true when this attempt locked the account
+const registerFailedAttempt = async (req, user) => {
+  const settings = await ClubSettings.getSettings()
+  const locked = await user.incLoginAttempts(settings.security.lockout)
+  if (!locked) return false
+
+  const unlockToken = user.generateUnlockToken()
+  await user.save({ validateBeforeSave: false })
+
+  await createAuditLog({
+    action: "account_lock",
+    user,
+    targetType: "user",
+    targetId: user._id,
+    description: `Account locked after ${settings.security.lockout.maxAttempts} failed login attempts`,
+    req,
+  })
+
+  const unlockUrl = `${process.env.FRONTEND_URL}/unlock-account/${unlockToken}`
+  const lockedEmail = emailTemplates.accountLocked(user.firstName, user.lockUntil, unlockUrl)
+  await sendEmail({
+    to: user.email,
+    ...lockedEmail,
+  })
+  return true
+}
+
+// A wrong 2FA or backup code counts towards lockout like a wrong password
+// Resolves true when the magic link or ticket used for this attempt should be invalidated
+const registerFailedSecondFactor = async (req, user, { backupCode }) => {
+  const attempts = user.loginAttempts + 1
+  const locked = await registerFailedAttempt(req, user)
+
+  await createAuditLog({
+    action: "failed_login",
+    user,
+    targetType: "user",
+    targetId: user._id,
+    description: backupCode ? "Invalid 2FA backup code attempt" : "Invalid 2FA code attempt",
+    req,
+  })
+  await checkFailedAdminLogins(req, user)
+
+  return locked || attempts >= MAX_SECOND_FACTOR_ATTEMPTS
+}
+
+// Check a new password against the club password policy
+// Returns the policy and any problems in the same shape as validation errors
+const checkPasswordPolicy = async (user, password, field) => {
+  const settings = await ClubSettings.getSettings()
+  const policy = settings.security.passwordPolicy
+  const problems = await checkNewPassword(user, password, policy)
+
+  return {
+    policy,
+    errors: problems.map((message) => ({ field, message })),
+  }
+}
+
+// Whether the user's password is past the policy's maximum age
+const isPasswordChangeRequired = async (user) => {
+  const settings = await ClubSettings.getSettings()
+  return isPasswordExpired(user.passwordChangedAt, settings.security.passwordPolicy)
+}
+
+// Audit a login completed with a backup code and report how many are left
+const recordBackupCodeUse = async (req, user) => {
+  const remaining = user.twoFactorBackupCodes.filter((item) => !item.usedAt).length
+
+  await createAuditLog({
+    action: "two_factor_backup_used",
+    user,
+    targetType: "user",
+    targetId: user._id,
+    description: `2FA backup code used to login (${remaining} remaining)`,
+    req,
+  })
+
+  return remaining
+}
+
 // @desc    Register new member
 // @route   POST /api/auth/register
 // @access  Public
@@ -19,8 +132,8 @@ export const register = async (req, res) => {
   try {
     const { firstName, lastName, email, phone, password, collegeName, courseName } = req.body
 
-    // Check if user exists
-    const existingUser = await User.findOne({ $or: [{ email }, { phone }] })
+    // Check if user exists (including deleted members not yet purged)
+    const existingUser = await User.findOne({ $or: [{ email }, { phone }] }).withDeleted()
     if (existingUser) {
       return res.status(400).json({
         success: false,
@@ -42,14 +155,14 @@ export const register = async (req, res) => {
       email,
       phone,
       password,
+      hasChangedPassword: true,
       collegeName,
       courseName,
       rotaractYear: settings.currentRotaractYear,
     })
 
     // Generate tokens
-    const accessToken = user.generateAuthToken()
-    const refreshToken = user.generateRefreshToken()
+    const { accessToken, refreshToken } = user.createSession(getDeviceInfo(req))
     await user.save()
 
     // Send welcome email
@@ -100,7 +213,7 @@ export const register = async (req, res) => {
 // @access  Public
 export const login = async (req, res) => {
   try {
-    const { email, memberId, password, twoFactorCode } = req.body
+    const { email, password, twoFactorCode, backupCode } = req.body
 
     if (!email) {
       return res.status(400).json({
@@ -109,7 +222,7 @@ export const login = async (req, res) => {
       })
     }
 
-    const user = await User.findOne({ email }).select("+password +twoFactorSecret")
+    const user = await User.findOne({ email }).select("+password +twoFactorSecret +twoFactorBackupCodes")
 
     if (!user) {
       return res.status(401).json({
@@ -128,6 +241,7 @@ export const login = async (req, res) => {
         description: "Login attempt on locked account",
         req,
       })
+      await checkFailedAdminLogins(req, user)
 
       return res.status(423).json({
         success: false,
@@ -135,86 +249,41 @@ export const login = async (req, res) => {
       })
     }
 
-    // Check if user has changed password
-    if (user.hasChangedPassword) {
-      // User has changed password - must use password login
-      if (!password) {
-        return res.status(400).json({
-          success: false,
-          message: "Password is required",
-        })
-      }
-
-      // If memberId is provided but password has been set, reject
-      if (memberId) {
-        await user.incLoginAttempts()
-
-        await createAuditLog({
-          action: "failed_login",
-          user,
-          targetType: "user",
-          targetId: user._id,
-          description: "Attempted Member ID login after password change",
-          req,
-        })
-
-        return res.status(400).json({
-          success: false,
-          message: "Password has been set. Please login using password credentials.",
-        })
-      }
-
-      // Verify password
-      const isMatch = await user.comparePassword(password)
-      if (!isMatch) {
-        await user.incLoginAttempts()
-
-        await createAuditLog({
-          action: "failed_login",
-          user,
-          targetType: "user",
-          targetId: user._id,
-          description: "Invalid password attempt",
-          req,
-        })
+    // Verify password
+    const isMatch = await user.comparePassword(password)
+    if (!isMatch) {
+      await registerFailedAttempt(req, user)
 
-        return res.status(401).json({
-          success: false,
-          message: "Invalid credentials",
-        })
-      }
-    } else {
-      // User hasn't changed password - use memberId login
-      if (!memberId) {
-        return res.status(400).json({
-          success: false,
-          message: "Member ID is required",
-        })
-      }
+      await createAuditLog({
+        action: "failed_login",
+        user,
+        targetType: "user",
+        targetId: user._id,
+        description: "Invalid password attempt",
+        req,
+      })
+      await checkFailedAdminLogins(req, user)
 
-      // Check if memberId matches (memberId acts as password)
-      if (user.memberId !== memberId) {
-        await user.incLoginAttempts()
-
-        await createAuditLog({
-          action: "failed_login",
-          user,
-          targetType: "user",
-          targetId: user._id,
-          description: "Invalid Member ID attempt",
-          req,
-        })
+      return res.status(401).json({
+        success: false,
+        message: "Invalid credentials",
+      })
+    }
 
-        return res.status(401).json({
-          success: false,
-          message: "Invalid credentials",
-        })
-      }
+    // Members set their first password through the invitation link
+    // (after the password check, so only someone who knows it learns the account is not activated)
+    if (!user.hasChangedPassword) {
+      return res.status(403).json({
+        success: false,
+        code: "INVITATION_PENDING",
+        message: "Account not activated. Use the invitation link sent to your email or ask an admin to resend it.",
+      })
     }
 
     // Check 2FA if enabled
+    let secondFactor
     if (user.twoFactorEnabled) {
-      if (!twoFactorCode) {
+      if (!twoFactorCode && !backupCode) {
         return res.status(200).json({
           success: true,
           requiresTwoFactor: true,
@@ -222,17 +291,14 @@ export const login = async (req, res) => {
         })
       }
 
-      const verified = speakeasy.totp.verify({
-        secret: user.twoFactorSecret,
-        encoding: "base32",
-        token: twoFactorCode,
-        window: 2,
-      })
+      secondFactor = verifySecondFactor(user, { twoFactorCode, backupCode })
+
+      if (!secondFactor) {
+        await registerFailedSecondFactor(req, user, { backupCode })
 
-      if (!verified) {
         return res.status(401).json({
           success: false,
-          message: "Invalid 2FA code",
+          message: backupCode ? "Invalid or used backup code" : "Invalid 2FA code",
         })
       }
     }
@@ -251,10 +317,12 @@ export const login = async (req, res) => {
     user.lastLogin = new Date()
 
     // Generate tokens
-    const accessToken = user.generateAuthToken()
-    const refreshToken = user.generateRefreshToken()
+    const { accessToken, refreshToken } = user.createSession(getDeviceInfo(req))
     await user.save()
 
+    // Alert on unseen device / network (compared against earlier logins)
+    await checkLoginContext(req, user)
+
     // Audit log
     await createAuditLog({
       action: "login",
@@ -265,6 +333,8 @@ export const login = async (req, res) => {
       req,
     })
 
+    const backupCodesRemaining = secondFactor === "backup" ? await recordBackupCodeUse(req, user) : undefined
+
     res.status(200).json({
       success: true,
       message: "Login successful",
@@ -281,6 +351,8 @@ export const login = async (req, res) => {
         },
         accessToken,
         refreshToken,
+        backupCodesRemaining,
+        mustChangePassword: await isPasswordChangeRequired(user),
       },
     })
   } catch (error) {
@@ -298,14 +370,14 @@ export const login = async (req, res) => {
 // @access  Public
 export const adminLogin = async (req, res) => {
   try {
-    const { email, password, twoFactorCode } = req.body
+    const { email, password, twoFactorCode, backupCode } = req.body
 
     // Get admin user
     const user = await User.findOne({
       email,
       isAdmin: true,
-      role: { $in: ["treasurer", "president", "secretary", "joint_secretary"] },
-    }).select("+password +twoFactorSecret")
+      role: { $in: FINANCE_ROLES },
+    }).select("+password +twoFactorSecret +twoFactorBackupCodes")
 
     if (!user) {
       return res.status(401).json({
@@ -316,6 +388,16 @@ export const adminLogin = async (req, res) => {
 
     // Same checks as regular login
     if (user.isLocked()) {
+      await createAuditLog({
+        action: "failed_login",
+        user,
+        targetType: "user",
+        targetId: user._id,
+        description: "Admin login attempt on locked account",
+        req,
+      })
+      await checkFailedAdminLogins(req, user)
+
       return res.status(423).json({
         success: false,
         message: "Account is locked. Please try again later.",
@@ -325,7 +407,18 @@ export const adminLogin = async (req, res) => {
     const isMatch = await user.comparePassword(password)
 
     if (!isMatch) {
-      await user.incLoginAttempts()
+      await registerFailedAttempt(req, user)
+
+      await createAuditLog({
+        action: "failed_login",
+        user,
+        targetType: "user",
+        targetId: user._id,
+        description: "Invalid admin password attempt",
+        req,
+      })
+      await checkFailedAdminLogins(req, user)
+
       return res.status(401).json({
         success: false,
         message: "Invalid admin credentials",
@@ -333,8 +426,9 @@ export const adminLogin = async (req, res) => {
     }
 
     // 2FA check for admin
+    let secondFactor
     if (user.twoFactorEnabled) {
-      if (!twoFactorCode) {
+      if (!twoFactorCode && !backupCode) {
         return res.status(200).json({
           success: true,
           requiresTwoFactor: true,
@@ -342,17 +436,14 @@ export const adminLogin = async (req, res) => {
         })
       }
 
-      const verified = speakeasy.totp.verify({
-        secret: user.twoFactorSecret,
-        encoding: "base32",
-        token: twoFactorCode,
-        window: 2,
-      })
+      secondFactor = verifySecondFactor(user, { twoFactorCode, backupCode })
+
+      if (!secondFactor) {
+        await registerFailedSecondFactor(req, user, { backupCode })
 
-      if (!verified) {
         return res.status(401).json({
           success: false,
-          message: "Invalid 2FA code",
+          message: backupCode ? "Invalid or used backup code" : "Invalid 2FA code",
         })
       }
     }
@@ -362,10 +453,12 @@ export const adminLogin = async (req, res) => {
     user.lockUntil = undefined
     user.lastLogin = new Date()
 
-    const accessToken = user.generateAuthToken()
-    const refreshToken = user.generateRefreshToken()
+    const { accessToken, refreshToken } = user.createSession(getDeviceInfo(req))
     await user.save()
 
+    // Alert on unseen device / network (compared against earlier logins)
+    await checkLoginContext(req, user)
+
     // Audit log
     await createAuditLog({
       action: "login",
@@ -376,6 +469,8 @@ export const adminLogin = async (req, res) => {
       req,
     })
 
+    const backupCodesRemaining = secondFactor === "backup" ? await recordBackupCodeUse(req, user) : undefined
+
     res.status(200).json({
       success: true,
       message: "Admin login successful",
@@ -392,6 +487,8 @@ export const adminLogin = async (req, res) => {
         },
         accessToken,
         refreshToken,
+        backupCodesRemaining,
+        mustChangePassword: await isPasswordChangeRequired(user),
       },
     })
   } catch (error) {
@@ -411,10 +508,12 @@ export const logout = async (req, res) => {
   try {
     const { refreshToken } = req.body
 
-    // Remove refresh token
-    if (refreshToken) {
-      req.user.refreshTokens = req.user.refreshTokens.filter((t) => t.token !== refreshToken)
+    // End this device's session
+    const session = refreshToken ? req.user.findSessionByToken(refreshToken) : req.user.refreshTokens.id(req.sessionId)
+    if (session) {
+      session.deleteOne()
       await req.user.save()
+      disconnectSessions(req.app.get("io"), [session._id])
     }
 
     // Audit log
@@ -447,12 +546,8 @@ export const refreshToken = async (req, res) => {
   try {
     const user = req.user
 
-    // Remove old refresh token
-    user.refreshTokens = user.refreshTokens.filter((t) => t.token !== req.refreshToken)
-
-    // Generate new tokens
-    const accessToken = user.generateAuthToken()
-    const newRefreshToken = user.generateRefreshToken()
+    // Rotate: issue new tokens for the same session; presenting the old refresh token again revokes the session
+    const { accessToken, refreshToken: newRefreshToken } = user.rotateSession(req.authSession, getDeviceInfo(req))
     await user.save()
 
     res.status(200).json({
@@ -471,206 +566,751 @@ export const refreshToken = async (req, res) => {
   }
 }
 
-// @desc    Forgot password
-// @route   POST /api/auth/forgot-password
+// @desc    Request a magic sign-in link
+// @route   POST /api/auth/magic-link
 // @access  Public
-export const forgotPassword = async (req, res) => {
+export const requestMagicLink = async (req, res) => {
   try {
     const { email } = req.body
 
+    const settings = await ClubSettings.getSettings()
+    if (!settings.features?.enableMagicLinkLogin) {
+      return res.status(403).json({
+        success: false,
+        message: "Magic link login is not enabled",
+      })
+    }
+
+    const genericResponse = {
+      success: true,
+      message: "If an active account with that email exists, a sign-in link has been sent.",
+    }
+
     const user = await User.findOne({ email })
 
-    if (!user) {
-      // Don't reveal if user exists
-      return res.status(200).json({
-        success: true,
-        message: "If an account with that email exists, a password reset link has been sent.",
-      })
+    // Don't reveal if user exists; only activated, unlocked accounts get a link
+    if (!user || !user.isActive || !user.hasChangedPassword || user.isLocked()) {
+      return res.status(200).json(genericResponse)
     }
 
-    // Generate reset token
-    const resetToken = user.generatePasswordResetToken()
+    // Throttle: at most one link per minute per account
+    if (user.magicLinkExpires && user.magicLinkExpires - 14 * 60 * 1000 > Date.now()) {
+      return res.status(200).json(genericResponse)
+    }
+
+    const magicToken = user.generateMagicLinkToken()
     await user.save({ validateBeforeSave: false })
 
-    // Create reset URL
-    const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`
+    // Create sign-in URL
+    const loginUrl = `${process.env.FRONTEND_URL}/magic-login/${magicToken}`
 
     // Send email
-    const resetEmail = emailTemplates.passwordReset(user.firstName, resetUrl)
+    const magicLinkEmail = emailTemplates.magicLink(user.firstName, loginUrl)
     await sendEmail({
       to: user.email,
-      ...resetEmail,
+      ...magicLinkEmail,
     })
 
     // Audit log
     await createAuditLog({
-      action: "password_reset",
+      action: "magic_link_request",
       user,
       targetType: "user",
       targetId: user._id,
-      description: "Password reset requested",
+      description: "Magic sign-in link requested",
       req,
     })
 
-    res.status(200).json({
-      success: true,
-      message: "If an account with that email exists, a password reset link has been sent.",
-    })
+    res.status(200).json(genericResponse)
   } catch (error) {
-    logger.error(`Forgot password error: ${error.message}`)
+    logger.error(`Magic link request error: ${error.message}`)
     res.status(500).json({
       success: false,
-      message: "Failed to send reset email",
+      message: "Failed to send sign-in link",
     })
   }
 }
 
-// @desc    Reset password
-// @route   PUT /api/auth/reset-password/:token
+// @desc    Sign in with a magic link
+// @route   POST /api/auth/magic-link/verify
 // @access  Public
-export const resetPassword = async (req, res) => {
+export const verifyMagicLink = async (req, res) => {
   try {
-    const { token } = req.params
-    const { password } = req.body
+    const { token, twoFactorCode, backupCode } = req.body
+
+    const settings = await ClubSettings.getSettings()
+    if (!settings.features?.enableMagicLinkLogin) {
+      return res.status(403).json({
+        success: false,
+        message: "Magic link login is not enabled",
+      })
+    }
 
     // Hash the token to compare with stored hash
     const hashedToken = crypto.createHash("sha256").update(token).digest("hex")
 
     const user = await User.findOne({
-      passwordResetToken: hashedToken,
-      passwordResetExpires: { $gt: Date.now() },
-    })
+      magicLinkToken: hashedToken,
+      magicLinkExpires: { $gt: Date.now() },
+    }).select("+twoFactorSecret +twoFactorBackupCodes")
 
     if (!user) {
       return res.status(400).json({
         success: false,
-        message: "Invalid or expired reset token",
+        message: "Invalid or expired sign-in link",
       })
     }
 
-    // Update password
-    user.password = password
-    user.hasChangedPassword = true // Mark that user has changed password
-    user.passwordResetToken = undefined
-    user.passwordResetExpires = undefined
-    user.refreshTokens = [] // Invalidate all sessions
-    await user.save()
+    // Check if account is locked
+    if (user.isLocked()) {
+      await createAuditLog({
+        action: "failed_login",
+        user,
+        targetType: "user",
+        targetId: user._id,
+        description: "Magic link login attempt on locked account",
+        req,
+      })
 
-    // Audit log
-    await createAuditLog({
-      action: "password_change",
-      user,
-      targetType: "user",
-      targetId: user._id,
-      description: "Password reset completed",
-      req,
-    })
+      return res.status(423).json({
+        success: false,
+        message: "Account is locked. Please try again later or contact admin.",
+      })
+    }
 
-    res.status(200).json({
-      success: true,
-      message: "Password reset successful. Please login with your new password.",
-    })
-  } catch (error) {
-    logger.error(`Reset password error: ${error.message}`)
-    res.status(500).json({
-      success: false,
-      message: "Password reset failed",
-    })
-  }
-}
+    // Check 2FA if enabled (the link survives a few wrong codes, which count towards lockout)
+    let secondFactor
+    if (user.twoFactorEnabled) {
+      if (!twoFactorCode && !backupCode) {
+        return res.status(200).json({
+          success: true,
+          requiresTwoFactor: true,
+          message: "Please enter your 2FA code",
+        })
+      }
 
-// @desc    Change password
-// @route   PUT /api/auth/change-password
-// @access  Private
-export const changePassword = async (req, res) => {
-  try {
-    const { currentPassword, newPassword } = req.body
+      secondFactor = verifySecondFactor(user, { twoFactorCode, backupCode })
 
-    const user = await User.findById(req.user._id).select("+password")
+      if (!secondFactor) {
+        if (await registerFailedSecondFactor(req, user, { backupCode })) {
+          await User.updateOne({ _id: user._id }, { $unset: { magicLinkToken: 1, magicLinkExpires: 1 } })
+        }
 
-    // Check if user has changed password before
-    if (user.hasChangedPassword) {
-      // User has changed password - verify using password
-      const isMatch = await user.comparePassword(currentPassword)
-      if (!isMatch) {
-        return res.status(400).json({
-          success: false,
-          message: "Current password is incorrect",
-        })
-      }
-    } else {
-      // User hasn't changed password - verify using Member ID
-      if (user.memberId !== currentPassword) {
-        return res.status(400).json({
+        return res.status(401).json({
           success: false,
-          message: "Member ID is incorrect",
+          message: backupCode ? "Invalid or used backup code" : "Invalid 2FA code",
         })
       }
     }
 
-    // Update password
-    user.password = newPassword
-    user.hasChangedPassword = true // Mark that user has changed password
-    user.refreshTokens = [] // Invalidate all other sessions
-    await user.save()
+    // Check if user is active
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: "Your account has been deactivated. Please contact admin.",
+      })
+    }
 
-    // Generate new tokens
-    const accessToken = user.generateAuthToken()
-    const refreshToken = user.generateRefreshToken()
+    // Consume the link (single use) and reset login attempts
+    user.magicLinkToken = undefined
+    user.magicLinkExpires = undefined
+    user.loginAttempts = 0
+    user.lockUntil = undefined
+    user.lastLogin = new Date()
+
+    // Generate tokens
+    const { accessToken, refreshToken } = user.createSession(getDeviceInfo(req))
     await user.save()
 
+    // Alert on unseen device / network (compared against earlier logins)
+    await checkLoginContext(req, user)
+
     // Audit log
     await createAuditLog({
-      action: "password_change",
+      action: "login",
       user,
       targetType: "user",
       targetId: user._id,
-      description: "Password changed",
+      description: "User logged in via magic link",
       req,
     })
 
+    const backupCodesRemaining = secondFactor === "backup" ? await recordBackupCodeUse(req, user) : undefined
+
     res.status(200).json({
       success: true,
-      message: "Password changed successfully",
+      message: "Login successful",
       data: {
+        user: {
+          id: user._id,
+          memberId: user.memberId,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          email: user.email,
+          role: user.role,
+          isAdmin: user.isAdmin,
+          photo: user.photo,
+        },
         accessToken,
         refreshToken,
+        backupCodesRemaining,
+        mustChangePassword: await isPasswordChangeRequired(user),
       },
     })
   } catch (error) {
-    logger.error(`Change password error: ${error.message}`)
+    logger.error(`Magic link login error: ${error.message}`)
     res.status(500).json({
       success: false,
-      message: "Password change failed",
+      message: "Login failed",
     })
   }
 }
 
-// @desc    Setup 2FA
-// @route   POST /api/auth/setup-2fa
-// @access  Private
-export const setup2FA = async (req, res) => {
+// @desc    Start OpenID Connect login (redirects to the identity provider)
+// @route   GET /api/auth/oidc/login
+// @access  Public
+export const oidcLogin = async (req, res) => {
   try {
-    const user = await User.findById(req.user._id)
-
-    if (user.twoFactorEnabled) {
-      return res.status(400).json({
+    if (!isOidcEnabled()) {
+      return res.status(404).json({
         success: false,
-        message: "2FA is already enabled",
+        message: "Single sign-on is not configured",
       })
     }
 
-    // Generate secret
-    const secret = speakeasy.generateSecret({
-      name: `RotaractClub (${user.email})`,
-      length: 20,
+    const authorizationUrl = await createAuthorizationUrl()
+    res.redirect(authorizationUrl)
+  } catch (error) {
+    logger.error(`OIDC login error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to start single sign-on",
     })
+  }
+}
 
-    // Generate QR code
-    const qrCode = await QRCode.toDataURL(secret.otpauth_url)
+// @desc    OpenID Connect callback (redirects to the frontend with a login ticket)
+// @route   GET /api/auth/oidc/callback
+// @access  Public
+export const oidcCallback = async (req, res) => {
+  const redirectWithError = (message) =>
+    res.redirect(`${process.env.FRONTEND_URL}/login?error=${encodeURIComponent(message)}`)
 
-    // Store secret temporarily (will be confirmed on verify)
-    user.twoFactorSecret = secret.base32
+  try {
+    if (!isOidcEnabled()) {
+      return redirectWithError("Single sign-on is not configured")
+    }
+
+    const { code, state, error } = req.query
+    if (error) {
+      return redirectWithError("Sign-in was cancelled or denied")
+    }
+
+    const claims = await handleCallback({ code, state })
+
+    // Registration is admin-only: link to an existing member, never create one
+    const user = await User.findOne({ email: claims.email })
+
+    if (!user) {
+      await createAuditLog({
+        action: "failed_login",
+        targetType: "user",
+        description: `Single sign-on refused for unknown email ${claims.email}`,
+        req,
+      })
+      return redirectWithError("No member account found for this email. Please contact a club admin.")
+    }
+
+    if (!user.isActive) {
+      return redirectWithError("Your account has been deactivated. Please contact admin.")
+    }
+
+    if (user.isLocked()) {
+      await createAuditLog({
+        action: "failed_login",
+        user,
+        targetType: "user",
+        targetId: user._id,
+        description: "Single sign-on attempt on locked account",
+        req,
+      })
+      return redirectWithError("Account is locked. Please try again later or contact admin.")
+    }
+
+    const ticket = createLoginTicket(user._id)
+    res.redirect(`${process.env.FRONTEND_URL}/oidc-callback?ticket=${encodeURIComponent(ticket)}`)
+  } catch (error) {
+    logger.error(`OIDC callback error: ${error.message}`)
+    redirectWithError(error.isOperational ? error.message : "Single sign-on failed")
+  }
+}
+
+// @desc    Exchange a single sign-on ticket for tokens
+// @route   POST /api/auth/oidc/exchange
+// @access  Public
+export const oidcExchange = async (req, res) => {
+  try {
+    const { ticket, twoFactorCode, backupCode } = req.body
+
+    const entry = getLoginTicket(ticket)
+    if (!entry) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired sign-in ticket",
+      })
+    }
+
+    const user = await User.findById(entry.userId).select("+twoFactorSecret +twoFactorBackupCodes")
+
+    if (!user || !user.isActive) {
+      consumeLoginTicket(ticket)
+      return res.status(401).json({
+        success: false,
+        message: "Your account has been deactivated. Please contact admin.",
+      })
+    }
+
+    // Check if account is locked
+    if (user.isLocked()) {
+      consumeLoginTicket(ticket)
+      return res.status(423).json({
+        success: false,
+        message: "Account is locked. Please try again later or contact admin.",
+      })
+    }
+
+    // Check 2FA if enabled (the ticket survives a few wrong codes, which count towards lockout)
+    let secondFactor
+    if (user.twoFactorEnabled) {
+      if (!twoFactorCode && !backupCode) {
+        return res.status(200).json({
+          success: true,
+          requiresTwoFactor: true,
+          message: "Please enter your 2FA code",
+        })
+      }
+
+      secondFactor = verifySecondFactor(user, { twoFactorCode, backupCode })
+
+      if (!secondFactor) {
+        if (await registerFailedSecondFactor(req, user, { backupCode })) consumeLoginTicket(ticket)
+
+        return res.status(401).json({
+          success: false,
+          message: backupCode ? "Invalid or used backup code" : "Invalid 2FA code",
+        })
+      }
+    }
+
+    consumeLoginTicket(ticket)
+
+    // Reset login attempts
+    user.loginAttempts = 0
+    user.lockUntil = undefined
+    user.lastLogin = new Date()
+
+    // Generate tokens
+    const { accessToken, refreshToken } = user.createSession(getDeviceInfo(req))
+    await user.save()
+
+    // Alert on unseen device / network (compared against earlier logins)
+    await checkLoginContext(req, user)
+
+    // Audit log
+    await createAuditLog({
+      action: "login",
+      user,
+      targetType: "user",
+      targetId: user._id,
+      description: "User logged in via single sign-on",
+      req,
+    })
+
+    const backupCodesRemaining = secondFactor === "backup" ? await recordBackupCodeUse(req, user) : undefined
+
+    res.status(200).json({
+      success: true,
+      message: "Login successful",
+      data: {
+        user: {
+          id: user._id,
+          memberId: user.memberId,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          email: user.email,
+          role: user.role,
+          isAdmin: user.isAdmin,
+          photo: user.photo,
+        },
+        accessToken,
+        refreshToken,
+        backupCodesRemaining,
+        mustChangePassword: await isPasswordChangeRequired(user),
+      },
+    })
+  } catch (error) {
+    logger.error(`OIDC exchange error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Login failed",
+    })
+  }
+}
+
+// @desc    Forgot password
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body
+
+    const user = await User.findOne({ email })
+
+    if (!user) {
+      // Don't reveal if user exists
+      return res.status(200).json({
+        success: true,
+        message: "If an account with that email exists, a password reset link has been sent.",
+      })
+    }
+
+    // Generate reset token
+    const resetToken = user.generatePasswordResetToken()
+    await user.save({ validateBeforeSave: false })
+
+    // Create reset URL
+    const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`
+
+    // Send email
+    const resetEmail = emailTemplates.passwordReset(user.firstName, resetUrl)
+    await sendEmail({
+      to: user.email,
+      ...resetEmail,
+    })
+
+    // Audit log
+    await createAuditLog({
+      action: "password_reset",
+      user,
+      targetType: "user",
+      targetId: user._id,
+      description: "Password reset requested",
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "If an account with that email exists, a password reset link has been sent.",
+    })
+  } catch (error) {
+    logger.error(`Forgot password error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to send reset email",
+    })
+  }
+}
+
+// @desc    Reset password
+// @route   PUT /api/auth/reset-password/:token
+// @access  Public
+export const resetPassword = async (req, res) => {
+  try {
+    const { token } = req.params
+    const { password } = req.body
+
+    // Hash the token to compare with stored hash
+    const hashedToken = crypto.createHash("sha256").update(token).digest("hex")
+
+    const user = await User.findOne({
+      passwordResetToken: hashedToken,
+      passwordResetExpires: { $gt: Date.now() },
+    }).select("+password +passwordHistory")
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired reset token",
+      })
+    }
+
+    const { policy, errors } = await checkPasswordPolicy(user, password, "password")
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Password does not meet the password policy",
+        errors,
+      })
+    }
+
+    // Update password
+    user.setPassword(password, policy.historyCount)
+    user.hasChangedPassword = true // Mark that user has changed password
+    user.passwordResetToken = undefined
+    user.passwordResetExpires = undefined
+    const revoked = user.refreshTokens.map((session) => session._id)
+    user.refreshTokens = [] // Invalidate all sessions
+
+    // Setting a password through reset also completes a pending invitation
+    if (user.invitation?.status === "pending") {
+      user.invitation.status = "accepted"
+      user.invitation.acceptedAt = Date.now()
+      user.invitation.tokenHash = undefined
+    }
+    await user.save()
+
+    // Audit log
+    await createAuditLog({
+      action: "password_change",
+      user,
+      targetType: "user",
+      targetId: user._id,
+      description: "Password reset completed",
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Password reset successful. Please login with your new password.",
+    })
+
+    disconnectSessions(req.app.get("io"), revoked)
+  } catch (error) {
+    logger.error(`Reset password error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Password reset failed",
+    })
+  }
+}
+
+// @desc    Unlock own account from the lockout email link
+// @route   POST /api/auth/unlock-account
+// @access  Public
+export const unlockAccount = async (req, res) => {
+  try {
+    const { token } = req.body
+
+    // Hash the token to compare with stored hash
+    const hashedToken = crypto.createHash("sha256").update(token).digest("hex")
+
+    const user = await User.findOne({
+      unlockToken: hashedToken,
+      unlockExpires: { $gt: Date.now() },
+    })
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired unlock link",
+      })
+    }
+
+    user.unlockAccount()
+    await user.save({ validateBeforeSave: false })
+
+    // Audit log
+    await createAuditLog({
+      action: "account_unlock",
+      user,
+      targetType: "user",
+      targetId: user._id,
+      description: "Account unlocked via email link",
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Account unlocked. You can login again.",
+    })
+  } catch (error) {
+    logger.error(`Unlock account error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to unlock account",
+    })
+  }
+}
+
+// @desc    Accept invitation and set first password
+// @route   POST /api/auth/accept-invite
+// @access  Public
+export const acceptInvite = async (req, res) => {
+  try {
+    const { token, password } = req.body
+
+    // Hash the token to compare with stored hash
+    const hashedToken = crypto.createHash("sha256").update(token).digest("hex")
+
+    const user = await User.findOne({
+      "invitation.tokenHash": hashedToken,
+      "invitation.status": "pending",
+      "invitation.expiresAt": { $gt: Date.now() },
+    }).select("+password +passwordHistory")
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired invitation link",
+      })
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: "Your account has been deactivated. Please contact admin.",
+      })
+    }
+
+    const { policy, errors } = await checkPasswordPolicy(user, password, "password")
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Password does not meet the password policy",
+        errors,
+      })
+    }
+
+    // Set password and close the invitation (single use)
+    user.setPassword(password, policy.historyCount)
+    user.hasChangedPassword = true
+    user.invitation.status = "accepted"
+    user.invitation.acceptedAt = Date.now()
+    user.invitation.tokenHash = undefined
+    user.lastLogin = new Date()
+
+    const { accessToken, refreshToken } = user.createSession(getDeviceInfo(req))
+    await user.save()
+
+    // Audit log
+    await createAuditLog({
+      action: "invitation_accept",
+      user,
+      targetType: "user",
+      targetId: user._id,
+      description: "Invitation accepted and password set",
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Account activated successfully",
+      data: {
+        user: {
+          id: user._id,
+          memberId: user.memberId,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          email: user.email,
+          role: user.role,
+          isAdmin: user.isAdmin,
+          photo: user.photo,
+        },
+        accessToken,
+        refreshToken,
+      },
+    })
+  } catch (error) {
+    logger.error(`Accept invite error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to accept invitation",
+    })
+  }
+}
+
+// @desc    Change password
+// @route   PUT /api/auth/change-password
+// @access  Private
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body
+
+    const user = await User.findById(req.user._id).select("+password +passwordHistory")
+
+    // Verify current password
+    const isMatch = await user.comparePassword(currentPassword)
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        message: "Current password is incorrect",
+      })
+    }
+
+    const { policy, errors } = await checkPasswordPolicy(user, newPassword, "newPassword")
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Password does not meet the password policy",
+        errors,
+      })
+    }
+
+    // Update password
+    user.setPassword(newPassword, policy.historyCount)
+    user.hasChangedPassword = true // Mark that user has changed password
+    const revoked = user.refreshTokens.map((session) => session._id)
+    user.refreshTokens = [] // Invalidate all other sessions
+    await user.save()
+
+    // Generate new tokens
+    const { accessToken, refreshToken } = user.createSession(getDeviceInfo(req))
+    await user.save()
+
+    // Audit log
+    await createAuditLog({
+      action: "password_change",
+      user,
+      targetType: "user",
+      targetId: user._id,
+      description: "Password changed",
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Password changed successfully",
+      data: {
+        accessToken,
+        refreshToken,
+      },
+    })
+
+    disconnectSessions(req.app.get("io"), revoked)
+  } catch (error) {
+    logger.error(`Change password error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Password change failed",
+    })
+  }
+}
+
+// @desc    Setup 2FA
+// @route   POST /api/auth/setup-2fa
+// @access  Private
+export const setup2FA = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "2FA is already enabled",
+      })
+    }
+
+    // Generate secret
+    const secret = speakeasy.generateSecret({
+      name: `RotaractClub (${user.email})`,
+      length: 20,
+    })
+
+    // Generate QR code
+    const qrCode = await QRCode.toDataURL(secret.otpauth_url)
+
+    // Store secret temporarily (will be confirmed on verify)
+    user.twoFactorSecret = secret.base32
     await user.save()
 
     res.status(200).json({
@@ -720,8 +1360,9 @@ export const verify2FA = async (req, res) => {
       })
     }
 
-    // Enable 2FA
+    // Enable 2FA and issue recovery codes (shown once)
     user.twoFactorEnabled = true
+    const backupCodes = user.generateBackupCodes()
     await user.save()
 
     // Audit log
@@ -736,7 +1377,8 @@ export const verify2FA = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: "2FA enabled successfully",
+      message: "2FA enabled successfully. Store your backup codes somewhere safe.",
+      data: { backupCodes },
     })
   } catch (error) {
     logger.error(`2FA verify error: ${error.message}`)
@@ -752,9 +1394,9 @@ export const verify2FA = async (req, res) => {
 // @access  Private
 export const disable2FA = async (req, res) => {
   try {
-    const { password, code } = req.body
+    const { password, code, backupCode } = req.body
 
-    const user = await User.findById(req.user._id).select("+password +twoFactorSecret")
+    const user = await User.findById(req.user._id).select("+password +twoFactorSecret +twoFactorBackupCodes")
 
     // Verify password
     const isMatch = await user.comparePassword(password)
@@ -765,15 +1407,8 @@ export const disable2FA = async (req, res) => {
       })
     }
 
-    // Verify 2FA code
-    const verified = speakeasy.totp.verify({
-      secret: user.twoFactorSecret,
-      encoding: "base32",
-      token: code,
-      window: 2,
-    })
-
-    if (!verified) {
+    // Verify 2FA code (or a backup code if the authenticator is lost)
+    if (!verifySecondFactor(user, { twoFactorCode: code, backupCode })) {
       return res.status(400).json({
         success: false,
         message: "Invalid 2FA code",
@@ -783,6 +1418,7 @@ export const disable2FA = async (req, res) => {
     // Disable 2FA
     user.twoFactorEnabled = false
     user.twoFactorSecret = undefined
+    user.twoFactorBackupCodes = []
     await user.save()
 
     // Audit log
@@ -808,6 +1444,56 @@ export const disable2FA = async (req, res) => {
   }
 }
 
+// @desc    Regenerate 2FA backup codes (previous codes stop working)
+// @route   POST /api/auth/backup-codes
+// @access  Private
+export const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body
+
+    const user = await User.findById(req.user._id).select("+twoFactorSecret +twoFactorBackupCodes")
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "2FA is not enabled",
+      })
+    }
+
+    if (!verifySecondFactor(user, { twoFactorCode: code })) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid 2FA code",
+      })
+    }
+
+    const backupCodes = user.generateBackupCodes()
+    await user.save()
+
+    // Audit log
+    await createAuditLog({
+      action: "two_factor_backup_regenerate",
+      user,
+      targetType: "user",
+      targetId: user._id,
+      description: "2FA backup codes regenerated",
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Backup codes regenerated. Store them somewhere safe.",
+      data: { backupCodes },
+    })
+  } catch (error) {
+    logger.error(`Regenerate backup codes error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to regenerate backup codes",
+    })
+  }
+}
+
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
@@ -828,6 +1514,116 @@ export const getMe = async (req, res) => {
   }
 }
 
+// @desc    List active sessions (devices)
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = req.user.refreshTokens
+      .filter((session) => !session.expiresAt || session.expiresAt > Date.now())
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+      .map((session) => ({
+        id: session._id,
+        label: session.label,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: String(session._id) === String(req.sessionId),
+      }))
+
+    res.status(200).json({
+      success: true,
+      data: sessions,
+    })
+  } catch (error) {
+    logger.error(`Get sessions error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get sessions",
+    })
+  }
+}
+
+// @desc    Revoke a session (sign out a device)
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+export const revokeSession = async (req, res) => {
+  try {
+    const session = req.user.refreshTokens.id(req.params.sessionId)
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      })
+    }
+
+    session.deleteOne()
+    await req.user.save()
+
+    // Audit log
+    await createAuditLog({
+      action: "session_revoke",
+      user: req.user,
+      targetType: "user",
+      targetId: req.user._id,
+      description: `Signed out session: ${session.label || "Unknown device"}`,
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Session revoked successfully",
+    })
+
+    disconnectSessions(req.app.get("io"), [session._id])
+  } catch (error) {
+    logger.error(`Revoke session error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke session",
+    })
+  }
+}
+
+// @desc    Revoke all sessions except the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = req.user.refreshTokens.filter((session) => String(session._id) !== String(req.sessionId))
+
+    req.user.refreshTokens = req.user.refreshTokens.filter((session) => String(session._id) === String(req.sessionId))
+    await req.user.save()
+
+    // Audit log
+    await createAuditLog({
+      action: "session_revoke",
+      user: req.user,
+      targetType: "user",
+      targetId: req.user._id,
+      description: `Signed out ${revoked.length} other session(s)`,
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Other sessions revoked successfully",
+      data: { revoked: revoked.length },
+    })
+
+    disconnectSessions(req.app.get("io"), revoked.map((session) => session._id))
+  } catch (error) {
+    logger.error(`Revoke other sessions error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke sessions",
+    })
+  }
+}
+
 // @desc    Check login status (hasChangedPassword)
 // @route   GET /api/auth/check-login-status
 // @access  Public
@@ -860,6 +1656,7 @@ export const checkLoginStatus = async (req, res) => {
       data: {
         exists: true,
         hasChangedPassword: user.hasChangedPassword || false,
+        invitationPending: user.invitationStatus === "pending",
       },
     })
   } catch (error) {
@@ -877,13 +1674,24 @@ export default {
   adminLogin,
   logout,
   refreshToken,
+  requestMagicLink,
+  verifyMagicLink,
+  oidcLogin,
+  oidcCallback,
+  oidcExchange,
   forgotPassword,
   resetPassword,
+  unlockAccount,
+  acceptInvite,
   changePassword,
   setup2FA,
   verify2FA,
   disable2FA,
+  regenerateBackupCodes,
   getMe,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   checkLoginStatus,
 }
 
@@ -3,10 +3,33 @@
 // ============================================
 
 import Board from "../models/Board.model.js"
+import User from "../models/User.model.js"
 import { createAuditLog } from "../middleware/audit.middleware.js"
 import { getFinancialYear } from "../utils/helpers.js"
 import { logger } from "../utils/logger.js"
 
+// Record board positions in the tenure history of linked members who are in the board's year
+const syncBoardTenure = async (board) => {
+  const positions = new Map(
+    board.members.filter((member) => member.user).map((member) => [member.user.toString(), member.position]),
+  )
+
+  // Linked members plus anyone whose open tenure still holds a position on this board
+  const members = await User.find({
+    rotaractYear: board.rotaractYear,
+    $or: [
+      { _id: { $in: [...positions.keys()] } },
+      { tenureHistory: { $elemMatch: { endDate: null, boardPosition: { $ne: null } } } },
+    ],
+  })
+
+  for (const member of members) {
+    if (member.changeTenure({ boardPosition: positions.get(member._id.toString()) || null }, "board")) {
+      await member.save({ validateBeforeSave: false })
+    }
+  }
+}
+
 // @desc    Get current board
 // @route   GET /api/board
 // @access  Public
@@ -41,26 +64,62 @@ export const getCurrentBoard = async (req, res) => {
   }
 }
 
-// @desc    Get board by year
+// @desc    Get board by year (optionally a single position, e.g. ?position=joint_secretary)
 // @route   GET /api/board/:year
 // @access  Public
 export const getBoardByYear = async (req, res) => {
   try {
-    const board = await Board.findOne({ rotaractYear: req.params.year }).populate(
+    const { position } = req.query
+
+    let board = await Board.findOne({ rotaractYear: req.params.year }).populate(
       "members.user",
       "firstName lastName email photo",
     )
 
+    // No board document for that year: rebuild it from members' tenure history
     if (!board) {
-      return res.status(404).json({
-        success: false,
-        message: "Board not found for this year",
+      const holders = await User.find({
+        tenureHistory: { $elemMatch: { rotaractYear: req.params.year, boardPosition: { $ne: null } } },
+      }).select("firstName lastName email photo tenureHistory")
+
+      if (holders.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Board not found for this year",
+        })
+      }
+
+      const members = []
+      holders.forEach((holder) => {
+        const positions = holder.tenureHistory
+          .filter((tenure) => tenure.rotaractYear === req.params.year && tenure.boardPosition)
+          .map((tenure) => tenure.boardPosition)
+
+        new Set(positions).forEach((boardPosition) => {
+          members.push({
+            user: { _id: holder._id, firstName: holder.firstName, lastName: holder.lastName, photo: holder.photo },
+            name: holder.fullName,
+            position: boardPosition,
+            email: holder.email,
+          })
+        })
       })
+
+      board = {
+        rotaractYear: req.params.year,
+        members,
+        fromTenureHistory: true,
+      }
+    }
+
+    const data = typeof board.toObject === "function" ? board.toObject() : board
+    if (position) {
+      data.members = data.members.filter((member) => member.position === position)
     }
 
     res.status(200).json({
       success: true,
-      data: board,
+      data,
     })
   } catch (error) {
     logger.error(`Get board by year error: ${error.message}`)
@@ -112,6 +171,8 @@ export const createOrUpdateBoard = async (req, res) => {
       })
     }
 
+    await syncBoardTenure(board)
+
     // Audit log
     await createAuditLog({
       action: "board_update",
@@ -202,6 +263,7 @@ export const updateBoardMember = async (req, res) => {
     }
 
     await board.save()
+    await syncBoardTenure(board)
 
     // Audit log
     await createAuditLog({
@@ -0,0 +1,609 @@
+// ============================================
+// DUES CONTROLLER
+// ============================================
+
+import Dues from "../models/Dues.model.js"
+import User from "../models/User.model.js"
+import ClubSettings from "../models/ClubSettings.model.js"
+import { createAuditLog } from "../middleware/audit.middleware.js"
+import { sendEmail, emailTemplates } from "../utils/email.js"
+import { paginate, paginationResponse, getFinancialYear } from "../utils/helpers.js"
+import { logger } from "../utils/logger.js"
+
+// @desc    Get dues plans
+// @route   GET /api/dues/plans
+// @access  Private/Treasurer
+export const getDuesPlans = async (req, res) => {
+  try {
+    const settings = await ClubSettings.getSettings()
+    const { rotaractYear } = req.query
+
+    const plans = rotaractYear ? settings.duesPlans.filter((p) => p.rotaractYear === rotaractYear) : settings.duesPlans
+
+    res.status(200).json({
+      success: true,
+      data: plans,
+    })
+  } catch (error) {
+    logger.error(`Get dues plans error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get dues plans",
+    })
+  }
+}
+
+// @desc    Create dues plan
+// @route   POST /api/dues/plans
+// @access  Private/Treasurer
+export const createDuesPlan = async (req, res) => {
+  try {
+    const { rotaractYear, name, type, amount, dueDate, appliesToRoles } = req.body
+
+    const settings = await ClubSettings.getSettings()
+
+    settings.duesPlans.push({
+      rotaractYear,
+      name,
+      type,
+      amount,
+      dueDate,
+      appliesToRoles: appliesToRoles || [],
+    })
+    await settings.save()
+
+    const plan = settings.duesPlans[settings.duesPlans.length - 1]
+
+    // Audit log
+    await createAuditLog({
+      action: "dues_plan_update",
+      user: req.user,
+      targetType: "settings",
+      targetId: settings._id,
+      description: `Dues plan created: ${name} (${rotaractYear})`,
+      changes: req.body,
+      req,
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Dues plan created successfully",
+      data: plan,
+    })
+  } catch (error) {
+    logger.error(`Create dues plan error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to create dues plan",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Update dues plan
+// @route   PUT /api/dues/plans/:planId
+// @access  Private/Treasurer
+export const updateDuesPlan = async (req, res) => {
+  try {
+    const settings = await ClubSettings.getSettings()
+    const plan = settings.duesPlans.id(req.params.planId)
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: "Dues plan not found",
+      })
+    }
+
+    // Existing invoices keep their own amount and due date
+    const allowedUpdates = ["name", "type", "amount", "dueDate", "appliesToRoles", "isActive"]
+
+    const updates = {}
+    Object.keys(req.body).forEach((key) => {
+      if (allowedUpdates.includes(key)) {
+        updates[key] = req.body[key]
+      }
+    })
+
+    plan.set(updates)
+    await settings.save()
+
+    // Audit log
+    await createAuditLog({
+      action: "dues_plan_update",
+      user: req.user,
+      targetType: "settings",
+      targetId: settings._id,
+      description: `Dues plan updated: ${plan.name} (${plan.rotaractYear})`,
+      changes: updates,
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Dues plan updated successfully",
+      data: plan,
+    })
+  } catch (error) {
+    logger.error(`Update dues plan error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to update dues plan",
+    })
+  }
+}
+
+// @desc    Generate invoices for all eligible members under a plan
+// @route   POST /api/dues/plans/:planId/generate
+// @access  Private/Treasurer
+export const generateInvoices = async (req, res) => {
+  try {
+    const settings = await ClubSettings.getSettings()
+    const plan = settings.duesPlans.id(req.params.planId)
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: "Dues plan not found",
+      })
+    }
+
+    if (!plan.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot generate invoices for an inactive plan",
+      })
+    }
+
+    // Eligible members: active, non-alumni members of the plan's year
+    const memberQuery = { isActive: true, isAlumni: false, rotaractYear: plan.rotaractYear }
+    if (plan.appliesToRoles.length > 0) {
+      memberQuery.role = { $in: plan.appliesToRoles }
+    }
+
+    const [members, existing] = await Promise.all([
+      User.find(memberQuery).select("firstName lastName email"),
+      Dues.find({ "plan.planId": plan._id }).select("member"),
+    ])
+
+    const invoiced = new Set(existing.map((d) => d.member.toString()))
+    const toInvoice = members.filter((m) => !invoiced.has(m._id.toString()))
+
+    const invoices = await Dues.insertMany(
+      toInvoice.map((member) => ({
+        member: member._id,
+        plan: { planId: plan._id, name: plan.name, type: plan.type },
+        amount: plan.amount,
+        dueDate: plan.dueDate,
+        rotaractYear: plan.rotaractYear,
+        createdBy: req.user._id,
+      })),
+    )
+
+    // Email each member their invoice
+    for (const member of toInvoice) {
+      const invoiceEmail = emailTemplates.duesInvoice(member.firstName, plan.name, plan.amount, plan.dueDate)
+      await sendEmail({
+        to: member.email,
+        ...invoiceEmail,
+      })
+    }
+
+    // Audit log
+    await createAuditLog({
+      action: "dues_invoice_create",
+      user: req.user,
+      targetType: "dues",
+      description: `${invoices.length} dues invoices generated for ${plan.name} (${plan.rotaractYear})`,
+      req,
+    })
+
+    res.status(201).json({
+      success: true,
+      message: `${invoices.length} invoices generated`,
+      data: {
+        created: invoices.length,
+        skipped: members.length - toInvoice.length,
+      },
+    })
+
+    // Real-time: notify invoiced members
+    const io = req.app.get("io")
+    if (io) {
+      try {
+        invoices.forEach((invoice) => {
+          io.to(String(invoice.member)).emit("dues_invoice", {
+            duesId: invoice._id,
+            plan: plan.name,
+            amount: invoice.amount,
+            dueDate: invoice.dueDate,
+          })
+        })
+        io.to("treasurer").emit("dashboard_update", { reason: "dues_generated" })
+      } catch (socketError) {
+        logger.error(`Socket emit error (generateInvoices): ${socketError.message}`)
+      }
+    }
+  } catch (error) {
+    logger.error(`Generate invoices error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to generate invoices",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Get all dues invoices
+// @route   GET /api/dues
+// @access  Private/Treasurer
+export const getAllDues = async (req, res) => {
+  try {
+    await Dues.markOverdue()
+
+    const { page, limit } = paginate(req.query.page, req.query.limit)
+    const { status, member, planId, rotaractYear } = req.query
+
+    const query = {}
+    if (status) query.status = status
+    if (member) query.member = member
+    if (planId) query["plan.planId"] = planId
+    if (rotaractYear) query.rotaractYear = rotaractYear
+
+    const [dues, total] = await Promise.all([
+      Dues.find(query)
+        .populate("member", "firstName lastName email memberId")
+        .sort({ dueDate: 1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Dues.countDocuments(query),
+    ])
+
+    res.status(200).json({
+      success: true,
+      data: dues,
+      pagination: paginationResponse(total, page, limit),
+    })
+  } catch (error) {
+    logger.error(`Get dues error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get dues",
+    })
+  }
+}
+
+// @desc    Get outstanding dues grouped by member (treasurer view)
+// @route   GET /api/dues/outstanding
+// @access  Private/Treasurer
+export const getOutstandingDues = async (req, res) => {
+  try {
+    await Dues.markOverdue()
+
+    const year = req.query.rotaractYear || getFinancialYear()
+
+    const members = await Dues.aggregate([
+      { $match: { rotaractYear: year, status: { $in: ["unpaid", "partial", "overdue"] } } },
+      {
+        $group: {
+          _id: "$member",
+          invoices: { $sum: 1 },
+          totalDue: { $sum: "$amount" },
+          totalPaid: { $sum: "$amountPaid" },
+          overdueCount: { $sum: { $cond: [{ $eq: ["$status", "overdue"] }, 1, 0] } },
+          earliestDueDate: { $min: "$dueDate" },
+        },
+      },
+      { $addFields: { balance: { $subtract: ["$totalDue", "$totalPaid"] } } },
+      { $sort: { balance: -1 } },
+      {
+        $lookup: {
+          from: "users",
+          localField: "_id",
+          foreignField: "_id",
+          as: "member",
+        },
+      },
+      { $unwind: "$member" },
+      {
+        $project: {
+          _id: 1,
+          invoices: 1,
+          totalDue: 1,
+          totalPaid: 1,
+          balance: 1,
+          overdueCount: 1,
+          earliestDueDate: 1,
+          "member.firstName": 1,
+          "member.lastName": 1,
+          "member.memberId": 1,
+          "member.email": 1,
+          "member.phone": 1,
+        },
+      },
+    ])
+
+    const totals = {
+      membersWithDues: members.length,
+      totalOutstanding: members.reduce((sum, m) => sum + m.balance, 0),
+      overdueInvoices: members.reduce((sum, m) => sum + m.overdueCount, 0),
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        rotaractYear: year,
+        totals,
+        members,
+      },
+    })
+  } catch (error) {
+    logger.error(`Get outstanding dues error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get outstanding dues",
+    })
+  }
+}
+
+// @desc    Get logged-in member's dues
+// @route   GET /api/dues/my
+// @access  Private
+export const getMyDues = async (req, res) => {
+  try {
+    await Dues.markOverdue()
+
+    const dues = await Dues.find({ member: req.user._id }).sort({ dueDate: -1 })
+
+    res.status(200).json({
+      success: true,
+      data: dues,
+    })
+  } catch (error) {
+    logger.error(`Get my dues error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get dues",
+    })
+  }
+}
+
+// @desc    Record a (partial) payment against an invoice
+// @route   POST /api/dues/:id/payments
+// @access  Private/Treasurer
+export const recordDuesPayment = async (req, res) => {
+  try {
+    const { amount, paymentMode, reference, paidAt } = req.body
+
+    const dues = await Dues.findById(req.params.id).populate("member", "firstName lastName email")
+
+    if (!dues) {
+      return res.status(404).json({
+        success: false,
+        message: "Dues invoice not found",
+      })
+    }
+
+    if (dues.status === "paid" || dues.status === "waived") {
+      return res.status(400).json({
+        success: false,
+        message: `This invoice has already been ${dues.status === "paid" ? "paid in full" : "waived"}`,
+      })
+    }
+
+    const paymentAmount = parseFloat(amount)
+    if (paymentAmount > dues.balance) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment exceeds outstanding balance of ₹${dues.balance}`,
+      })
+    }
+
+    dues.payments.push({
+      amount: paymentAmount,
+      paymentMode,
+      reference,
+      paidAt: paidAt || new Date(),
+      recordedBy: req.user._id,
+    })
+    await dues.save()
+
+    // Send receipt to member
+    const receiptEmail = emailTemplates.duesPaymentReceived(
+      dues.member.firstName,
+      dues.plan.name,
+      paymentAmount,
+      dues.balance,
+    )
+    await sendEmail({
+      to: dues.member.email,
+      ...receiptEmail,
+    })
+
+    // Audit log
+    await createAuditLog({
+      action: "dues_payment",
+      user: req.user,
+      targetType: "dues",
+      targetId: dues._id,
+      description: `Dues payment recorded: ₹${paymentAmount} from ${dues.member.firstName} ${dues.member.lastName}`,
+      changes: { amount: paymentAmount, paymentMode, reference },
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: dues.status === "paid" ? "Invoice paid in full" : "Partial payment recorded",
+      data: dues,
+    })
+
+    // Real-time: notify member & treasurer dashboards
+    const io = req.app.get("io")
+    if (io) {
+      try {
+        io.to(String(dues.member._id)).emit("dues_payment_update", {
+          duesId: dues._id,
+          amount: paymentAmount,
+          balance: dues.balance,
+          status: dues.status,
+        })
+        io.to("treasurer").emit("dashboard_update", { reason: "dues_payment" })
+      } catch (socketError) {
+        logger.error(`Socket emit error (recordDuesPayment): ${socketError.message}`)
+      }
+    }
+  } catch (error) {
+    logger.error(`Record dues payment error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to record payment",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Waive the outstanding balance of an invoice
+// @route   POST /api/dues/:id/waive
+// @access  Private/Treasurer
+export const waiveDues = async (req, res) => {
+  try {
+    const { reason } = req.body
+
+    const dues = await Dues.findById(req.params.id).populate("member", "firstName lastName")
+
+    if (!dues) {
+      return res.status(404).json({
+        success: false,
+        message: "Dues invoice not found",
+      })
+    }
+
+    if (dues.status === "paid" || dues.status === "waived") {
+      return res.status(400).json({
+        success: false,
+        message: `This invoice has already been ${dues.status === "paid" ? "paid in full" : "waived"}`,
+      })
+    }
+
+    const waivedAmount = dues.balance
+    dues.status = "waived"
+    dues.waivedAt = new Date()
+    dues.waivedBy = req.user._id
+    dues.waiverReason = reason
+    await dues.save()
+
+    // Audit log
+    await createAuditLog({
+      action: "dues_waive",
+      user: req.user,
+      targetType: "dues",
+      targetId: dues._id,
+      description: `Dues waived: ₹${waivedAmount} of ${dues.plan.name} (${dues.member.firstName} ${dues.member.lastName})`,
+      changes: { waivedAmount, reason },
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Invoice waived",
+      data: dues,
+    })
+
+    // Real-time: refresh treasurer dashboards
+    const io = req.app.get("io")
+    if (io) {
+      try {
+        io.to("treasurer").emit("dashboard_update", { reason: "dues_waived" })
+      } catch (socketError) {
+        logger.error(`Socket emit error (waiveDues): ${socketError.message}`)
+      }
+    }
+  } catch (error) {
+    logger.error(`Waive dues error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to waive invoice",
+    })
+  }
+}
+
+// @desc    Send reminder emails for outstanding dues
+// @route   POST /api/dues/reminders
+// @access  Private/Treasurer
+export const sendDuesReminders = async (req, res) => {
+  try {
+    await Dues.markOverdue()
+
+    const { ids, rotaractYear, overdueOnly } = req.body
+
+    const query = { status: overdueOnly ? "overdue" : { $in: ["unpaid", "partial", "overdue"] } }
+    if (Array.isArray(ids) && ids.length > 0) {
+      query._id = { $in: ids }
+    } else {
+      query.rotaractYear = rotaractYear || getFinancialYear()
+    }
+
+    const dues = await Dues.find(query).populate("member", "firstName email isActive")
+
+    let sent = 0
+    for (const invoice of dues) {
+      if (!invoice.member?.isActive) continue
+
+      const reminderEmail = emailTemplates.duesReminder(
+        invoice.member.firstName,
+        invoice.plan.name,
+        invoice.balance,
+        invoice.dueDate,
+        invoice.status === "overdue",
+      )
+      const result = await sendEmail({
+        to: invoice.member.email,
+        ...reminderEmail,
+      })
+
+      if (!result?.error) {
+        invoice.lastReminderAt = new Date()
+        invoice.reminderCount += 1
+        await invoice.save()
+        sent += 1
+      }
+    }
+
+    // Audit log
+    await createAuditLog({
+      action: "dues_reminder",
+      user: req.user,
+      targetType: "dues",
+      description: `Dues reminders sent: ${sent} of ${dues.length}`,
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: `Reminders sent to ${sent} members`,
+      data: {
+        sent,
+        total: dues.length,
+      },
+    })
+  } catch (error) {
+    logger.error(`Send dues reminders error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to send reminders",
+    })
+  }
+}
+
+export default {
+  getDuesPlans,
+  createDuesPlan,
+  updateDuesPlan,
+  generateInvoices,
+  getAllDues,
+  getOutstandingDues,
+  getMyDues,
+  recordDuesPayment,
+  waiveDues,
+  sendDuesReminders,
+}
@@ -2,19 +2,70 @@
 // EVENT CONTROLLER
 // ============================================
 
+import jwt from "jsonwebtoken"
 import Event from "../models/Event.model.js"
 import Expense from "../models/Expense.model.js"
+import Income from "../models/Income.model.js"
+import VolunteerHours from "../models/VolunteerHours.model.js"
+import User from "../models/User.model.js"
+import config from "../config/config.js"
+import ExcelJS from "exceljs"
 import { createAuditLog } from "../middleware/audit.middleware.js"
+import { sendEmail, emailTemplates } from "../utils/email.js"
 import { paginate, paginationResponse, getFinancialYear } from "../utils/helpers.js"
 import { logger } from "../utils/logger.js"
 
+// Email and socket-notify members promoted off an event waitlist
+const notifyPromotedMembers = async (req, event, promoted) => {
+  if (promoted.length === 0) return
+
+  const members = await User.find({ _id: { $in: promoted.map((entry) => entry.member) } }).select(
+    "firstName email",
+  )
+
+  for (const member of members) {
+    const promotedEmail = emailTemplates.waitlistPromoted(member.firstName, event.name, event.startDate)
+    await sendEmail({
+      to: member.email,
+      ...promotedEmail,
+    })
+  }
+
+  const io = req.app.get("io")
+  if (io) {
+    try {
+      members.forEach((member) => {
+        io.to(String(member._id)).emit("rsvp_promoted", {
+          eventId: event._id,
+          eventName: event.name,
+          startDate: event.startDate,
+        })
+      })
+    } catch (socketError) {
+      logger.error(`Socket emit error (notifyPromotedMembers): ${socketError.message}`)
+    }
+  }
+}
+
 // @desc    Create new event
 // @route   POST /api/events
 // @access  Private/Admin
 export const createEvent = async (req, res) => {
   try {
-    const { name, description, startDate, endDate, category, tags, estimatedBudget, venue, coordinator, volunteers, attendees } =
-      req.body
+    const {
+      name,
+      description,
+      startDate,
+      endDate,
+      category,
+      tags,
+      estimatedBudget,
+      budgetLines,
+      venue,
+      coordinator,
+      volunteers,
+      capacity,
+    } = req.body
 
     const event = await Event.create({
       name,
@@ -24,10 +75,11 @@ export const createEvent = async (req, res) => {
       category,
       tags: tags || [],
       estimatedBudget,
+      budgetLines: budgetLines || [],
       venue,
       coordinator,
       volunteers,
-      attendees: parseInt(attendees) || 0,
+      capacity: parseInt(capacity) || 0,
       coverImage: req.file ? `/uploads/gallery/${req.file.filename}` : undefined,
       createdBy: req.user._id,
       rotaractYear: getFinancialYear(),
@@ -57,6 +109,7 @@ export const createEvent = async (req, res) => {
           eventId: event._id,
           name: event.name,
           startDate: event.startDate,
+          capacity: event.capacity,
         })
         io.to("admins").emit("dashboard_update", { reason: "event_created" })
       } catch (socketError) {
@@ -124,6 +177,7 @@ export const getEventById = async (req, res) => {
       .populate("coordinator", "firstName lastName email")
       .populate("volunteers", "firstName lastName")
       .populate("createdBy", "firstName lastName")
+      .populate("attendance.member", "firstName lastName memberId photo")
 
     if (!event) {
       return res.status(404).json({
@@ -139,12 +193,36 @@ export const getEventById = async (req, res) => {
         $group: {
           _id: "$category",
           total: { $sum: "$amount" },
+          approved: {
+            $sum: {
+              $cond: [{ $in: ["$status", ["approved", "reimbursed", "paid"]] }, "$amount", 0],
+            },
+          },
           count: { $sum: 1 },
         },
       },
     ])
 
-    const totalSpending = expensesSummary.reduce((sum, item) => sum + item.total, 0)
+    const totalSpending = expensesSummary.reduce((sum, item) => sum + item.approved, 0)
+
+    // Budget vs approved spending, overall and per budget line
+    const budgetSummary = {
+      estimatedBudget: event.estimatedBudget,
+      spent: totalSpending,
+      remaining: event.estimatedBudget - totalSpending,
+      usagePercent: event.estimatedBudget > 0 ? Math.round((totalSpending / event.estimatedBudget) * 100) : null,
+      lines: event.budgetLines.map((line) => {
+        const spent = expensesSummary.find((item) => item._id === line.category)?.approved || 0
+        return { category: line.category, budget: line.amount, spent, remaining: line.amount - spent }
+      }),
+    }
+
+    const attendanceSummary = {
+      checkedIn: event.attendance.filter((entry) => entry.checkInAt).length,
+      checkedOut: event.attendance.filter((entry) => entry.checkOutAt).length,
+    }
+
+    const myRegistration = event.registrations.find((r) => r.member.toString() === req.user._id.toString())
 
     res.status(200).json({
       success: true,
@@ -152,6 +230,9 @@ export const getEventById = async (req, res) => {
         ...event.toObject(),
         expensesSummary,
         actualSpending: totalSpending,
+        budgetSummary,
+        attendanceSummary,
+        myRegistration: myRegistration?.status !== "cancelled" ? myRegistration || null : null,
       },
     })
   } catch (error) {
@@ -185,12 +266,13 @@ export const updateEvent = async (req, res) => {
       "category",
       "tags",
       "estimatedBudget",
+      "budgetLines",
       "venue",
       "coordinator",
       "volunteers",
       "reportLink",
-      "attendees",
       "status",
+      "capacity",
     ]
 
     const updates = {}
@@ -206,6 +288,15 @@ export const updateEvent = async (req, res) => {
 
     const updatedEvent = await Event.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true })
 
+    // Capacity raised: move waitlisted members into the freed seats
+    let promoted = []
+    if (updates.capacity !== undefined) {
+      promoted = updatedEvent.promoteFromWaitlist()
+      if (promoted.length > 0) {
+        await updatedEvent.save()
+      }
+    }
+
     // Audit log
     await createAuditLog({
       action: "event_update",
@@ -232,6 +323,11 @@ export const updateEvent = async (req, res) => {
         logger.error(`Socket emit error (updateEvent): ${socketError.message}`)
       }
     }
+
+    // Response already sent; a failure here must not reach the catch below
+    notifyPromotedMembers(req, updatedEvent, promoted).catch((notifyError) =>
+      logger.error(`Waitlist promotion notify error (updateEvent): ${notifyError.message}`),
+    )
   } catch (error) {
     logger.error(`Update event error: ${error.message}`)
     res.status(500).json({
@@ -241,7 +337,7 @@ export const updateEvent = async (req, res) => {
   }
 }
 
-// @desc    Delete event
+// @desc    Delete event (moves to trash; ?cascade=true also trashes its expenses)
 // @route   DELETE /api/events/:id
 // @access  Private/Admin
 export const deleteEvent = async (req, res) => {
@@ -255,16 +351,42 @@ export const deleteEvent = async (req, res) => {
       })
     }
 
-    // Check if event has expenses
-    const expenseCount = await Expense.countDocuments({ event: event._id })
-    if (expenseCount > 0) {
+    // Records outside the trash would be left pointing at a deleted event
+    const [incomeCount, volunteerCount, settledCount, expenseCount] = await Promise.all([
+      Income.countDocuments({ event: event._id }),
+      VolunteerHours.countDocuments({ event: event._id }),
+      Expense.countDocuments({
+        event: event._id,
+        $or: [{ status: { $in: ["reimbursed", "paid"] } }, { payoutBatch: { $ne: null } }],
+      }),
+      Expense.countDocuments({ event: event._id }),
+    ])
+
+    if (incomeCount > 0 || volunteerCount > 0 || settledCount > 0) {
       return res.status(400).json({
         success: false,
-        message: `Cannot delete event with ${expenseCount} associated expenses`,
+        message:
+          `Cannot delete event with ${incomeCount} income entries, ${volunteerCount} volunteer hour entries ` +
+          `and ${settledCount} reimbursed or paid expenses`,
       })
     }
 
-    await event.deleteOne()
+    // Remaining expenses go to the trash with the event (and come back with it) only when asked
+    const cascade = req.query.cascade === "true"
+    if (expenseCount > 0 && !cascade) {
+      return res.status(400).json({
+        success: false,
+        message: `Event has ${expenseCount} associated expenses. Delete with cascade=true to move them to the trash too.`,
+      })
+    }
+
+    // Shared timestamp marks the expenses as deleted together with the event
+    const deletedAt = new Date()
+    if (expenseCount > 0) {
+      await Expense.updateMany({ event: event._id }, { deletedAt, deletedBy: req.user._id })
+    }
+    await event.softDelete(req.user._id, deletedAt)
+    const withExpenses = expenseCount > 0 ? ` (with ${expenseCount} expenses)` : ""
 
     // Audit log
     await createAuditLog({
@@ -272,13 +394,16 @@ export const deleteEvent = async (req, res) => {
       user: req.user,
       targetType: "event",
       targetId: event._id,
-      description: `Event deleted: ${event.name}`,
+      description: `Event moved to trash: ${event.name}${withExpenses}`,
       req,
     })
 
     res.status(200).json({
       success: true,
-      message: "Event deleted successfully",
+      message: "Event moved to trash",
+      data: {
+        expensesDeleted: expenseCount,
+      },
     })
 
     // Real-time: update dashboards after event deletion
@@ -299,6 +424,61 @@ export const deleteEvent = async (req, res) => {
   }
 }
 
+// @desc    Restore a deleted event (and the expenses deleted with it)
+// @route   POST /api/events/:id/restore
+// @access  Private/Admin
+export const restoreEvent = async (req, res) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, deletedAt: { $ne: null } })
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: "Deleted event not found",
+      })
+    }
+
+    const { modifiedCount } = await Expense.updateMany(
+      { event: event._id, deletedAt: event.deletedAt },
+      { deletedAt: null, $unset: { deletedBy: 1 } },
+    )
+    await event.restore()
+    const withExpenses = modifiedCount > 0 ? ` (with ${modifiedCount} expenses)` : ""
+
+    // Audit log
+    await createAuditLog({
+      action: "event_restore",
+      user: req.user,
+      targetType: "event",
+      targetId: event._id,
+      description: `Event restored from trash: ${event.name}${withExpenses}`,
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Event restored successfully",
+      data: event,
+    })
+
+    // Real-time: update dashboards after event restore
+    const io = req.app.get("io")
+    if (io) {
+      try {
+        io.to("admins").emit("dashboard_update", { reason: "event_restored" })
+      } catch (socketError) {
+        logger.error(`Socket emit error (restoreEvent): ${socketError.message}`)
+      }
+    }
+  } catch (error) {
+    logger.error(`Restore event error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to restore event",
+    })
+  }
+}
+
 // @desc    Add gallery images to event
 // @route   POST /api/events/:id/gallery
 // @access  Private/Admin
@@ -368,12 +548,634 @@ export const getEventsDropdown = async (req, res) => {
   }
 }
 
+// @desc    Get event attendance register
+// @route   GET /api/events/:id/attendance
+// @access  Private/Coordinator
+export const getAttendance = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id)
+      .select("name startDate endDate coordinator attendance attendees")
+      .populate("attendance.member", "firstName lastName memberId email photo")
+      .populate("attendance.markedBy", "firstName lastName")
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found",
+      })
+    }
+
+    if (!event.canCoordinate(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the event coordinator or an admin can view the attendance register",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        eventId: event._id,
+        name: event.name,
+        attendees: event.attendees,
+        attendance: event.attendance,
+      },
+    })
+  } catch (error) {
+    logger.error(`Get attendance error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get attendance",
+    })
+  }
+}
+
+// @desc    Check a member in or out by scanning their QR code
+// @route   POST /api/events/:id/attendance/scan
+// @access  Private/Coordinator
+export const scanAttendance = async (req, res) => {
+  try {
+    const { qrToken, action = "check_in" } = req.body
+
+    const event = await Event.findById(req.params.id)
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found",
+      })
+    }
+
+    if (!event.canCoordinate(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the event coordinator or an admin can record attendance",
+      })
+    }
+
+    if (event.status === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot record attendance for a cancelled event",
+      })
+    }
+
+    // Verify QR signature
+    let decoded
+    try {
+      decoded = jwt.verify(qrToken, config.attendanceQrSecret)
+    } catch {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired attendance QR code",
+      })
+    }
+
+    if (decoded.type !== "attendance") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid attendance QR code",
+      })
+    }
+
+    if (decoded.event !== event._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: "This QR code is for a different event",
+      })
+    }
+
+    const member = await User.findById(decoded.id).select("firstName lastName memberId isActive refreshTokens")
+
+    if (!member || !member.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found or inactive",
+      })
+    }
+
+    // The code dies with the login session it was issued to
+    if (!decoded.sid || !member.refreshTokens.id(decoded.sid)) {
+      return res.status(400).json({
+        success: false,
+        message: "This QR code has been revoked. Ask the member to refresh it.",
+      })
+    }
+
+    const now = new Date()
+    let entry = event.attendance.find((a) => a.member.toString() === member._id.toString())
+
+    if (action === "check_out") {
+      if (!entry?.checkInAt) {
+        return res.status(400).json({
+          success: false,
+          message: `${member.fullName} has not checked in to this event`,
+        })
+      }
+      if (entry.checkOutAt) {
+        return res.status(400).json({
+          success: false,
+          message: `${member.fullName} has already checked out`,
+        })
+      }
+      entry.checkOutAt = now
+      entry.markedBy = req.user._id
+    } else {
+      if (entry?.checkInAt) {
+        return res.status(400).json({
+          success: false,
+          message: `${member.fullName} has already checked in`,
+        })
+      }
+      event.attendance.push({
+        member: member._id,
+        checkInAt: now,
+        method: "qr",
+        markedBy: req.user._id,
+      })
+      entry = event.attendance[event.attendance.length - 1]
+    }
+
+    await event.save()
+
+    // Audit log
+    await createAuditLog({
+      action: action === "check_out" ? "attendance_check_out" : "attendance_check_in",
+      user: req.user,
+      targetType: "event",
+      targetId: event._id,
+      description: `${member.fullName} ${action === "check_out" ? "checked out of" : "checked in to"} ${event.name}`,
+      changes: { member: member._id },
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: action === "check_out" ? "Member checked out successfully" : "Member checked in successfully",
+      data: {
+        member: {
+          id: member._id,
+          name: member.fullName,
+          memberId: member.memberId,
+        },
+        entry,
+        attendees: event.attendees,
+      },
+    })
+
+    // Real-time: notify member & admin dashboards
+    const io = req.app.get("io")
+    if (io) {
+      try {
+        io.to(String(member._id)).emit("attendance_updated", {
+          eventId: event._id,
+          eventName: event.name,
+          action,
+          checkInAt: entry.checkInAt,
+          checkOutAt: entry.checkOutAt,
+        })
+        io.to("admins").emit("dashboard_update", { reason: "attendance_updated" })
+      } catch (socketError) {
+        logger.error(`Socket emit error (scanAttendance): ${socketError.message}`)
+      }
+    }
+  } catch (error) {
+    logger.error(`Scan attendance error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to record attendance",
+    })
+  }
+}
+
+// @desc    Manually set or remove a member's attendance
+// @route   PUT /api/events/:id/attendance/:memberId
+// @access  Private/Coordinator
+export const overrideAttendance = async (req, res) => {
+  try {
+    const { present, checkInAt, checkOutAt, notes } = req.body
+
+    const event = await Event.findById(req.params.id)
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found",
+      })
+    }
+
+    if (!event.canCoordinate(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the event coordinator or an admin can override attendance",
+      })
+    }
+
+    const member = await User.findById(req.params.memberId).select("firstName lastName memberId")
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found",
+      })
+    }
+
+    const entryIndex = event.attendance.findIndex((a) => a.member.toString() === member._id.toString())
+    const existing = entryIndex >= 0 ? event.attendance[entryIndex] : null
+
+    if (present === false || present === "false") {
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: "Member is not on the attendance register",
+        })
+      }
+      event.attendance.splice(entryIndex, 1)
+    } else {
+      const entryData = {
+        member: member._id,
+        checkInAt: checkInAt ? new Date(checkInAt) : existing?.checkInAt || new Date(),
+        checkOutAt: checkOutAt !== undefined ? (checkOutAt ? new Date(checkOutAt) : undefined) : existing?.checkOutAt,
+        method: "manual",
+        markedBy: req.user._id,
+        notes: notes !== undefined ? notes : existing?.notes,
+      }
+
+      if (entryData.checkOutAt && entryData.checkOutAt < entryData.checkInAt) {
+        return res.status(400).json({
+          success: false,
+          message: "Check-out time must be after check-in time",
+        })
+      }
+
+      if (existing) {
+        existing.set(entryData)
+      } else {
+        event.attendance.push(entryData)
+      }
+    }
+
+    await event.save()
+
+    // Audit log
+    await createAuditLog({
+      action: "attendance_override",
+      user: req.user,
+      targetType: "event",
+      targetId: event._id,
+      description: `Attendance ${present === false || present === "false" ? "removed" : "set"} manually for ${member.fullName} at ${event.name}`,
+      changes: { member: member._id, present, checkInAt, checkOutAt, notes },
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Attendance updated successfully",
+      data: {
+        attendees: event.attendees,
+        attendance: event.attendance,
+      },
+    })
+
+    // Real-time: notify member & admin dashboards
+    const io = req.app.get("io")
+    if (io) {
+      try {
+        io.to(String(member._id)).emit("attendance_updated", {
+          eventId: event._id,
+          eventName: event.name,
+          action: "override",
+        })
+        io.to("admins").emit("dashboard_update", { reason: "attendance_updated" })
+      } catch (socketError) {
+        logger.error(`Socket emit error (overrideAttendance): ${socketError.message}`)
+      }
+    }
+  } catch (error) {
+    logger.error(`Override attendance error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to update attendance",
+    })
+  }
+}
+
+// @desc    Register for an event (joins the waitlist when full)
+// @route   POST /api/events/:id/register
+// @access  Private
+export const registerForEvent = async (req, res) => {
+  try {
+    let event = await Event.findById(req.params.id)
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found",
+      })
+    }
+
+    if (!["upcoming", "ongoing"].includes(event.status) || event.isArchived) {
+      return res.status(400).json({
+        success: false,
+        message: `Registration is closed for ${event.status} events`,
+      })
+    }
+
+    const existing = event.registrations.find((r) => r.member.toString() === req.user._id.toString())
+
+    if (existing && existing.status !== "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message:
+          existing.status === "waitlisted"
+            ? "You are already on the waitlist for this event"
+            : "You are already registered for this event",
+      })
+    }
+
+    // Capacity check and seat claim happen in one update
+    const result = await Event.addRegistration(event._id, req.user._id)
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: "You are already registered for this event",
+      })
+    }
+
+    const { status } = result
+    event = result.event
+
+    const registration = event.registrations.find((r) => r.member.toString() === req.user._id.toString())
+    const waitlistPosition =
+      status === "waitlisted"
+        ? event.registrations
+            .filter((r) => r.status === "waitlisted")
+            .sort((a, b) => a.registeredAt - b.registeredAt)
+            .findIndex((r) => r.member.toString() === req.user._id.toString()) + 1
+        : null
+
+    // Audit log
+    await createAuditLog({
+      action: "event_register",
+      user: req.user,
+      targetType: "event",
+      targetId: event._id,
+      description: `${status === "waitlisted" ? "Joined waitlist" : "Registered"} for ${event.name}`,
+      req,
+    })
+
+    res.status(status === "waitlisted" ? 202 : 201).json({
+      success: true,
+      message:
+        status === "waitlisted"
+          ? `Event is full. You have been added to the waitlist at position ${waitlistPosition}`
+          : "Registered for event successfully",
+      data: {
+        registration,
+        waitlistPosition,
+        registeredCount: event.registeredCount,
+        capacity: event.capacity,
+      },
+    })
+
+    // Real-time: refresh admin dashboards
+    const io = req.app.get("io")
+    if (io) {
+      try {
+        io.to("admins").emit("rsvp_update", {
+          eventId: event._id,
+          registeredCount: event.registeredCount,
+          waitlistCount: event.waitlistCount,
+        })
+      } catch (socketError) {
+        logger.error(`Socket emit error (registerForEvent): ${socketError.message}`)
+      }
+    }
+  } catch (error) {
+    logger.error(`Register for event error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to register for event",
+    })
+  }
+}
+
+// @desc    Cancel event registration or leave the waitlist
+// @route   DELETE /api/events/:id/register
+// @access  Private
+export const cancelRegistration = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id)
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found",
+      })
+    }
+
+    const registration = event.registrations.find((r) => r.member.toString() === req.user._id.toString())
+
+    if (!registration || registration.status === "cancelled") {
+      return res.status(404).json({
+        success: false,
+        message: "You are not registered for this event",
+      })
+    }
+
+    registration.status = "cancelled"
+    registration.cancelledAt = new Date()
+
+    const promoted = event.promoteFromWaitlist()
+    await event.save()
+
+    // Audit log
+    await createAuditLog({
+      action: "event_register_cancel",
+      user: req.user,
+      targetType: "event",
+      targetId: event._id,
+      description: `Registration cancelled for ${event.name}`,
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Registration cancelled successfully",
+      data: {
+        registeredCount: event.registeredCount,
+        waitlistCount: event.waitlistCount,
+      },
+    })
+
+    // Real-time: refresh admin dashboards
+    const io = req.app.get("io")
+    if (io) {
+      try {
+        io.to("admins").emit("rsvp_update", {
+          eventId: event._id,
+          registeredCount: event.registeredCount,
+          waitlistCount: event.waitlistCount,
+        })
+      } catch (socketError) {
+        logger.error(`Socket emit error (cancelRegistration): ${socketError.message}`)
+      }
+    }
+
+    // Response already sent; a failure here must not reach the catch below
+    notifyPromotedMembers(req, event, promoted).catch((notifyError) =>
+      logger.error(`Waitlist promotion notify error (cancelRegistration): ${notifyError.message}`),
+    )
+  } catch (error) {
+    logger.error(`Cancel registration error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel registration",
+    })
+  }
+}
+
+// @desc    Get event registration roster
+// @route   GET /api/events/:id/registrations
+// @access  Private/Admin
+export const getRegistrations = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id)
+      .select("name startDate capacity registrations")
+      .populate("registrations.member", "firstName lastName memberId email phone")
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found",
+      })
+    }
+
+    const byStatus = (status) =>
+      event.registrations.filter((r) => r.status === status).sort((a, b) => a.registeredAt - b.registeredAt)
+
+    res.status(200).json({
+      success: true,
+      data: {
+        eventId: event._id,
+        name: event.name,
+        capacity: event.capacity,
+        registeredCount: event.registeredCount,
+        waitlistCount: event.waitlistCount,
+        registered: byStatus("registered"),
+        waitlisted: byStatus("waitlisted"),
+        cancelled: byStatus("cancelled"),
+      },
+    })
+  } catch (error) {
+    logger.error(`Get registrations error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get registrations",
+    })
+  }
+}
+
+// @desc    Export event registrants as Excel or CSV
+// @route   GET /api/events/:id/registrations/export
+// @access  Private/Admin
+export const exportRegistrations = async (req, res) => {
+  try {
+    const format = req.query.format === "csv" ? "csv" : "xlsx"
+
+    const event = await Event.findById(req.params.id)
+      .select("name registrations")
+      .populate("registrations.member", "firstName lastName memberId email phone")
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found",
+      })
+    }
+
+    // Create workbook
+    const workbook = new ExcelJS.Workbook()
+    workbook.creator = "Rotaract Club"
+    workbook.created = new Date()
+
+    const worksheet = workbook.addWorksheet("Registrations")
+
+    worksheet.columns = [
+      { header: "Status", key: "status", width: 12 },
+      { header: "Waitlist #", key: "waitlistPosition", width: 10 },
+      { header: "Member ID", key: "memberId", width: 15 },
+      { header: "Member Name", key: "memberName", width: 20 },
+      { header: "Email", key: "email", width: 25 },
+      { header: "Phone", key: "phone", width: 14 },
+      { header: "Registered At", key: "registeredAt", width: 20 },
+      { header: "Cancelled At", key: "cancelledAt", width: 20 },
+    ]
+
+    // Style header row
+    worksheet.getRow(1).fill = {
+      type: "pattern",
+      pattern: "solid",
+      fgColor: { argb: "FF4472C4" },
+    }
+    worksheet.getRow(1).font = { color: { argb: "FFFFFFFF" }, bold: true }
+
+    // Registered first, then waitlist in queue order, then cancellations
+    const statusOrder = { registered: 0, waitlisted: 1, cancelled: 2 }
+    const rows = [...event.registrations].sort(
+      (a, b) => statusOrder[a.status] - statusOrder[b.status] || a.registeredAt - b.registeredAt,
+    )
+
+    let waitlistPosition = 0
+    rows.forEach((registration) => {
+      worksheet.addRow({
+        status: registration.status,
+        waitlistPosition: registration.status === "waitlisted" ? ++waitlistPosition : "",
+        memberId: registration.member?.memberId || "",
+        memberName: `${registration.member?.firstName || ""} ${registration.member?.lastName || ""}`,
+        email: registration.member?.email || "",
+        phone: registration.member?.phone || "",
+        registeredAt: new Date(registration.registeredAt).toLocaleString(),
+        cancelledAt: registration.cancelledAt ? new Date(registration.cancelledAt).toLocaleString() : "",
+      })
+    })
+
+    const fileName = `registrations-${event._id}.${format}`
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv")
+      res.setHeader("Content-Disposition", `attachment; filename=${fileName}`)
+      await workbook.csv.write(res)
+    } else {
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet")
+      res.setHeader("Content-Disposition", `attachment; filename=${fileName}`)
+      await workbook.xlsx.write(res)
+    }
+    res.end()
+  } catch (error) {
+    logger.error(`Export registrations error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to export registrations",
+    })
+  }
+}
+
 export default {
   createEvent,
   getEvents,
   getEventById,
   updateEvent,
   deleteEvent,
+  restoreEvent,
   addGalleryImages,
   getEventsDropdown,
+  getAttendance,
+  scanAttendance,
+  overrideAttendance,
+  registerForEvent,
+  cancelRegistration,
+  getRegistrations,
+  exportRegistrations,
 }
@@ -6,11 +6,208 @@ import mongoose from "mongoose"
 import Expense from "../models/Expense.model.js"
 import Event from "../models/Event.model.js"
 import User from "../models/User.model.js"
+import ClubSettings from "../models/ClubSettings.model.js"
+import { FINANCE_ROLES } from "../config/permissions.js"
 import { createAuditLog } from "../middleware/audit.middleware.js"
 import { sendEmail, emailTemplates } from "../utils/email.js"
-import { paginate, paginationResponse, getFinancialYear } from "../utils/helpers.js"
+import { paginate, paginationResponse, getFinancialYear, hashFile } from "../utils/helpers.js"
 import { logger } from "../utils/logger.js"
 
+// Check if a user can sign a given step of the approval chain
+// Roles that sign a later step cannot take the treasurer step, or nobody would be left to sign theirs
+const canSignApprovalStep = (user, role, laterRoles = []) => {
+  if (role === "treasurer") return FINANCE_ROLES.includes(user.role) && !laterRoles.includes(user.role)
+  return user.role === role
+}
+
+// Sign the next step of an expense's approval chain for a user
+// Returns { statusCode, message } on failure, otherwise { stepRole, fullyApproved, overruns }
+const signApprovalStep = async (expense, user, settings, overrideBudget) => {
+  if (expense.status !== "pending") {
+    return { statusCode: 400, message: `Cannot approve expense with status: ${expense.status}` }
+  }
+
+  // Populated as null once the event is in the trash
+  const eventId = expense.event?._id || expense.event
+  const eventDoc = eventId && (await Event.findById(eventId))
+  if (!eventDoc) {
+    return { statusCode: 400, message: "This expense's event is in the trash. Restore the event first." }
+  }
+
+  // Approval chain: work out which role has to sign next
+  // Chain already satisfied (amount lowered after sign-offs): a finance role finalises it
+  expense.requiredApprovals = settings.getRequiredApprovals(expense.amount)
+  const stepRole = expense.requiredApprovals[expense.approvalSteps.length] || "treasurer"
+  const laterRoles = expense.requiredApprovals.slice(expense.approvalSteps.length + 1)
+
+  if (stepRole === "treasurer" && laterRoles.includes(user.role)) {
+    return {
+      statusCode: 403,
+      message: `This expense is awaiting treasurer approval. Your ${user.role.replace(/_/g, " ")} sign-off comes later.`,
+    }
+  }
+
+  if (!canSignApprovalStep(user, stepRole, laterRoles)) {
+    return { statusCode: 403, message: `This expense is awaiting ${stepRole.replace(/_/g, " ")} approval` }
+  }
+
+  if (expense.approvalSteps.some((step) => step.approvedBy.toString() === user._id.toString())) {
+    return {
+      statusCode: 400,
+      message: "You have already signed off on this expense. The next step needs a different approver.",
+    }
+  }
+
+  // Budget rule: block over-budget approvals unless the president overrides
+  let overruns = []
+  if (settings.budgetControl.blockOverBudgetApproval && !expense.budgetOverrideBy) {
+    const spending = await Event.getApprovedSpending(eventId)
+    overruns = eventDoc.getBudgetOverruns(spending, expense.category, expense.amount)
+
+    if (overruns.length > 0 && !(overrideBudget && user.role === "president")) {
+      return {
+        statusCode: 400,
+        message: "Approving this expense would exceed the event budget. Only the president can override.",
+        overruns,
+      }
+    }
+  }
+
+  expense.approvalSteps.push({
+    role: stepRole,
+    approvedBy: user._id,
+    approvedAt: new Date(),
+  })
+  if (overruns.length > 0) {
+    expense.budgetOverrideBy = user._id
+  }
+
+  const fullyApproved = expense.approvalSteps.length >= expense.requiredApprovals.length
+  if (fullyApproved) {
+    expense.status = "approved"
+    expense.approvedBy = user._id
+    expense.approvedAt = new Date()
+  }
+  await expense.save()
+
+  return { stepRole, fullyApproved, overruns }
+}
+
+// Maximum number of expenses processed by one bulk request
+const BULK_LIMIT = 200
+
+// Load expenses targeted by a bulk request: explicit IDs, or an event + status filter
+// IDs that do not match an expense are reported as failed results.
+// A filter matching more than BULK_LIMIT expenses is refused rather than partly processed
+const findBulkExpenses = async (body, defaultStatus) => {
+  const byIds = Array.isArray(body.ids) && body.ids.length > 0
+  const query = byIds ? { _id: { $in: body.ids } } : { event: body.event, status: body.status || defaultStatus }
+
+  if (!byIds) {
+    const matched = await Expense.countDocuments(query)
+    if (matched > BULK_LIMIT) {
+      return { limitMessage: `${matched} expenses match this filter; at most ${BULK_LIMIT} can be updated at once` }
+    }
+  }
+
+  const expenses = await Expense.find(query)
+    .populate("member", "firstName lastName email")
+    .populate("event", "name")
+    .sort({ createdAt: 1 })
+    .limit(BULK_LIMIT)
+
+  const results = []
+  if (byIds) {
+    const found = new Set(expenses.map((expense) => expense._id.toString()))
+    body.ids
+      .filter((id) => !found.has(String(id)))
+      .forEach((id) => results.push({ expenseId: id, success: false, message: "Expense not found" }))
+  }
+
+  return { expenses, results }
+}
+
+// Send one consolidated email per member for expenses updated in bulk
+const sendBulkMemberEmails = async (expenses, status, note) => {
+  const byMember = new Map()
+  expenses.forEach((expense) => {
+    const key = expense.member._id.toString()
+    if (!byMember.has(key)) byMember.set(key, { member: expense.member, items: [] })
+    byMember.get(key).items.push({ event: expense.event?.name || "", amount: expense.amount })
+  })
+
+  for (const { member, items } of byMember.values()) {
+    const bulkEmail = emailTemplates.expensesBulkUpdate(member.firstName, status, items, note)
+    await sendEmail({
+      to: member.email,
+      ...bulkEmail,
+    })
+  }
+}
+
+// Summarise per-item results of a bulk action
+const summarizeBulkResults = (results) => ({
+  succeeded: results.filter((item) => item.success).length,
+  failed: results.filter((item) => !item.success).length,
+  results,
+})
+
+// Reconcile an event's actualSpending and alert the treasurer when a budget threshold is crossed
+const reconcileEventBudget = async (req, eventId) => {
+  try {
+    const result = await Event.recalculateSpending(eventId)
+    if (!result || !result.event.estimatedBudget) return
+
+    const { event } = result
+    const settings = await ClubSettings.getSettings()
+    const usage = (event.actualSpending / event.estimatedBudget) * 100
+    const reached = Math.max(0, ...settings.budgetControl.alertThresholds.filter((threshold) => usage >= threshold))
+
+    // Spending dropped (expense deleted) - allow the alert to fire again later
+    if (reached < event.budgetAlertLevel) {
+      event.budgetAlertLevel = reached
+      await event.save()
+      return
+    }
+    if (reached === event.budgetAlertLevel) return
+
+    event.budgetAlertLevel = reached
+    await event.save()
+
+    const treasurers = await User.find({ role: "treasurer", isActive: true }).select("firstName email")
+    for (const treasurer of treasurers) {
+      const alertEmail = emailTemplates.budgetAlert(
+        treasurer.firstName,
+        event.name,
+        reached,
+        event.actualSpending,
+        event.estimatedBudget,
+      )
+      await sendEmail({
+        to: treasurer.email,
+        ...alertEmail,
+      })
+    }
+
+    const io = req.app.get("io")
+    if (io) {
+      try {
+        io.to("treasurer").emit("budget_alert", {
+          eventId: event._id,
+          event: event.name,
+          threshold: reached,
+          actualSpending: event.actualSpending,
+          estimatedBudget: event.estimatedBudget,
+        })
+      } catch (socketError) {
+        logger.error(`Socket emit error (reconcileEventBudget): ${socketError.message}`)
+      }
+    }
+  } catch (error) {
+    logger.error(`Budget reconcile error: ${error.message}`)
+  }
+}
+
 // @desc    Create new expense
 // @route   POST /api/expenses
 // @access  Private
@@ -27,6 +224,18 @@ export const createExpense = async (req, res) => {
       })
     }
 
+    const settings = await ClubSettings.getSettings()
+
+    // Flag possible duplicates (same bill file, or same member/event/amount/day)
+    const billHash = req.file ? await hashFile(req.file.path) : undefined
+    const duplicateWarnings = await Expense.findDuplicateWarnings({
+      billHash,
+      member: req.user._id,
+      event,
+      amount,
+      date,
+    })
+
     // Create expense
     const expense = await Expense.create({
       member: req.user._id,
@@ -39,6 +248,9 @@ export const createExpense = async (req, res) => {
       notes,
       billUrl: req.file ? `/uploads/bills/${req.file.filename}` : undefined,
       billOriginalName: req.file?.originalname,
+      billHash,
+      duplicateWarnings,
+      requiredApprovals: settings.getRequiredApprovals(amount),
       rotaractYear: getFinancialYear(),
     })
 
@@ -77,7 +289,10 @@ export const createExpense = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: "Expense submitted successfully",
+      message:
+        duplicateWarnings.length > 0
+          ? "Expense submitted. It looks similar to an existing expense and will be reviewed by the treasurer."
+          : "Expense submitted successfully",
       data: expense,
     })
 
@@ -94,6 +309,7 @@ export const createExpense = async (req, res) => {
           amount: expense.amount,
           category: expense.category,
           date: expense.date,
+          duplicateWarning: duplicateWarnings.length > 0,
         })
 
         io.to("admins").emit("dashboard_update", { reason: "expense_submitted" })
@@ -118,7 +334,7 @@ export const createExpense = async (req, res) => {
 export const getAllExpenses = async (req, res) => {
   try {
     const { page, limit } = paginate(req.query.page, req.query.limit)
-    const { status, category, event, member, month, year, rotaractYear } = req.query
+    const { status, category, event, member, month, year, rotaractYear, flagged } = req.query
 
     // Build query
     const query = {}
@@ -128,6 +344,7 @@ export const getAllExpenses = async (req, res) => {
     if (event) query.event = event
     if (member) query.member = member
     if (rotaractYear) query.rotaractYear = rotaractYear
+    if (flagged === "true") query["duplicateWarnings.0"] = { $exists: true }
 
     // Date filter
     if (month && year) {
@@ -141,6 +358,7 @@ export const getAllExpenses = async (req, res) => {
         .populate("event", "name")
         .populate("member", "firstName lastName email memberId role")
         .populate("approvedBy", "firstName lastName")
+        .populate("duplicateWarnings.matchedExpense", "amount date status")
         .sort({ createdAt: -1 })
         .skip((page - 1) * limit)
         .limit(limit),
@@ -172,6 +390,12 @@ export const getExpenseById = async (req, res) => {
       .populate("approvedBy", "firstName lastName")
       .populate("rejectedBy", "firstName lastName")
       .populate("reimbursedBy", "firstName lastName")
+      .populate("approvalSteps.approvedBy", "firstName lastName role")
+      .populate({
+        path: "duplicateWarnings.matchedExpense",
+        select: "member amount date status",
+        populate: { path: "member", select: "firstName lastName" },
+      })
 
     if (!expense) {
       return res.status(404).json({
@@ -206,7 +430,7 @@ export const getExpenseById = async (req, res) => {
 // @access  Private/Treasurer
 export const updateExpense = async (req, res) => {
   try {
-    const expense = await Expense.findById(req.params.id)
+    const expense = await Expense.findById(req.params.id).select("+billHash")
 
     if (!expense) {
       return res.status(404).json({
@@ -228,6 +452,25 @@ export const updateExpense = async (req, res) => {
     if (req.file) {
       updates.billUrl = `/uploads/bills/${req.file.filename}`
       updates.billOriginalName = req.file.originalname
+      updates.billHash = await hashFile(req.file.path)
+    }
+
+    // Re-check for duplicates when the bill or matching details change
+    if (req.file || updates.amount !== undefined || updates.date !== undefined) {
+      updates.duplicateWarnings = await Expense.findDuplicateWarnings({
+        billHash: updates.billHash || expense.billHash,
+        member: expense.member,
+        event: expense.event,
+        amount: updates.amount ?? expense.amount,
+        date: updates.date ?? expense.date,
+        excludeId: expense._id,
+      })
+    }
+
+    // Amount changed on a pending expense: the approval chain may change too
+    if (updates.amount !== undefined && expense.status === "pending") {
+      const settings = await ClubSettings.getSettings()
+      updates.requiredApprovals = settings.getRequiredApprovals(Number(updates.amount))
     }
 
     const updatedExpense = await Expense.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true })
@@ -250,6 +493,9 @@ export const updateExpense = async (req, res) => {
       message: "Expense updated successfully",
       data: updatedExpense,
     })
+
+    // Amount or category changes on an approved expense shift the event's spending
+    await reconcileEventBudget(req, expense.event)
   } catch (error) {
     logger.error(`Update expense error: ${error.message}`)
     res.status(500).json({
@@ -275,17 +521,64 @@ export const approveExpense = async (req, res) => {
       })
     }
 
-    if (expense.status !== "pending") {
-      return res.status(400).json({
+    const settings = await ClubSettings.getSettings()
+    const override = req.body.overrideBudget === true || req.body.overrideBudget === "true"
+    const result = await signApprovalStep(expense, req.user, settings, override)
+
+    if (result.statusCode) {
+      return res.status(result.statusCode).json({
         success: false,
-        message: `Cannot approve expense with status: ${expense.status}`,
+        message: result.message,
+        data: result.overruns ? { overruns: result.overruns } : undefined,
       })
     }
 
-    expense.status = "approved"
-    expense.approvedBy = req.user._id
-    expense.approvedAt = new Date()
-    await expense.save()
+    const { stepRole, fullyApproved, overruns } = result
+    const overrideNote = overruns.length > 0 ? " (over budget, president override)" : ""
+
+    if (!fullyApproved) {
+      const nextRole = expense.nextApprovalRole
+
+      // Audit log
+      await createAuditLog({
+        action: "expense_approval_step",
+        user: req.user,
+        targetType: "expense",
+        targetId: expense._id,
+        description: `Expense ₹${expense.amount} signed off as ${stepRole}${overrideNote}, awaiting ${nextRole}`,
+        changes: overruns.length > 0 ? { overruns } : undefined,
+        req,
+      })
+
+      res.status(200).json({
+        success: true,
+        message: `Approval recorded. Awaiting ${nextRole.replace(/_/g, " ")} approval.`,
+        data: expense,
+      })
+
+      // Real-time: notify the next approver(s)
+      const io = req.app.get("io")
+      if (io) {
+        try {
+          const approvers = await User.find({ role: nextRole, isActive: true }).select("_id")
+          approvers.forEach((approver) => {
+            io.to(String(approver._id)).emit("expense_approval_required", {
+              expenseId: expense._id,
+              memberName: `${expense.member.firstName} ${expense.member.lastName}`,
+              event: expense.event.name,
+              amount: expense.amount,
+              step: expense.approvalSteps.length + 1,
+              totalSteps: expense.requiredApprovals.length,
+              role: nextRole,
+            })
+          })
+          io.to("admins").emit("refresh_expense_table", {})
+        } catch (socketError) {
+          logger.error(`Socket emit error (approveExpense): ${socketError.message}`)
+        }
+      }
+      return
+    }
 
     // Send email to member
     const approvedEmail = emailTemplates.expenseApproved(expense.member.firstName, expense.amount, expense.event.name)
@@ -300,7 +593,8 @@ export const approveExpense = async (req, res) => {
       user: req.user,
       targetType: "expense",
       targetId: expense._id,
-      description: `Expense approved: ₹${expense.amount}`,
+      description: `Expense approved: ₹${expense.amount}${overrideNote}`,
+      changes: overruns.length > 0 ? { overruns } : undefined,
       req,
     })
 
@@ -328,6 +622,8 @@ export const approveExpense = async (req, res) => {
         logger.error(`Socket emit error (approveExpense): ${socketError.message}`)
       }
     }
+
+    await reconcileEventBudget(req, expense.event._id)
   } catch (error) {
     logger.error(`Approve expense error: ${error.message}`)
     res.status(500).json({
@@ -369,6 +665,14 @@ export const rejectExpense = async (req, res) => {
       })
     }
 
+    // Later approvers in the chain can reject at their own step
+    if (!FINANCE_ROLES.includes(req.user.role) && !canSignApprovalStep(req.user, expense.nextApprovalRole)) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not the pending approver for this expense",
+      })
+    }
+
     expense.status = "rejected"
     expense.rejectedBy = req.user._id
     expense.rejectedAt = new Date()
@@ -453,6 +757,13 @@ export const reimburseExpense = async (req, res) => {
       })
     }
 
+    if (expense.payoutBatch) {
+      return res.status(400).json({
+        success: false,
+        message: "This expense is part of a payout batch. Mark the batch as paid instead.",
+      })
+    }
+
     expense.status = "reimbursed"
     expense.reimbursedBy = req.user._id
     expense.reimbursedAt = new Date()
@@ -492,6 +803,8 @@ export const reimburseExpense = async (req, res) => {
         logger.error(`Socket emit error (reimburseExpense): ${socketError.message}`)
       }
     }
+
+    await reconcileEventBudget(req, expense.event)
   } catch (error) {
     logger.error(`Reimburse expense error: ${error.message}`)
     res.status(500).json({
@@ -501,7 +814,7 @@ export const reimburseExpense = async (req, res) => {
   }
 }
 
-// @desc    Delete expense
+// @desc    Delete expense (moves to trash; purged after the retention period)
 // @route   DELETE /api/expenses/:id
 // @access  Private/Treasurer
 export const deleteExpense = async (req, res) => {
@@ -515,7 +828,17 @@ export const deleteExpense = async (req, res) => {
       })
     }
 
-    await expense.deleteOne()
+    // Settled or batched expenses belong to the payout records
+    if (["reimbursed", "paid"].includes(expense.status) || expense.payoutBatch) {
+      return res.status(400).json({
+        success: false,
+        message: expense.payoutBatch
+          ? "Cannot delete an expense in a payout batch. Cancel the batch first."
+          : `Cannot delete an expense with status: ${expense.status}`,
+      })
+    }
+
+    await expense.softDelete(req.user._id)
 
     // Audit log
     await createAuditLog({
@@ -523,14 +846,16 @@ export const deleteExpense = async (req, res) => {
       user: req.user,
       targetType: "expense",
       targetId: expense._id,
-      description: `Expense deleted: ₹${expense.amount}`,
+      description: `Expense moved to trash: ₹${expense.amount}`,
       req,
     })
 
     res.status(200).json({
       success: true,
-      message: "Expense deleted successfully",
+      message: "Expense moved to trash",
     })
+
+    await reconcileEventBudget(req, expense.event)
   } catch (error) {
     logger.error(`Delete expense error: ${error.message}`)
     res.status(500).json({
@@ -540,6 +865,60 @@ export const deleteExpense = async (req, res) => {
   }
 }
 
+// @desc    Restore a deleted expense
+// @route   POST /api/expenses/:id/restore
+// @access  Private/Treasurer
+export const restoreExpense = async (req, res) => {
+  try {
+    const expense = await Expense.findOne({ _id: req.params.id, deletedAt: { $ne: null } })
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: "Deleted expense not found",
+      })
+    }
+
+    // Expenses trashed with their event come back by restoring the event
+    const [eventExists, memberExists] = await Promise.all([
+      Event.exists({ _id: expense.event }),
+      User.exists({ _id: expense.member }),
+    ])
+    if (!eventExists || !memberExists) {
+      return res.status(400).json({
+        success: false,
+        message: `Restore the expense's ${eventExists ? "member" : "event"} from the trash first`,
+      })
+    }
+
+    await expense.restore()
+
+    // Audit log
+    await createAuditLog({
+      action: "expense_restore",
+      user: req.user,
+      targetType: "expense",
+      targetId: expense._id,
+      description: `Expense restored from trash: ₹${expense.amount}`,
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Expense restored successfully",
+      data: expense,
+    })
+
+    await reconcileEventBudget(req, expense.event)
+  } catch (error) {
+    logger.error(`Restore expense error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to restore expense",
+    })
+  }
+}
+
 // @desc    Add manual expense (Treasurer)
 // @route   POST /api/expenses/manual
 // @access  Private/Treasurer
@@ -602,6 +981,10 @@ export const addManualExpense = async (req, res) => {
       })
     }
 
+    // Flag possible duplicates (same bill file, or same member/event/amount/day)
+    const billHash = req.file ? await hashFile(req.file.path) : undefined
+    const duplicateWarnings = await Expense.findDuplicateWarnings({ billHash, member, event, amount, date })
+
     const expense = await Expense.create({
       member,
       event,
@@ -614,6 +997,8 @@ export const addManualExpense = async (req, res) => {
       status,
       billUrl: req.file ? `/uploads/bills/${req.file.filename}` : undefined,
       billOriginalName: req.file?.originalname,
+      billHash,
+      duplicateWarnings,
       approvedBy: req.user._id,
       approvedAt: new Date(),
       rotaractYear: getFinancialYear(),
@@ -636,9 +1021,14 @@ export const addManualExpense = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: "Manual expense added successfully",
+      message:
+        duplicateWarnings.length > 0
+          ? "Manual expense added. Possible duplicate detected - please review."
+          : "Manual expense added successfully",
       data: expense,
     })
+
+    await reconcileEventBudget(req, eventDoc._id)
   } catch (error) {
     logger.error(`Add manual expense error: ${error.message}`)
     res.status(500).json({
@@ -649,6 +1039,323 @@ export const addManualExpense = async (req, res) => {
   }
 }
 
+// @desc    Approve expenses in bulk
+// @route   POST /api/expenses/bulk/approve
+// @access  Private/Treasurer
+export const bulkApproveExpenses = async (req, res) => {
+  try {
+    const settings = await ClubSettings.getSettings()
+    const override = req.body.overrideBudget === true || req.body.overrideBudget === "true"
+    const { expenses, results, limitMessage } = await findBulkExpenses(req.body, "pending")
+    if (limitMessage) {
+      return res.status(400).json({
+        success: false,
+        message: limitMessage,
+      })
+    }
+
+    const approved = []
+    const awaiting = []
+
+    for (const expense of expenses) {
+      try {
+        const result = await signApprovalStep(expense, req.user, settings, override)
+        if (result.statusCode) {
+          results.push({ expenseId: expense._id, success: false, message: result.message })
+          continue
+        }
+
+        const overrideNote = result.overruns.length > 0 ? " (over budget, president override)" : ""
+
+        // Audit log
+        await createAuditLog({
+          action: result.fullyApproved ? "expense_approve" : "expense_approval_step",
+          user: req.user,
+          targetType: "expense",
+          targetId: expense._id,
+          description: result.fullyApproved
+            ? `Expense approved (bulk): ₹${expense.amount}${overrideNote}`
+            : `Expense ₹${expense.amount} signed off as ${result.stepRole} (bulk)${overrideNote}, awaiting ${expense.nextApprovalRole}`,
+          changes: result.overruns.length > 0 ? { overruns: result.overruns } : undefined,
+          req,
+        })
+
+        if (result.fullyApproved) {
+          approved.push(expense)
+        } else {
+          awaiting.push(expense)
+        }
+        results.push({
+          expenseId: expense._id,
+          success: true,
+          status: expense.status,
+          nextApprovalRole: expense.nextApprovalRole,
+        })
+      } catch (itemError) {
+        results.push({ expenseId: expense._id, success: false, message: itemError.message })
+      }
+    }
+
+    await sendBulkMemberEmails(approved, "approved")
+
+    const summary = summarizeBulkResults(results)
+    res.status(200).json({
+      success: true,
+      message: `${summary.succeeded} of ${results.length} expenses approved`,
+      data: summary,
+    })
+
+    // Real-time: notify members, next approvers & dashboards
+    const io = req.app.get("io")
+    if (io) {
+      try {
+        approved.forEach((expense) => {
+          io.to(String(expense.member._id)).emit("expense_approved_update", {
+            expenseId: expense._id,
+            memberId: expense.member._id,
+            amount: expense.amount,
+            approvedBy: req.user.fullName || `${req.user.firstName} ${req.user.lastName}`,
+            status: expense.status,
+          })
+        })
+
+        const approversByRole = new Map()
+        for (const expense of awaiting) {
+          const nextRole = expense.nextApprovalRole
+          if (!approversByRole.has(nextRole)) {
+            approversByRole.set(nextRole, await User.find({ role: nextRole, isActive: true }).select("_id"))
+          }
+          approversByRole.get(nextRole).forEach((approver) => {
+            io.to(String(approver._id)).emit("expense_approval_required", {
+              expenseId: expense._id,
+              memberName: `${expense.member.firstName} ${expense.member.lastName}`,
+              event: expense.event.name,
+              amount: expense.amount,
+              step: expense.approvalSteps.length + 1,
+              totalSteps: expense.requiredApprovals.length,
+              role: nextRole,
+            })
+          })
+        }
+
+        io.to("admins").emit("dashboard_update", { reason: "expense_approved" })
+        io.to("admins").emit("refresh_expense_table", {})
+      } catch (socketError) {
+        logger.error(`Socket emit error (bulkApproveExpenses): ${socketError.message}`)
+      }
+    }
+
+    const eventIds = new Set(approved.map((expense) => expense.event._id.toString()))
+    for (const eventId of eventIds) {
+      await reconcileEventBudget(req, eventId)
+    }
+  } catch (error) {
+    logger.error(`Bulk approve expenses error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to approve expenses",
+    })
+  }
+}
+
+// @desc    Reject expenses in bulk with a shared reason
+// @route   POST /api/expenses/bulk/reject
+// @access  Private/Treasurer
+export const bulkRejectExpenses = async (req, res) => {
+  try {
+    const { reason } = req.body
+    const { expenses, results, limitMessage } = await findBulkExpenses(req.body, "pending")
+    if (limitMessage) {
+      return res.status(400).json({
+        success: false,
+        message: limitMessage,
+      })
+    }
+
+    const rejected = []
+
+    for (const expense of expenses) {
+      try {
+        if (expense.status !== "pending") {
+          results.push({
+            expenseId: expense._id,
+            success: false,
+            message: `Cannot reject expense with status: ${expense.status}`,
+          })
+          continue
+        }
+
+        if (!FINANCE_ROLES.includes(req.user.role) && !canSignApprovalStep(req.user, expense.nextApprovalRole)) {
+          results.push({
+            expenseId: expense._id,
+            success: false,
+            message: "You are not the pending approver for this expense",
+          })
+          continue
+        }
+
+        expense.status = "rejected"
+        expense.rejectedBy = req.user._id
+        expense.rejectedAt = new Date()
+        expense.rejectionReason = reason
+        await expense.save()
+
+        // Audit log
+        await createAuditLog({
+          action: "expense_reject",
+          user: req.user,
+          targetType: "expense",
+          targetId: expense._id,
+          description: `Expense rejected (bulk): ₹${expense.amount} - ${reason}`,
+          req,
+        })
+
+        rejected.push(expense)
+        results.push({ expenseId: expense._id, success: true, status: expense.status })
+      } catch (itemError) {
+        results.push({ expenseId: expense._id, success: false, message: itemError.message })
+      }
+    }
+
+    await sendBulkMemberEmails(rejected, "rejected", reason)
+
+    const summary = summarizeBulkResults(results)
+    res.status(200).json({
+      success: true,
+      message: `${summary.succeeded} of ${results.length} expenses rejected`,
+      data: summary,
+    })
+
+    // Real-time: notify members & dashboards
+    const io = req.app.get("io")
+    if (io) {
+      try {
+        rejected.forEach((expense) => {
+          io.to(String(expense.member._id)).emit("expense_rejected_update", {
+            expenseId: expense._id,
+            memberId: expense.member._id,
+            amount: expense.amount,
+            reason,
+            status: expense.status,
+          })
+        })
+
+        io.to("admins").emit("dashboard_update", { reason: "expense_rejected" })
+        io.to("admins").emit("refresh_expense_table", {})
+      } catch (socketError) {
+        logger.error(`Socket emit error (bulkRejectExpenses): ${socketError.message}`)
+      }
+    }
+  } catch (error) {
+    logger.error(`Bulk reject expenses error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to reject expenses",
+    })
+  }
+}
+
+// @desc    Mark expenses as reimbursed in bulk with a single payment reference
+// @route   POST /api/expenses/bulk/reimburse
+// @access  Private/Treasurer
+export const bulkReimburseExpenses = async (req, res) => {
+  try {
+    const { reference } = req.body
+    const { expenses, results, limitMessage } = await findBulkExpenses(req.body, "approved")
+    if (limitMessage) {
+      return res.status(400).json({
+        success: false,
+        message: limitMessage,
+      })
+    }
+
+    const reimbursed = []
+
+    for (const expense of expenses) {
+      try {
+        if (expense.status !== "approved") {
+          results.push({
+            expenseId: expense._id,
+            success: false,
+            message: "Only approved expenses can be marked as reimbursed",
+          })
+          continue
+        }
+
+        if (expense.payoutBatch) {
+          results.push({
+            expenseId: expense._id,
+            success: false,
+            message: "This expense is part of a payout batch. Mark the batch as paid instead.",
+          })
+          continue
+        }
+
+        expense.status = "reimbursed"
+        expense.reimbursedBy = req.user._id
+        expense.reimbursedAt = new Date()
+        expense.reimbursementReference = reference
+        await expense.save()
+
+        // Audit log
+        await createAuditLog({
+          action: "expense_reimburse",
+          user: req.user,
+          targetType: "expense",
+          targetId: expense._id,
+          description: `Expense reimbursed (bulk): ₹${expense.amount}${reference ? ` - ref ${reference}` : ""}`,
+          req,
+        })
+
+        reimbursed.push(expense)
+        results.push({ expenseId: expense._id, success: true, status: expense.status })
+      } catch (itemError) {
+        results.push({ expenseId: expense._id, success: false, message: itemError.message })
+      }
+    }
+
+    await sendBulkMemberEmails(reimbursed, "reimbursed", reference)
+
+    const summary = summarizeBulkResults(results)
+    res.status(200).json({
+      success: true,
+      message: `${summary.succeeded} of ${results.length} expenses marked as reimbursed`,
+      data: summary,
+    })
+
+    // Real-time: notify members & dashboards
+    const io = req.app.get("io")
+    if (io) {
+      try {
+        reimbursed.forEach((expense) => {
+          io.to(String(expense.member._id)).emit("reimbursement_notification", {
+            expenseId: expense._id,
+            memberId: expense.member._id,
+            amount: expense.amount,
+            reference,
+          })
+        })
+
+        io.to("admins").emit("dashboard_update", { reason: "expense_reimbursed" })
+        io.to("admins").emit("refresh_expense_table", {})
+      } catch (socketError) {
+        logger.error(`Socket emit error (bulkReimburseExpenses): ${socketError.message}`)
+      }
+    }
+
+    const eventIds = new Set(reimbursed.map((expense) => expense.event._id.toString()))
+    for (const eventId of eventIds) {
+      await reconcileEventBudget(req, eventId)
+    }
+  } catch (error) {
+    logger.error(`Bulk reimburse expenses error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to reimburse expenses",
+    })
+  }
+}
+
 export default {
   createExpense,
   getAllExpenses,
@@ -658,5 +1365,9 @@ export default {
   rejectExpense,
   reimburseExpense,
   deleteExpense,
+  restoreExpense,
   addManualExpense,
+  bulkApproveExpenses,
+  bulkRejectExpenses,
+  bulkReimburseExpenses,
 }
@@ -0,0 +1,290 @@
+// ============================================
+// INCOME CONTROLLER
+// ============================================
+
+import Income from "../models/Income.model.js"
+import Event from "../models/Event.model.js"
+import { createAuditLog } from "../middleware/audit.middleware.js"
+import { paginate, paginationResponse, getFinancialYear } from "../utils/helpers.js"
+import { logger } from "../utils/logger.js"
+
+// @desc    Record income
+// @route   POST /api/income
+// @access  Private/Treasurer
+export const createIncome = async (req, res) => {
+  try {
+    const { category, amount, date, source, paymentMode, reference, description, event } = req.body
+
+    let eventDoc
+    if (event) {
+      eventDoc = await Event.findById(event)
+      if (!eventDoc) {
+        return res.status(404).json({
+          success: false,
+          message: "Event not found",
+        })
+      }
+    } else if (category === "fundraiser") {
+      return res.status(400).json({
+        success: false,
+        message: "Fundraiser income must be linked to an event",
+      })
+    }
+
+    const income = await Income.create({
+      category,
+      amount,
+      date,
+      source,
+      paymentMode,
+      reference,
+      description,
+      event: eventDoc?._id,
+      receiptUrl: req.file ? `/uploads/bills/${req.file.filename}` : undefined,
+      receiptOriginalName: req.file?.originalname,
+      recordedBy: req.user._id,
+      rotaractYear: eventDoc?.rotaractYear || getFinancialYear(),
+    })
+
+    await income.populate([
+      { path: "event", select: "name category" },
+      { path: "recordedBy", select: "firstName lastName" },
+    ])
+
+    // Audit log
+    await createAuditLog({
+      action: "income_create",
+      user: req.user,
+      targetType: "income",
+      targetId: income._id,
+      description: `Income recorded: ₹${amount} from ${source}`,
+      req,
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Income recorded successfully",
+      data: income,
+    })
+
+    // Real-time: refresh dashboards
+    const io = req.app.get("io")
+    if (io) {
+      try {
+        io.to("admins").emit("dashboard_update", { reason: "income_recorded" })
+      } catch (socketError) {
+        logger.error(`Socket emit error (createIncome): ${socketError.message}`)
+      }
+    }
+  } catch (error) {
+    logger.error(`Create income error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to record income",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Get all income entries
+// @route   GET /api/income
+// @access  Private/Admin
+export const getAllIncome = async (req, res) => {
+  try {
+    const { page, limit } = paginate(req.query.page, req.query.limit)
+    const { category, event, rotaractYear, month, year } = req.query
+
+    const query = {}
+    if (category) query.category = category
+    if (event) query.event = event
+    if (rotaractYear) query.rotaractYear = rotaractYear
+
+    // Date filter
+    if (month && year) {
+      const startDate = new Date(year, month - 1, 1)
+      const endDate = new Date(year, month, 0)
+      query.date = { $gte: startDate, $lte: endDate }
+    }
+
+    const [income, total] = await Promise.all([
+      Income.find(query)
+        .populate("event", "name category")
+        .populate("recordedBy", "firstName lastName")
+        .sort({ date: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Income.countDocuments(query),
+    ])
+
+    res.status(200).json({
+      success: true,
+      data: income,
+      pagination: paginationResponse(total, page, limit),
+    })
+  } catch (error) {
+    logger.error(`Get income error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get income",
+    })
+  }
+}
+
+// @desc    Get income by ID
+// @route   GET /api/income/:id
+// @access  Private/Admin
+export const getIncomeById = async (req, res) => {
+  try {
+    const income = await Income.findById(req.params.id)
+      .populate("event", "name category startDate")
+      .populate("recordedBy", "firstName lastName")
+
+    if (!income) {
+      return res.status(404).json({
+        success: false,
+        message: "Income entry not found",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: income,
+    })
+  } catch (error) {
+    logger.error(`Get income by ID error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get income",
+    })
+  }
+}
+
+// @desc    Update income
+// @route   PUT /api/income/:id
+// @access  Private/Treasurer
+export const updateIncome = async (req, res) => {
+  try {
+    const income = await Income.findById(req.params.id)
+
+    if (!income) {
+      return res.status(404).json({
+        success: false,
+        message: "Income entry not found",
+      })
+    }
+
+    const allowedUpdates = ["category", "amount", "date", "source", "paymentMode", "reference", "description", "event"]
+    const updates = {}
+
+    Object.keys(req.body).forEach((key) => {
+      if (allowedUpdates.includes(key)) {
+        updates[key] = req.body[key]
+      }
+    })
+
+    // Same rules as createIncome: the entry takes its event's Rotaract year, and fundraisers need an event
+    if (Object.hasOwn(updates, "event")) {
+      if (updates.event) {
+        const eventDoc = await Event.findById(updates.event)
+        if (!eventDoc) {
+          return res.status(404).json({
+            success: false,
+            message: "Event not found",
+          })
+        }
+        updates.rotaractYear = eventDoc.rotaractYear
+      } else {
+        updates.event = null
+        updates.rotaractYear = getFinancialYear(new Date(updates.date || income.date))
+      }
+    }
+
+    const linkedEvent = Object.hasOwn(updates, "event") ? updates.event : income.event
+    if (!linkedEvent && (updates.category || income.category) === "fundraiser") {
+      return res.status(400).json({
+        success: false,
+        message: "Fundraiser income must be linked to an event",
+      })
+    }
+
+    // Update receipt if new one uploaded
+    if (req.file) {
+      updates.receiptUrl = `/uploads/bills/${req.file.filename}`
+      updates.receiptOriginalName = req.file.originalname
+    }
+
+    const updatedIncome = await Income.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true })
+      .populate("event", "name category")
+      .populate("recordedBy", "firstName lastName")
+
+    // Audit log
+    await createAuditLog({
+      action: "income_update",
+      user: req.user,
+      targetType: "income",
+      targetId: income._id,
+      description: "Income updated",
+      changes: updates,
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Income updated successfully",
+      data: updatedIncome,
+    })
+  } catch (error) {
+    logger.error(`Update income error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to update income",
+    })
+  }
+}
+
+// @desc    Delete income
+// @route   DELETE /api/income/:id
+// @access  Private/Treasurer
+export const deleteIncome = async (req, res) => {
+  try {
+    const income = await Income.findById(req.params.id)
+
+    if (!income) {
+      return res.status(404).json({
+        success: false,
+        message: "Income entry not found",
+      })
+    }
+
+    await income.deleteOne()
+
+    // Audit log
+    await createAuditLog({
+      action: "income_delete",
+      user: req.user,
+      targetType: "income",
+      targetId: income._id,
+      description: `Income deleted: ₹${income.amount} from ${income.source}`,
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Income deleted successfully",
+    })
+  } catch (error) {
+    logger.error(`Delete income error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete income",
+    })
+  }
+}
+
+export default {
+  createIncome,
+  getAllIncome,
+  getIncomeById,
+  updateIncome,
+  deleteIncome,
+}
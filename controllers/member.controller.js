@@ -4,9 +4,13 @@
 
 import User from "../models/User.model.js"
 import Expense from "../models/Expense.model.js"
+import Event from "../models/Event.model.js"
+import VolunteerHours from "../models/VolunteerHours.model.js"
 import { createAuditLog } from "../middleware/audit.middleware.js"
 import { paginate, paginationResponse, getFinancialYear } from "../utils/helpers.js"
 import { logger } from "../utils/logger.js"
+import QRCode from "qrcode"
+import jwt from "jsonwebtoken"
 
 // @desc    Get member dashboard data
 // @route   GET /api/members/dashboard
@@ -61,6 +65,34 @@ export const getDashboard = async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(5)
 
+    // Get attendance for this year
+    const attendedEvents = await Event.find({
+      rotaractYear: currentYear,
+      "attendance.member": userId,
+    })
+      .select("name startDate attendance.$")
+      .sort({ startDate: -1 })
+
+    // Get volunteer hours for this year
+    const hoursSummary = await VolunteerHours.aggregate([
+      { $match: { member: userId, rotaractYear: currentYear } },
+      { $group: { _id: "$status", hours: { $sum: "$hours" } } },
+    ])
+
+    const volunteerHours = {
+      approvedHours: hoursSummary.find((item) => item._id === "approved")?.hours || 0,
+      pendingHours: hoursSummary.find((item) => item._id === "pending")?.hours || 0,
+    }
+
+    const attendance = {
+      eventsAttended: attendedEvents.length,
+      recentAttendance: attendedEvents.slice(0, 5).map((event) => ({
+        event: { _id: event._id, name: event.name, startDate: event.startDate },
+        checkInAt: event.attendance[0]?.checkInAt,
+        checkOutAt: event.attendance[0]?.checkOutAt,
+      })),
+    }
+
     res.status(200).json({
       success: true,
       data: {
@@ -74,6 +106,8 @@ export const getDashboard = async (req, res) => {
         },
         summary,
         recentExpenses,
+        attendance,
+        volunteerHours,
       },
     })
   } catch (error) {
@@ -110,7 +144,16 @@ export const getProfile = async (req, res) => {
 // @access  Private
 export const updateProfile = async (req, res) => {
   try {
-    const allowedUpdates = ["firstName", "lastName", "phone", "dateOfBirth", "address", "collegeName", "courseName"]
+    const allowedUpdates = [
+      "firstName",
+      "lastName",
+      "phone",
+      "dateOfBirth",
+      "address",
+      "collegeName",
+      "courseName",
+      "payoutDetails",
+    ]
 
     const updates = {}
     Object.keys(req.body).forEach((key) => {
@@ -119,6 +162,24 @@ export const updateProfile = async (req, res) => {
       }
     })
 
+    // Payout fields are set one by one so a profile form showing only the masked
+    // account number does not wipe the stored one; the number itself is encrypted
+    const changes = { ...updates }
+    if (updates.payoutDetails) {
+      const { accountNumber, accountNumberMasked, ...payoutDetails } = updates.payoutDetails
+      delete updates.payoutDetails
+      Object.entries(payoutDetails).forEach(([key, value]) => {
+        updates[`payoutDetails.${key}`] = value
+      })
+
+      if (accountNumber !== undefined) {
+        const stored = accountNumber ? User.protectAccountNumber(accountNumber) : {}
+        updates["payoutDetails.accountNumber"] = stored.accountNumber || null
+        updates["payoutDetails.accountNumberMasked"] = stored.accountNumberMasked || null
+        changes.payoutDetails = { ...payoutDetails, accountNumber: stored.accountNumberMasked || null }
+      }
+    }
+
     const user = await User.findByIdAndUpdate(req.user._id, updates, { new: true, runValidators: true })
 
     // Audit log
@@ -128,7 +189,7 @@ export const updateProfile = async (req, res) => {
       targetType: "user",
       targetId: user._id,
       description: "Profile updated",
-      changes: updates,
+      changes,
       req,
     })
 
@@ -251,6 +312,42 @@ export const getExpense = async (req, res) => {
   }
 }
 
+// @desc    Get member's signed attendance QR code for an event
+// @route   GET /api/members/attendance-qr?event=:eventId
+// @access  Private
+export const getAttendanceQR = async (req, res) => {
+  try {
+    const event = await Event.findById(req.query.event).select("name status")
+
+    if (!event || event.status === "cancelled") {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found",
+      })
+    }
+
+    const qrToken = req.user.generateAttendanceToken(event._id, req.sessionId)
+    const qrCode = await QRCode.toDataURL(qrToken)
+
+    res.status(200).json({
+      success: true,
+      data: {
+        memberId: req.user.memberId,
+        event: { _id: event._id, name: event.name },
+        qrToken,
+        qrCode,
+        expiresAt: new Date(jwt.decode(qrToken).exp * 1000),
+      },
+    })
+  } catch (error) {
+    logger.error(`Attendance QR error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to generate attendance QR code",
+    })
+  }
+}
+
 export default {
   getDashboard,
   getProfile,
@@ -258,4 +355,5 @@ export default {
   updatePhoto,
   getMyExpenses,
   getExpense,
+  getAttendanceQR,
 }
@@ -0,0 +1,521 @@
+// ============================================
+// PAYOUT BATCH CONTROLLER
+// ============================================
+
+import PayoutBatch from "../models/PayoutBatch.model.js"
+import Expense from "../models/Expense.model.js"
+import { createAuditLog } from "../middleware/audit.middleware.js"
+import { sendEmail, emailTemplates } from "../utils/email.js"
+import { paginate, paginationResponse, getFinancialYear } from "../utils/helpers.js"
+import { logger } from "../utils/logger.js"
+import ExcelJS from "exceljs"
+
+// @desc    Create payout batch from approved expenses
+// @route   POST /api/payouts
+// @access  Private/Treasurer
+export const createPayoutBatch = async (req, res) => {
+  try {
+    const { ids, event, notes } = req.body
+
+    // Only approved expenses that are not already in another batch
+    const query = { status: "approved", payoutBatch: null }
+    if (Array.isArray(ids) && ids.length > 0) {
+      query._id = { $in: ids }
+    } else if (event) {
+      query.event = event
+    }
+
+    const expenses = await Expense.find(query).select("member amount rotaractYear")
+
+    if (expenses.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No approved expenses available for a payout batch",
+      })
+    }
+
+    const rotaractYear = getFinancialYear()
+    const memberTotals = PayoutBatch.buildMemberTotals(expenses)
+
+    const batch = await PayoutBatch.createNumbered({
+      expenses: expenses.map((expense) => expense._id),
+      memberTotals,
+      totalAmount: memberTotals.reduce((sum, item) => sum + item.amount, 0),
+      notes,
+      rotaractYear,
+      createdBy: req.user._id,
+    })
+
+    // Claim the expenses; if another batch took any of them meanwhile, undo and let the caller retry
+    const result = await Expense.updateMany(
+      { _id: { $in: batch.expenses }, status: "approved", payoutBatch: null },
+      { payoutBatch: batch._id },
+    )
+    if (result.modifiedCount !== batch.expenses.length) {
+      await Expense.updateMany({ payoutBatch: batch._id }, { $unset: { payoutBatch: 1 } })
+      await batch.deleteOne()
+      return res.status(400).json({
+        success: false,
+        message: "Some expenses were changed or batched by someone else. Please retry.",
+      })
+    }
+
+    await batch.populate("memberTotals.member", "firstName lastName memberId")
+
+    // Audit log
+    await createAuditLog({
+      action: "payout_batch_create",
+      user: req.user,
+      targetType: "payout_batch",
+      targetId: batch._id,
+      description: `Payout batch ${batch.batchNumber} created: ${batch.expenses.length} expenses, ₹${batch.totalAmount}`,
+      req,
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Payout batch created successfully",
+      data: batch,
+    })
+  } catch (error) {
+    logger.error(`Create payout batch error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to create payout batch",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Get payout batches
+// @route   GET /api/payouts
+// @access  Private/Treasurer
+export const getPayoutBatches = async (req, res) => {
+  try {
+    const { page, limit } = paginate(req.query.page, req.query.limit)
+    const { status, rotaractYear } = req.query
+
+    const query = {}
+    if (status) query.status = status
+    if (rotaractYear) query.rotaractYear = rotaractYear
+
+    const [batches, total] = await Promise.all([
+      PayoutBatch.find(query)
+        .select("-expenses")
+        .populate("createdBy", "firstName lastName")
+        .populate("paidBy", "firstName lastName")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PayoutBatch.countDocuments(query),
+    ])
+
+    res.status(200).json({
+      success: true,
+      data: batches,
+      pagination: paginationResponse(total, page, limit),
+    })
+  } catch (error) {
+    logger.error(`Get payout batches error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get payout batches",
+    })
+  }
+}
+
+// @desc    Get payout batch by ID
+// @route   GET /api/payouts/:id
+// @access  Private/Treasurer
+export const getPayoutBatchById = async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findById(req.params.id)
+      .populate({
+        path: "expenses",
+        select: "member event category amount date status",
+        populate: [
+          { path: "member", select: "firstName lastName memberId" },
+          { path: "event", select: "name" },
+        ],
+      })
+      .populate("memberTotals.member", "firstName lastName memberId email payoutDetails")
+      .populate("createdBy", "firstName lastName")
+      .populate("paidBy", "firstName lastName")
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: "Payout batch not found",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: batch,
+    })
+  } catch (error) {
+    logger.error(`Get payout batch error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get payout batch",
+    })
+  }
+}
+
+// @desc    Download payout sheet (Excel) or bank bulk-transfer file (CSV)
+// @route   GET /api/payouts/:id/export
+// @access  Private/Treasurer
+export const exportPayoutBatch = async (req, res) => {
+  try {
+    const { format } = req.query
+
+    const batch = await PayoutBatch.findById(req.params.id)
+      .populate({
+        path: "expenses",
+        select: "member event category amount date",
+        populate: [
+          { path: "member", select: "firstName lastName memberId" },
+          { path: "event", select: "name" },
+        ],
+      })
+      // Selecting payoutDetails as a whole includes the encrypted account number (decrypted only here)
+      .populate("memberTotals.member", "firstName lastName memberId email phone payoutDetails")
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: "Payout batch not found",
+      })
+    }
+
+    const workbook = new ExcelJS.Workbook()
+    workbook.creator = "Rotaract Club"
+    workbook.created = new Date()
+
+    // Bank bulk-transfer file: one row per member
+    if (format === "csv") {
+      const worksheet = workbook.addWorksheet("Bank Transfer")
+      worksheet.columns = [
+        { header: "Beneficiary Name", key: "name" },
+        { header: "Account Number", key: "accountNumber" },
+        { header: "IFSC", key: "ifscCode" },
+        { header: "Bank Name", key: "bankName" },
+        { header: "UPI ID", key: "upiId" },
+        { header: "Amount", key: "amount" },
+        { header: "Narration", key: "narration" },
+      ]
+
+      batch.memberTotals.forEach((entry) => {
+        const details = entry.member?.payoutDetails || {}
+        worksheet.addRow({
+          name: details.accountHolderName || `${entry.member?.firstName || ""} ${entry.member?.lastName || ""}`,
+          accountNumber: entry.member?.getAccountNumber() || "",
+          ifscCode: details.ifscCode || "",
+          bankName: details.bankName || "",
+          upiId: details.upiId || "",
+          amount: entry.amount.toFixed(2),
+          narration: `${batch.batchNumber} ${entry.member?.memberId || ""}`.trim(),
+        })
+      })
+
+      res.setHeader("Content-Type", "text/csv")
+      res.setHeader("Content-Disposition", `attachment; filename=${batch.batchNumber}-bank-transfer.csv`)
+      await workbook.csv.write(res)
+      return res.end()
+    }
+
+    // Payout sheet: member totals + expense breakdown
+    const summarySheet = workbook.addWorksheet("Member Totals")
+    summarySheet.columns = [
+      { header: "Member ID", key: "memberId", width: 15 },
+      { header: "Member Name", key: "memberName", width: 22 },
+      { header: "Expenses", key: "expenseCount", width: 10 },
+      { header: "Amount (₹)", key: "amount", width: 12 },
+      { header: "UPI ID", key: "upiId", width: 22 },
+      { header: "Account Number", key: "accountNumber", width: 20 },
+      { header: "IFSC", key: "ifscCode", width: 14 },
+      { header: "Bank", key: "bankName", width: 18 },
+    ]
+    summarySheet.getRow(1).fill = {
+      type: "pattern",
+      pattern: "solid",
+      fgColor: { argb: "FF4472C4" },
+    }
+    summarySheet.getRow(1).font = { color: { argb: "FFFFFFFF" }, bold: true }
+
+    batch.memberTotals.forEach((entry) => {
+      const details = entry.member?.payoutDetails || {}
+      summarySheet.addRow({
+        memberId: entry.member?.memberId || "",
+        memberName: `${entry.member?.firstName || ""} ${entry.member?.lastName || ""}`,
+        expenseCount: entry.expenseCount,
+        amount: entry.amount,
+        upiId: details.upiId || "",
+        accountNumber: entry.member?.getAccountNumber() || "",
+        ifscCode: details.ifscCode || "",
+        bankName: details.bankName || "",
+      })
+    })
+    summarySheet.addRow({})
+    summarySheet.addRow({ memberId: "TOTAL", amount: batch.totalAmount })
+
+    const expenseSheet = workbook.addWorksheet("Expenses")
+    expenseSheet.columns = [
+      { header: "Date", key: "date", width: 12 },
+      { header: "Member ID", key: "memberId", width: 15 },
+      { header: "Member Name", key: "memberName", width: 22 },
+      { header: "Event", key: "event", width: 25 },
+      { header: "Category", key: "category", width: 18 },
+      { header: "Amount (₹)", key: "amount", width: 12 },
+    ]
+    expenseSheet.getRow(1).font = { bold: true }
+
+    batch.expenses.forEach((expense) => {
+      expenseSheet.addRow({
+        date: new Date(expense.date).toLocaleDateString(),
+        memberId: expense.member?.memberId || "",
+        memberName: `${expense.member?.firstName || ""} ${expense.member?.lastName || ""}`,
+        event: expense.event?.name || "",
+        category: expense.category,
+        amount: expense.amount,
+      })
+    })
+
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet")
+    res.setHeader("Content-Disposition", `attachment; filename=${batch.batchNumber}.xlsx`)
+
+    await workbook.xlsx.write(res)
+    res.end()
+  } catch (error) {
+    logger.error(`Export payout batch error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to export payout batch",
+    })
+  }
+}
+
+// @desc    Mark payout batch as paid (reimburses all included expenses)
+// @route   PUT /api/payouts/:id/paid
+// @access  Private/Treasurer
+export const markPayoutBatchPaid = async (req, res) => {
+  try {
+    const { reference } = req.body
+
+    let batch = await PayoutBatch.findById(req.params.id)
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: "Payout batch not found",
+      })
+    }
+
+    if (batch.status !== "draft") {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot mark a ${batch.status} batch as paid`,
+      })
+    }
+
+    const notApproved = "Some expenses in this batch are no longer approved. Review the batch before paying."
+    const approvedCount = await Expense.countDocuments({
+      _id: { $in: batch.expenses },
+      status: "approved",
+      payoutBatch: batch._id,
+    })
+    if (approvedCount !== batch.expenses.length) {
+      return res.status(400).json({
+        success: false,
+        message: notApproved,
+      })
+    }
+
+    // Claim the batch first so a double submit or a concurrent cancel cannot act on it too
+    const paidAt = new Date()
+    batch = await PayoutBatch.findOneAndUpdate(
+      { _id: batch._id, status: "draft" },
+      { status: "paid", paymentReference: reference, paidAt, paidBy: req.user._id },
+      { new: true },
+    )
+    if (!batch) {
+      return res.status(400).json({
+        success: false,
+        message: "Payout batch was changed by someone else. Please refresh.",
+      })
+    }
+
+    // All expenses move to reimbursed together, or none do
+    const paidExpenses = { _id: { $in: batch.expenses }, payoutBatch: batch._id }
+    const result = await Expense.updateMany(
+      { ...paidExpenses, status: "approved" },
+      {
+        status: "reimbursed",
+        reimbursedBy: req.user._id,
+        reimbursedAt: paidAt,
+        reimbursementReference: reference || batch.batchNumber,
+      },
+    )
+    if (result.modifiedCount !== batch.expenses.length) {
+      await Expense.updateMany(
+        { ...paidExpenses, status: "reimbursed", reimbursedAt: paidAt },
+        { status: "approved", $unset: { reimbursedBy: 1, reimbursedAt: 1, reimbursementReference: 1 } },
+      )
+      await PayoutBatch.updateOne(
+        { _id: batch._id },
+        { status: "draft", $unset: { paymentReference: 1, paidAt: 1, paidBy: 1 } },
+      )
+      return res.status(400).json({
+        success: false,
+        message: notApproved,
+      })
+    }
+
+    const expenses = await Expense.find({ _id: { $in: batch.expenses } })
+      .populate("member", "firstName lastName email")
+      .populate("event", "name")
+
+    // Audit log (one entry per expense plus the batch)
+    for (const expense of expenses) {
+      await createAuditLog({
+        action: "expense_reimburse",
+        user: req.user,
+        targetType: "expense",
+        targetId: expense._id,
+        description: `Expense reimbursed via payout batch ${batch.batchNumber}: ₹${expense.amount}`,
+        req,
+      })
+    }
+    await createAuditLog({
+      action: "payout_batch_paid",
+      user: req.user,
+      targetType: "payout_batch",
+      targetId: batch._id,
+      description: `Payout batch ${batch.batchNumber} paid: ₹${batch.totalAmount}${reference ? ` - ref ${reference}` : ""}`,
+      req,
+    })
+
+    // One email per member
+    const byMember = new Map()
+    expenses.forEach((expense) => {
+      const key = expense.member._id.toString()
+      if (!byMember.has(key)) byMember.set(key, { member: expense.member, items: [] })
+      byMember.get(key).items.push({ event: expense.event?.name || "", amount: expense.amount })
+    })
+    for (const { member, items } of byMember.values()) {
+      const paidEmail = emailTemplates.expensesBulkUpdate(
+        member.firstName,
+        "reimbursed",
+        items,
+        reference || batch.batchNumber,
+      )
+      await sendEmail({
+        to: member.email,
+        ...paidEmail,
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Payout batch ${batch.batchNumber} marked as paid`,
+      data: batch,
+    })
+
+    // Real-time: notify members & dashboards
+    const io = req.app.get("io")
+    if (io) {
+      try {
+        expenses.forEach((expense) => {
+          io.to(String(expense.member._id)).emit("reimbursement_notification", {
+            expenseId: expense._id,
+            memberId: expense.member._id,
+            amount: expense.amount,
+            reference: reference || batch.batchNumber,
+          })
+        })
+
+        io.to("admins").emit("dashboard_update", { reason: "expense_reimbursed" })
+        io.to("admins").emit("refresh_expense_table", {})
+      } catch (socketError) {
+        logger.error(`Socket emit error (markPayoutBatchPaid): ${socketError.message}`)
+      }
+    }
+  } catch (error) {
+    logger.error(`Mark payout batch paid error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to mark payout batch as paid",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Cancel a draft payout batch and release its expenses
+// @route   PUT /api/payouts/:id/cancel
+// @access  Private/Treasurer
+export const cancelPayoutBatch = async (req, res) => {
+  try {
+    let batch = await PayoutBatch.findById(req.params.id)
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: "Payout batch not found",
+      })
+    }
+
+    if (batch.status !== "draft") {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel a ${batch.status} batch`,
+      })
+    }
+
+    // Only a batch that is still a draft can be cancelled (it may have been paid meanwhile)
+    batch = await PayoutBatch.findOneAndUpdate(
+      { _id: batch._id, status: "draft" },
+      { status: "cancelled", cancelledAt: new Date(), cancelledBy: req.user._id },
+      { new: true },
+    )
+    if (!batch) {
+      return res.status(400).json({
+        success: false,
+        message: "Payout batch was changed by someone else. Please refresh.",
+      })
+    }
+
+    // Include trashed expenses so they can be batched again once restored
+    await Expense.updateMany({ payoutBatch: batch._id }, { $unset: { payoutBatch: 1 } }).withDeleted()
+
+    // Audit log
+    await createAuditLog({
+      action: "payout_batch_cancel",
+      user: req.user,
+      targetType: "payout_batch",
+      targetId: batch._id,
+      description: `Payout batch ${batch.batchNumber} cancelled`,
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Payout batch cancelled",
+      data: batch,
+    })
+  } catch (error) {
+    logger.error(`Cancel payout batch error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel payout batch",
+    })
+  }
+}
+
+export default {
+  createPayoutBatch,
+  getPayoutBatches,
+  getPayoutBatchById,
+  exportPayoutBatch,
+  markPayoutBatchPaid,
+  cancelPayoutBatch,
+}
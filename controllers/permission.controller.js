@@ -0,0 +1,159 @@
+// ============================================
+// PERMISSION CONTROLLER
+// ============================================
+
+import RolePermission from "../models/RolePermission.model.js"
+import { USER_ROLES } from "../models/User.model.js"
+import { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } from "../config/permissions.js"
+import { createAuditLog } from "../middleware/audit.middleware.js"
+import { getFinancialYear } from "../utils/helpers.js"
+import { logger } from "../utils/logger.js"
+
+// @desc    Get permission registry and role mapping for a year
+// @route   GET /api/permissions
+// @access  Private/Permission (permission.manage)
+export const getPermissions = async (req, res) => {
+  try {
+    const rotaractYear = req.query.rotaractYear || getFinancialYear()
+    const mapping = await RolePermission.getMapping(rotaractYear)
+
+    res.status(200).json({
+      success: true,
+      data: {
+        rotaractYear,
+        permissions: PERMISSIONS,
+        roles: USER_ROLES.map((role) => ({
+          role,
+          permissions: mapping.roles.find((grant) => grant.role === role)?.permissions || [],
+        })),
+        updatedAt: mapping.updatedAt,
+      },
+    })
+  } catch (error) {
+    logger.error(`Get permissions error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get permissions",
+    })
+  }
+}
+
+// @desc    Set the permissions granted to a role
+// @route   PUT /api/permissions/:role
+// @access  Private/Permission (permission.manage)
+export const updateRolePermissions = async (req, res) => {
+  try {
+    const { role } = req.params
+    const { permissions } = req.body
+    const rotaractYear = req.body.rotaractYear || getFinancialYear()
+
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid role",
+      })
+    }
+
+    const unknown = permissions.filter((permission) => !PERMISSIONS[permission])
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permissions: ${unknown.join(", ")}`,
+      })
+    }
+
+    const mapping = await RolePermission.getMapping(rotaractYear)
+    const grant = mapping.roles.find((item) => item.role === role)
+    const previous = grant ? [...grant.permissions] : []
+
+    if (grant) {
+      grant.permissions = [...new Set(permissions)]
+    } else {
+      mapping.roles.push({ role, permissions: [...new Set(permissions)] })
+    }
+
+    // Never lock everyone out of this screen
+    if (!mapping.roles.some((item) => item.permissions.includes("permission.manage"))) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one role must keep the permission.manage permission",
+      })
+    }
+
+    mapping.updatedBy = req.user._id
+    await mapping.save()
+
+    // Audit log
+    await createAuditLog({
+      action: "permission_update",
+      user: req.user,
+      targetType: "permission",
+      targetId: mapping._id,
+      description: `Permissions for ${role} updated (${rotaractYear})`,
+      changes: {
+        role,
+        added: permissions.filter((permission) => !previous.includes(permission)),
+        removed: previous.filter((permission) => !permissions.includes(permission)),
+      },
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Role permissions updated successfully",
+      data: {
+        rotaractYear,
+        role,
+        permissions: mapping.roles.find((item) => item.role === role).permissions,
+      },
+    })
+  } catch (error) {
+    logger.error(`Update role permissions error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to update role permissions",
+    })
+  }
+}
+
+// @desc    Reset a year's mapping to the built-in defaults
+// @route   POST /api/permissions/reset
+// @access  Private/Permission (permission.manage)
+export const resetPermissions = async (req, res) => {
+  try {
+    const rotaractYear = req.body.rotaractYear || getFinancialYear()
+    const mapping = await RolePermission.getMapping(rotaractYear)
+
+    mapping.roles = Object.entries(DEFAULT_ROLE_PERMISSIONS).map(([role, permissions]) => ({ role, permissions }))
+    mapping.updatedBy = req.user._id
+    await mapping.save()
+
+    // Audit log
+    await createAuditLog({
+      action: "permission_update",
+      user: req.user,
+      targetType: "permission",
+      targetId: mapping._id,
+      description: `Permissions reset to defaults (${rotaractYear})`,
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Permissions reset to defaults",
+      data: mapping,
+    })
+  } catch (error) {
+    logger.error(`Reset permissions error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to reset permissions",
+    })
+  }
+}
+
+export default {
+  getPermissions,
+  updateRolePermissions,
+  resetPermissions,
+}
@@ -4,6 +4,9 @@
 
 import Expense from "../models/Expense.model.js"
 import Event from "../models/Event.model.js"
+import VolunteerHours from "../models/VolunteerHours.model.js"
+import Dues from "../models/Dues.model.js"
+import Income from "../models/Income.model.js"
 import { getFinancialYear, formatCurrency } from "../utils/helpers.js"
 import { logger } from "../utils/logger.js"
 import PDFDocument from "pdfkit"
@@ -25,8 +28,8 @@ export const getFinancialSummary = async (req, res) => {
     const year = rotaractYear || getFinancialYear()
 
     // Get comprehensive financial data
-    const [expensesByCategory, expensesByStatus, expensesByMonth, expensesByEvent, topContributors] = await Promise.all(
-      [
+    const [expensesByCategory, expensesByStatus, expensesByMonth, expensesByEvent, topContributors, duesByType] =
+      await Promise.all([
         // By category
         Expense.aggregate([
           { $match: { rotaractYear: year } },
@@ -118,8 +121,34 @@ export const getFinancialSummary = async (req, res) => {
           },
           { $unwind: "$member" },
         ]),
-      ],
-    )
+
+        // Dues collected vs outstanding
+        Dues.aggregate([
+          { $match: { rotaractYear: year } },
+          {
+            $group: {
+              _id: "$plan.type",
+              // A waived invoice only counts what was paid before the waiver
+              invoiced: { $sum: { $cond: [{ $eq: ["$status", "waived"] }, "$amountPaid", "$amount"] } },
+              collected: { $sum: "$amountPaid" },
+              count: { $sum: 1 },
+            },
+          },
+        ]),
+      ])
+
+    // Income by category
+    const incomeByCategory = await Income.aggregate([
+      { $match: { rotaractYear: year } },
+      {
+        $group: {
+          _id: "$category",
+          total: { $sum: "$amount" },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { total: -1 } },
+    ])
 
     // Calculate totals
     const totals = {
@@ -128,8 +157,17 @@ export const getFinancialSummary = async (req, res) => {
       totalPending: expensesByStatus.find((s) => s._id === "pending")?.total || 0,
       totalRejected: expensesByStatus.find((s) => s._id === "rejected")?.total || 0,
       totalReimbursed: expensesByStatus.find((s) => s._id === "reimbursed")?.total || 0,
+      duesCollected: duesByType.reduce((sum, item) => sum + item.collected, 0),
+      duesOutstanding: duesByType.reduce((sum, item) => sum + (item.invoiced - item.collected), 0),
+      totalIncome: incomeByCategory.reduce((sum, item) => sum + item.total, 0),
     }
 
+    // Net balance = income + dues collected - approved/settled expenses
+    const totalSpent = expensesByStatus
+      .filter((s) => ["approved", "reimbursed", "paid"].includes(s._id))
+      .reduce((sum, item) => sum + item.total, 0)
+    totals.netBalance = totals.totalIncome + totals.duesCollected - totalSpent
+
     res.status(200).json({
       success: true,
       data: {
@@ -140,6 +178,8 @@ export const getFinancialSummary = async (req, res) => {
         expensesByMonth,
         expensesByEvent,
         topContributors,
+        duesByType,
+        incomeByCategory,
       },
     })
   } catch (error) {
@@ -209,11 +249,66 @@ export const getMemberWiseReport = async (req, res) => {
       },
     ])
 
+    // Approved volunteer hours per member
+    const hoursReport = await VolunteerHours.aggregate([
+      { $match: { rotaractYear: year, status: "approved" } },
+      {
+        $group: {
+          _id: "$member",
+          volunteerHours: { $sum: "$hours" },
+          eventsVolunteered: { $addToSet: "$event" },
+        },
+      },
+      {
+        $lookup: {
+          from: "users",
+          localField: "_id",
+          foreignField: "_id",
+          as: "member",
+        },
+      },
+      { $unwind: "$member" },
+      {
+        $project: {
+          _id: 1,
+          volunteerHours: 1,
+          eventsVolunteered: { $size: "$eventsVolunteered" },
+          "member.firstName": 1,
+          "member.lastName": 1,
+          "member.memberId": 1,
+          "member.email": 1,
+        },
+      },
+    ])
+
+    // Merge hours into expense rows; volunteers without expenses get their own row
+    const hoursByMember = new Map(hoursReport.map((item) => [item._id.toString(), item]))
+    memberReport.forEach((item) => {
+      const hours = hoursByMember.get(item._id.toString())
+      item.volunteerHours = hours?.volunteerHours || 0
+      item.eventsVolunteered = hours?.eventsVolunteered || 0
+      hoursByMember.delete(item._id.toString())
+    })
+    hoursByMember.forEach((hours) => {
+      memberReport.push({
+        _id: hours._id,
+        totalAmount: 0,
+        expenseCount: 0,
+        approvedAmount: 0,
+        pendingAmount: 0,
+        rejectedAmount: 0,
+        volunteerHours: hours.volunteerHours,
+        eventsVolunteered: hours.eventsVolunteered,
+        member: hours.member,
+      })
+    })
+
     res.status(200).json({
       success: true,
       data: {
         rotaractYear: year,
         members: memberReport,
+        totalVolunteerHours: hoursReport.reduce((sum, item) => sum + item.volunteerHours, 0),
       },
     })
   } catch (error) {
@@ -236,13 +331,30 @@ export const getEventWiseReport = async (req, res) => {
     const eventReport = await Event.aggregate([
       { $match: { rotaractYear: year } },
       {
+        // Lookups skip the soft-delete hook, so leave out trashed entries here
         $lookup: {
           from: "expenses",
-          localField: "_id",
-          foreignField: "event",
+          let: { eventId: "$_id" },
+          pipeline: [{ $match: { $expr: { $eq: ["$event", "$$eventId"] }, deletedAt: null } }],
           as: "expenses",
         },
       },
+      {
+        $lookup: {
+          from: "volunteerhours",
+          let: { eventId: "$_id" },
+          pipeline: [{ $match: { $expr: { $eq: ["$event", "$$eventId"] }, status: "approved" } }],
+          as: "volunteerHours",
+        },
+      },
+      {
+        $lookup: {
+          from: "incomes",
+          let: { eventId: "$_id" },
+          pipeline: [{ $match: { $expr: { $eq: ["$event", "$$eventId"] }, deletedAt: null } }],
+          as: "income",
+        },
+      },
       {
         $project: {
           name: 1,
@@ -269,6 +381,9 @@ export const getEventWiseReport = async (req, res) => {
           budgetVariance: {
             $subtract: ["$estimatedBudget", { $sum: "$expenses.amount" }],
           },
+          totalVolunteerHours: { $sum: "$volunteerHours.hours" },
+          volunteerCount: { $size: { $setUnion: ["$volunteerHours.member", []] } },
+          totalIncome: { $sum: "$income.amount" },
         },
       },
       { $sort: { startDate: -1 } },
@@ -299,10 +414,14 @@ export const exportPDF = async (req, res) => {
     const year = rotaractYear || getFinancialYear()
 
     // Get data
-    const expenses = await Expense.find({ rotaractYear: year })
-      .populate("member", "firstName lastName memberId")
-      .populate("event", "name")
-      .sort({ date: -1 })
+    const [expenses, income, dues] = await Promise.all([
+      Expense.find({ rotaractYear: year })
+        .populate("member", "firstName lastName memberId")
+        .populate("event", "name")
+        .sort({ date: -1 }),
+      Income.find({ rotaractYear: year }).populate("event", "name").sort({ date: -1 }),
+      Dues.find({ rotaractYear: year }).select("amountPaid"),
+    ])
 
     // Create PDF
     const doc = new PDFDocument({ margin: 50 })
@@ -324,9 +443,15 @@ export const exportPDF = async (req, res) => {
       .filter((e) => ["approved", "reimbursed", "paid"].includes(e.status))
       .reduce((sum, e) => sum + e.amount, 0)
 
+    const incomeAmount = income.reduce((sum, i) => sum + i.amount, 0)
+    const duesCollected = dues.reduce((sum, d) => sum + d.amountPaid, 0)
+
     doc.fontSize(12).text(`Total Expenses: ${formatCurrency(totalAmount)}`)
     doc.text(`Approved/Paid: ${formatCurrency(approvedAmount)}`)
     doc.text(`Total Entries: ${expenses.length}`)
+    doc.text(`Total Income: ${formatCurrency(incomeAmount)}`)
+    doc.text(`Dues Collected: ${formatCurrency(duesCollected)}`)
+    doc.text(`Net Balance: ${formatCurrency(incomeAmount + duesCollected - approvedAmount)}`)
     doc.moveDown()
 
     // Table header
@@ -359,6 +484,38 @@ export const exportPDF = async (req, res) => {
       doc.moveDown()
     })
 
+    // Income table
+    if (income.length > 0) {
+      doc.addPage()
+      doc.fontSize(14).text("Income", { align: "left" })
+      doc.moveDown()
+
+      doc.fontSize(10)
+      doc.text("Date", 50, doc.y, { width: 70 })
+      doc.text("Source", 120, doc.y - 12, { width: 130 })
+      doc.text("Event", 250, doc.y - 12, { width: 100 })
+      doc.text("Category", 350, doc.y - 12, { width: 100 })
+      doc.text("Amount", 450, doc.y - 12, { width: 80 })
+      doc.moveDown()
+
+      doc.moveTo(50, doc.y).lineTo(550, doc.y).stroke()
+      doc.moveDown(0.5)
+
+      income.forEach((entry) => {
+        if (doc.y > 700) {
+          doc.addPage()
+        }
+
+        const y = doc.y
+        doc.text(new Date(entry.date).toLocaleDateString(), 50, y, { width: 70 })
+        doc.text(entry.source, 120, y, { width: 130 })
+        doc.text(entry.event?.name || "", 250, y, { width: 100 })
+        doc.text(entry.category, 350, y, { width: 100 })
+        doc.text(`₹${entry.amount}`, 450, y, { width: 80 })
+        doc.moveDown()
+      })
+    }
+
     // Footer
     doc.moveDown(2)
     doc.fontSize(8).text(`Generated on: ${new Date().toLocaleString()}`, { align: "center" })
@@ -382,10 +539,14 @@ export const exportExcel = async (req, res) => {
     const year = rotaractYear || getFinancialYear()
 
     // Get data
-    const expenses = await Expense.find({ rotaractYear: year })
-      .populate("member", "firstName lastName memberId email")
-      .populate("event", "name")
-      .sort({ date: -1 })
+    const [expenses, income, dues] = await Promise.all([
+      Expense.find({ rotaractYear: year })
+        .populate("member", "firstName lastName memberId email")
+        .populate("event", "name")
+        .sort({ date: -1 }),
+      Income.find({ rotaractYear: year }).populate("event", "name").sort({ date: -1 }),
+      Dues.find({ rotaractYear: year }).select("amountPaid"),
+    ])
 
     // Create workbook
     const workbook = new ExcelJS.Workbook()
@@ -441,6 +602,51 @@ export const exportExcel = async (req, res) => {
       amount: expenses.reduce((sum, e) => sum + e.amount, 0),
     })
 
+    // Income worksheet
+    const incomeSheet = workbook.addWorksheet("Income")
+    incomeSheet.columns = [
+      { header: "Date", key: "date", width: 12 },
+      { header: "Category", key: "category", width: 18 },
+      { header: "Source", key: "source", width: 25 },
+      { header: "Event", key: "event", width: 25 },
+      { header: "Amount (₹)", key: "amount", width: 12 },
+      { header: "Payment Mode", key: "paymentMode", width: 15 },
+      { header: "Reference", key: "reference", width: 20 },
+      { header: "Description", key: "description", width: 30 },
+    ]
+    incomeSheet.getRow(1).fill = {
+      type: "pattern",
+      pattern: "solid",
+      fgColor: { argb: "FF4472C4" },
+    }
+    incomeSheet.getRow(1).font = { color: { argb: "FFFFFFFF" }, bold: true }
+
+    income.forEach((entry) => {
+      incomeSheet.addRow({
+        date: new Date(entry.date).toLocaleDateString(),
+        category: entry.category,
+        source: entry.source,
+        event: entry.event?.name || "",
+        amount: entry.amount,
+        paymentMode: entry.paymentMode,
+        reference: entry.reference || "",
+        description: entry.description || "",
+      })
+    })
+
+    // Net balance summary
+    const totalIncome = income.reduce((sum, i) => sum + i.amount, 0)
+    const duesCollected = dues.reduce((sum, d) => sum + d.amountPaid, 0)
+    const totalSpent = expenses
+      .filter((e) => ["approved", "reimbursed", "paid"].includes(e.status))
+      .reduce((sum, e) => sum + e.amount, 0)
+
+    incomeSheet.addRow({})
+    incomeSheet.addRow({ date: "TOTAL INCOME", amount: totalIncome })
+    incomeSheet.addRow({ date: "DUES COLLECTED", amount: duesCollected })
+    incomeSheet.addRow({ date: "APPROVED/PAID EXPENSES", amount: totalSpent })
+    incomeSheet.addRow({ date: "NET BALANCE", amount: totalIncome + duesCollected - totalSpent })
+
     // Set response headers
     res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet")
     res.setHeader("Content-Disposition", `attachment; filename=financial-report-${year}.xlsx`)
@@ -6,6 +6,17 @@ import ClubSettings from "../models/ClubSettings.model.js"
 import { createAuditLog } from "../middleware/audit.middleware.js"
 import { logger } from "../utils/logger.js"
 
+// Expand nested objects into dotted paths so a partial update only touches the fields it sends
+// (arrays such as approval tiers are still replaced as a whole)
+const toSettingPaths = (value, path = "", paths = {}) => {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    Object.entries(value).forEach(([key, child]) => toSettingPaths(child, path ? `${path}.${key}` : key, paths))
+  } else {
+    paths[path] = value
+  }
+  return paths
+}
+
 // @desc    Get club settings
 // @route   GET /api/settings
 // @access  Public (some fields) / Private (all fields)
@@ -80,6 +91,10 @@ export const updateSettings = async (req, res) => {
       "contactPhone",
       "address",
       "socialMedia",
+      "budgetControl",
+      "approvalPolicy",
+      "security",
+      "trash",
       "features",
     ]
 
@@ -106,7 +121,7 @@ export const updateSettings = async (req, res) => {
       }
     }
 
-    Object.assign(settings, updates)
+    Object.entries(toSettingPaths(updates)).forEach(([path, value]) => settings.set(path, value))
     await settings.save()
 
     // Audit log
@@ -0,0 +1,584 @@
+// ============================================
+// VOLUNTEER HOURS CONTROLLER
+// ============================================
+
+import mongoose from "mongoose"
+import VolunteerHours from "../models/VolunteerHours.model.js"
+import Event from "../models/Event.model.js"
+import User from "../models/User.model.js"
+import { createAuditLog } from "../middleware/audit.middleware.js"
+import { sendEmail, emailTemplates } from "../utils/email.js"
+import { paginate, paginationResponse, getFinancialYear } from "../utils/helpers.js"
+import { logger } from "../utils/logger.js"
+
+// @desc    Log volunteer hours for a member (Coordinator)
+// @route   POST /api/volunteer-hours/log
+// @access  Private/Coordinator
+export const logVolunteerHours = async (req, res) => {
+  try {
+    const { member, event, hours, date, description } = req.body
+
+    const [memberDoc, eventDoc] = await Promise.all([User.findById(member), Event.findById(event)])
+
+    if (!memberDoc) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found",
+      })
+    }
+
+    if (!eventDoc) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found",
+      })
+    }
+
+    if (!eventDoc.canCoordinate(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the event coordinator or an admin can log volunteer hours",
+      })
+    }
+
+    const entry = await VolunteerHours.create({
+      member,
+      event,
+      hours,
+      date: date || eventDoc.startDate,
+      description,
+      source: "coordinator",
+      loggedBy: req.user._id,
+      status: "approved",
+      approvedBy: req.user._id,
+      approvedAt: new Date(),
+      rotaractYear: eventDoc.rotaractYear,
+    })
+
+    // Keep the event's volunteer list in sync
+    await Event.updateOne({ _id: eventDoc._id }, { $addToSet: { volunteers: memberDoc._id } })
+
+    await entry.populate([
+      { path: "event", select: "name" },
+      { path: "member", select: "firstName lastName memberId" },
+    ])
+
+    // Audit log
+    await createAuditLog({
+      action: "volunteer_hours_log",
+      user: req.user,
+      targetType: "volunteer_hours",
+      targetId: entry._id,
+      description: `${hours} volunteer hours logged for ${memberDoc.fullName} at ${eventDoc.name}`,
+      req,
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Volunteer hours logged successfully",
+      data: entry,
+    })
+
+    // Real-time: notify member
+    const io = req.app.get("io")
+    if (io) {
+      try {
+        io.to(String(memberDoc._id)).emit("volunteer_hours_update", {
+          entryId: entry._id,
+          event: eventDoc.name,
+          hours: entry.hours,
+          status: entry.status,
+        })
+      } catch (socketError) {
+        logger.error(`Socket emit error (logVolunteerHours): ${socketError.message}`)
+      }
+    }
+  } catch (error) {
+    logger.error(`Log volunteer hours error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to log volunteer hours",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Submit self-reported volunteer hours
+// @route   POST /api/volunteer-hours
+// @access  Private
+export const submitVolunteerHours = async (req, res) => {
+  try {
+    const { event, hours, date, description } = req.body
+
+    const eventDoc = await Event.findById(event)
+    if (!eventDoc) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found",
+      })
+    }
+
+    if (eventDoc.status === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot submit hours for a cancelled event",
+      })
+    }
+
+    const entry = await VolunteerHours.create({
+      member: req.user._id,
+      event,
+      hours,
+      date: date || eventDoc.startDate,
+      description,
+      source: "self_reported",
+      loggedBy: req.user._id,
+      rotaractYear: eventDoc.rotaractYear,
+    })
+
+    await entry.populate({ path: "event", select: "name" })
+
+    // Audit log
+    await createAuditLog({
+      action: "volunteer_hours_submit",
+      user: req.user,
+      targetType: "volunteer_hours",
+      targetId: entry._id,
+      description: `${hours} volunteer hours submitted for ${eventDoc.name}`,
+      req,
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Volunteer hours submitted for approval",
+      data: entry,
+    })
+
+    // Real-time: notify event coordinator & admins
+    const io = req.app.get("io")
+    if (io) {
+      try {
+        const payload = {
+          type: "volunteer_hours_submitted",
+          entryId: entry._id,
+          memberId: req.user._id,
+          memberName: req.user.fullName || `${req.user.firstName} ${req.user.lastName}`,
+          event: eventDoc.name,
+          hours: entry.hours,
+        }
+        if (eventDoc.coordinator) {
+          io.to(String(eventDoc.coordinator)).emit("volunteer_hours_notification", payload)
+        }
+        io.to("admins").emit("volunteer_hours_notification", payload)
+      } catch (socketError) {
+        logger.error(`Socket emit error (submitVolunteerHours): ${socketError.message}`)
+      }
+    }
+  } catch (error) {
+    logger.error(`Submit volunteer hours error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to submit volunteer hours",
+      error: error.message,
+    })
+  }
+}
+
+// @desc    Get logged-in member's volunteer hours
+// @route   GET /api/volunteer-hours/my
+// @access  Private
+export const getMyVolunteerHours = async (req, res) => {
+  try {
+    const { page, limit } = paginate(req.query.page, req.query.limit)
+    const { status, rotaractYear } = req.query
+
+    const query = { member: req.user._id }
+    if (status) query.status = status
+    if (rotaractYear) query.rotaractYear = rotaractYear
+
+    const [entries, total, totals] = await Promise.all([
+      VolunteerHours.find(query)
+        .populate("event", "name startDate")
+        .sort({ date: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      VolunteerHours.countDocuments(query),
+      VolunteerHours.aggregate([
+        { $match: { member: req.user._id, rotaractYear: rotaractYear || getFinancialYear() } },
+        { $group: { _id: "$status", hours: { $sum: "$hours" }, count: { $sum: 1 } } },
+      ]),
+    ])
+
+    res.status(200).json({
+      success: true,
+      data: entries,
+      totals,
+      pagination: paginationResponse(total, page, limit),
+    })
+  } catch (error) {
+    logger.error(`Get my volunteer hours error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get volunteer hours",
+    })
+  }
+}
+
+// @desc    Get all volunteer hours (Admin)
+// @route   GET /api/volunteer-hours
+// @access  Private/Admin
+export const getAllVolunteerHours = async (req, res) => {
+  try {
+    const { page, limit } = paginate(req.query.page, req.query.limit)
+    const { status, event, member, source, rotaractYear } = req.query
+
+    const query = {}
+    if (status) query.status = status
+    if (event) query.event = event
+    if (member) query.member = member
+    if (source) query.source = source
+    if (rotaractYear) query.rotaractYear = rotaractYear
+
+    const [entries, total] = await Promise.all([
+      VolunteerHours.find(query)
+        .populate("event", "name")
+        .populate("member", "firstName lastName memberId")
+        .populate("approvedBy", "firstName lastName")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      VolunteerHours.countDocuments(query),
+    ])
+
+    res.status(200).json({
+      success: true,
+      data: entries,
+      pagination: paginationResponse(total, page, limit),
+    })
+  } catch (error) {
+    logger.error(`Get volunteer hours error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get volunteer hours",
+    })
+  }
+}
+
+// @desc    Approve self-reported volunteer hours
+// @route   PUT /api/volunteer-hours/:id/approve
+// @access  Private/Coordinator
+export const approveVolunteerHours = async (req, res) => {
+  try {
+    const entry = await VolunteerHours.findById(req.params.id)
+      .populate("member", "firstName lastName email")
+      .populate("event", "name coordinator")
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "Volunteer hours entry not found",
+      })
+    }
+
+    // Populated as null once the event is in the trash
+    if (!entry.event) {
+      return res.status(400).json({
+        success: false,
+        message: "This entry's event is in the trash. Restore the event first.",
+      })
+    }
+
+    if (!entry.event.canCoordinate(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the event coordinator or an admin can approve volunteer hours",
+      })
+    }
+
+    if (entry.status !== "pending") {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot approve volunteer hours with status: ${entry.status}`,
+      })
+    }
+
+    entry.status = "approved"
+    entry.approvedBy = req.user._id
+    entry.approvedAt = new Date()
+    await entry.save()
+
+    await Event.updateOne({ _id: entry.event._id }, { $addToSet: { volunteers: entry.member._id } })
+
+    // Send email to member
+    const approvedEmail = emailTemplates.volunteerHoursReviewed(
+      entry.member.firstName,
+      entry.hours,
+      entry.event.name,
+      "approved",
+    )
+    await sendEmail({
+      to: entry.member.email,
+      ...approvedEmail,
+    })
+
+    // Audit log
+    await createAuditLog({
+      action: "volunteer_hours_approve",
+      user: req.user,
+      targetType: "volunteer_hours",
+      targetId: entry._id,
+      description: `Volunteer hours approved: ${entry.hours}h for ${entry.event.name}`,
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Volunteer hours approved successfully",
+      data: entry,
+    })
+
+    // Real-time: notify member
+    const io = req.app.get("io")
+    if (io) {
+      try {
+        io.to(String(entry.member._id)).emit("volunteer_hours_update", {
+          entryId: entry._id,
+          event: entry.event.name,
+          hours: entry.hours,
+          status: entry.status,
+        })
+      } catch (socketError) {
+        logger.error(`Socket emit error (approveVolunteerHours): ${socketError.message}`)
+      }
+    }
+  } catch (error) {
+    logger.error(`Approve volunteer hours error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to approve volunteer hours",
+    })
+  }
+}
+
+// @desc    Reject self-reported volunteer hours
+// @route   PUT /api/volunteer-hours/:id/reject
+// @access  Private/Coordinator
+export const rejectVolunteerHours = async (req, res) => {
+  try {
+    const { reason } = req.body
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: "Rejection reason is required",
+      })
+    }
+
+    const entry = await VolunteerHours.findById(req.params.id)
+      .populate("member", "firstName lastName email")
+      .populate("event", "name coordinator")
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "Volunteer hours entry not found",
+      })
+    }
+
+    // Populated as null once the event is in the trash
+    if (!entry.event) {
+      return res.status(400).json({
+        success: false,
+        message: "This entry's event is in the trash. Restore the event first.",
+      })
+    }
+
+    if (!entry.event.canCoordinate(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the event coordinator or an admin can reject volunteer hours",
+      })
+    }
+
+    if (entry.status !== "pending") {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot reject volunteer hours with status: ${entry.status}`,
+      })
+    }
+
+    entry.status = "rejected"
+    entry.rejectedBy = req.user._id
+    entry.rejectedAt = new Date()
+    entry.rejectionReason = reason
+    await entry.save()
+
+    // Send email to member
+    const rejectedEmail = emailTemplates.volunteerHoursReviewed(
+      entry.member.firstName,
+      entry.hours,
+      entry.event.name,
+      "rejected",
+      reason,
+    )
+    await sendEmail({
+      to: entry.member.email,
+      ...rejectedEmail,
+    })
+
+    // Audit log
+    await createAuditLog({
+      action: "volunteer_hours_reject",
+      user: req.user,
+      targetType: "volunteer_hours",
+      targetId: entry._id,
+      description: `Volunteer hours rejected: ${entry.hours}h - ${reason}`,
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Volunteer hours rejected",
+      data: entry,
+    })
+
+    // Real-time: notify member
+    const io = req.app.get("io")
+    if (io) {
+      try {
+        io.to(String(entry.member._id)).emit("volunteer_hours_update", {
+          entryId: entry._id,
+          event: entry.event.name,
+          hours: entry.hours,
+          status: entry.status,
+          reason,
+        })
+      } catch (socketError) {
+        logger.error(`Socket emit error (rejectVolunteerHours): ${socketError.message}`)
+      }
+    }
+  } catch (error) {
+    logger.error(`Reject volunteer hours error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to reject volunteer hours",
+    })
+  }
+}
+
+// @desc    Delete volunteer hours entry
+// @route   DELETE /api/volunteer-hours/:id
+// @access  Private/Coordinator
+export const deleteVolunteerHours = async (req, res) => {
+  try {
+    const entry = await VolunteerHours.findById(req.params.id).populate("event", "name coordinator")
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "Volunteer hours entry not found",
+      })
+    }
+
+    // Members may withdraw their own pending submissions
+    const isOwnPending = entry.member.toString() === req.user._id.toString() && entry.status === "pending"
+
+    if (!isOwnPending && !entry.event?.canCoordinate(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to delete this entry",
+      })
+    }
+
+    await entry.deleteOne()
+
+    // Audit log
+    await createAuditLog({
+      action: "volunteer_hours_delete",
+      user: req.user,
+      targetType: "volunteer_hours",
+      targetId: entry._id,
+      description: `Volunteer hours deleted: ${entry.hours}h`,
+      req,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Volunteer hours entry deleted successfully",
+    })
+  } catch (error) {
+    logger.error(`Delete volunteer hours error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete volunteer hours",
+    })
+  }
+}
+
+// @desc    Get approved volunteer hours totals for an event
+// @route   GET /api/volunteer-hours/event/:id
+// @access  Private
+export const getEventVolunteerHours = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select("name")
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found",
+      })
+    }
+
+    const volunteers = await VolunteerHours.aggregate([
+      { $match: { event: new mongoose.Types.ObjectId(req.params.id), status: "approved" } },
+      { $group: { _id: "$member", hours: { $sum: "$hours" }, entries: { $sum: 1 } } },
+      { $sort: { hours: -1 } },
+      {
+        $lookup: {
+          from: "users",
+          localField: "_id",
+          foreignField: "_id",
+          as: "member",
+        },
+      },
+      { $unwind: "$member" },
+      {
+        $project: {
+          _id: 1,
+          hours: 1,
+          entries: 1,
+          "member.firstName": 1,
+          "member.lastName": 1,
+          "member.memberId": 1,
+        },
+      },
+    ])
+
+    res.status(200).json({
+      success: true,
+      data: {
+        eventId: event._id,
+        name: event.name,
+        totalHours: volunteers.reduce((sum, v) => sum + v.hours, 0),
+        volunteers,
+      },
+    })
+  } catch (error) {
+    logger.error(`Get event volunteer hours error: ${error.message}`)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get event volunteer hours",
+    })
+  }
+}
+
+export default {
+  logVolunteerHours,
+  submitVolunteerHours,
+  getMyVolunteerHours,
+  getAllVolunteerHours,
+  approveVolunteerHours,
+  rejectVolunteerHours,
+  deleteVolunteerHours,
+  getEventVolunteerHours,
+}
@@ -4,8 +4,24 @@
 
 import jwt from "jsonwebtoken"
 import User from "../models/User.model.js"
+import RolePermission from "../models/RolePermission.model.js"
+import ClubSettings from "../models/ClubSettings.model.js"
 import config from "../config/config.js"
+import { FINANCE_ROLES, FINANCE_PERMISSIONS } from "../config/permissions.js"
+import { createAuditLog } from "./audit.middleware.js"
+import { sendEmail, emailTemplates } from "../utils/email.js"
+import { getFinancialYear, disconnectSessions } from "../utils/helpers.js"
 import { logger } from "../utils/logger.js"
+import { isPasswordExpired } from "../utils/passwordPolicy.js"
+
+// The only routes a user with an expired password can reach (forced change on login)
+const PASSWORD_EXPIRED_ROUTES = ["/api/auth/change-password", "/api/auth/logout"]
+
+// Whether the user's password is past the club policy's maximum age
+const hasExpiredPassword = async (user) => {
+  if (!user.passwordChangedAt) return false
+  return isPasswordExpired(user.passwordChangedAt, await ClubSettings.getPasswordPolicy())
+}
 
 // Protect routes - verify JWT
 export const protect = async (req, res, next) => {
@@ -54,7 +70,26 @@ export const protect = async (req, res, next) => {
         })
       }
 
+      // Check the login session has not been revoked (tokens without sid predate sessions)
+      if (decoded.sid && !user.refreshTokens.id(decoded.sid)) {
+        return res.status(401).json({
+          success: false,
+          message: "This session has been signed out. Please login again.",
+          code: "SESSION_REVOKED",
+        })
+      }
+
+      const route = req.originalUrl.split("?")[0]
+      if (!PASSWORD_EXPIRED_ROUTES.includes(route) && (await hasExpiredPassword(user))) {
+        return res.status(403).json({
+          success: false,
+          message: "Your password has expired. Please change it to continue.",
+          code: "PASSWORD_EXPIRED",
+        })
+      }
+
       req.user = user
+      req.sessionId = decoded.sid
       next()
     } catch (err) {
       if (err.name === "TokenExpiredError") {
@@ -99,15 +134,96 @@ export const adminOnly = (req, res, next) => {
   next()
 }
 
+// Club 2FA policy: some roles must enrol in 2FA before touching finances
+const needsTwoFactorEnrolment = async (user) => {
+  if (user.twoFactorEnabled) return false
+  const settings = await ClubSettings.getSettings()
+  return settings.requiresTwoFactor(user.role)
+}
+
+const twoFactorRequiredResponse = {
+  success: false,
+  code: "TWO_FACTOR_REQUIRED",
+  message: "Your role requires two-factor authentication. Please enable 2FA to continue.",
+}
+
 // Treasurer only middleware
-export const treasurerOnly = (req, res, next) => {
-  if (!["secretary", "joint_secretary", "treasurer", "president"].includes(req.user.role)) {
-    return res.status(403).json({
+export const treasurerOnly = async (req, res, next) => {
+  try {
+    if (!FINANCE_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "This route is restricted to treasurer, secretary, joint secretary, and president only.",
+      })
+    }
+
+    if (await needsTwoFactorEnrolment(req.user)) {
+      return res.status(403).json(twoFactorRequiredResponse)
+    }
+    next()
+  } catch (error) {
+    logger.error(`Treasurer check error: ${error.message}`)
+    return res.status(500).json({
       success: false,
-      message: "This route is restricted to treasurer, secretary, joint secretary, and president only.",
+      message: "Failed to verify permissions",
     })
   }
-  next()
+}
+
+// Permission check - user's role must hold at least one of the given permissions
+// for the current Rotaract year (see config/permissions.js and /api/permissions)
+export const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      const granted = await RolePermission.getRolePermissions(req.user.role, getFinancialYear())
+
+      if (!permissions.some((permission) => granted.has(permission))) {
+        return res.status(403).json({
+          success: false,
+          message: `Role '${req.user.role}' does not have permission: ${permissions.join(" or ")}`,
+        })
+      }
+
+      // Finance routes: roles covered by the 2FA policy must be enrolled first
+      const isFinanceRoute = permissions.some((permission) => FINANCE_PERMISSIONS.includes(permission))
+      if (isFinanceRoute && (await needsTwoFactorEnrolment(req.user))) {
+        return res.status(403).json(twoFactorRequiredResponse)
+      }
+
+      req.permissions = granted
+      next()
+    } catch (error) {
+      logger.error(`Permission check error: ${error.message}`)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to verify permissions",
+      })
+    }
+  }
+}
+
+// Revoke a session whose rotated-out refresh token was presented again
+const revokeReusedFamily = async (req, user, family) => {
+  family.deleteOne()
+  await user.save()
+
+  logger.warn(`Refresh token reuse detected for ${user.email} (session ${family._id})`)
+
+  await createAuditLog({
+    action: "refresh_token_reuse",
+    user,
+    targetType: "user",
+    targetId: user._id,
+    description: `Reused refresh token presented; session revoked (${family.label || "Unknown device"})`,
+    req,
+  })
+
+  disconnectSessions(req.app.get("io"), [family._id])
+
+  await sendEmail({
+    to: user.email,
+    ...emailTemplates.refreshTokenReuse(user.firstName, family.label, req.ip),
+  })
 }
 
 // Verify refresh token
@@ -133,10 +249,17 @@ export const verifyRefreshToken = async (req, res, next) => {
       })
     }
 
-    // Check if refresh token exists in user's tokens
-    const tokenExists = user.refreshTokens.some((t) => t.token === refreshToken)
+    // Check if refresh token belongs to one of the user's sessions
+    const session = user.findSessionByToken(refreshToken)
+
+    if (!session) {
+      // A validly signed token for a live session that is not its current token
+      // was already rotated out - treat it as stolen and revoke the whole family
+      const family = decoded.sid && user.refreshTokens.id(decoded.sid)
+      if (family) {
+        await revokeReusedFamily(req, user, family)
+      }
 
-    if (!tokenExists) {
       return res.status(401).json({
         success: false,
         message: "Refresh token has been revoked.",
@@ -144,6 +267,7 @@ export const verifyRefreshToken = async (req, res, next) => {
     }
 
     req.user = user
+    req.authSession = session
     req.refreshToken = refreshToken
     next()
   } catch (error) {
@@ -154,4 +278,4 @@ export const verifyRefreshToken = async (req, res, next) => {
   }
 }
 
-export default { protect, authorize, adminOnly, treasurerOnly, verifyRefreshToken }
+export default { protect, authorize, adminOnly, treasurerOnly, requirePermission, verifyRefreshToken }
@@ -87,6 +87,25 @@ export const memoryUpload = multer({
   },
 })
 
+// Spreadsheet uploads (member import) are parsed in memory, never stored
+const IMPORT_EXTENSIONS = [".csv", ".xlsx"]
+
+export const uploadImport = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    // Browsers report CSV under several mimetypes, so check the extension
+    if (IMPORT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true)
+    } else {
+      cb(new AppError("Only .csv and .xlsx files can be imported", 400), false)
+    }
+  },
+  limits: {
+    fileSize: config.maxFileSize,
+    files: 1,
+  },
+}).single("file")
+
 export default {
   upload,
   uploadBill,
@@ -95,4 +114,5 @@ export default {
   uploadGallery,
   uploadMultiple,
   memoryUpload,
+  uploadImport,
 }
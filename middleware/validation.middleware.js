@@ -4,8 +4,11 @@
 
 import { body, param, query, validationResult } from "express-validator"
 import { USER_ROLES } from "../models/User.model.js"
+import { PAYMENT_MODES, EXPENSE_CATEGORIES } from "../models/Expense.model.js"
+import { INCOME_CATEGORIES } from "../models/Income.model.js"
+import { APPROVAL_ROLES } from "../models/ClubSettings.model.js"
+import { ADMIN_ROLES } from "../config/permissions.js"
 
-const ADMIN_ROLES = ["president", "secretary", "treasurer", "faculty_coordinator"]
 const NON_ADMIN_ROLES = USER_ROLES.filter((role) => !ADMIN_ROLES.includes(role))
 
 // Handle validation errors
@@ -72,23 +75,15 @@ export const userValidation = {
       .withMessage("Email is required")
       .isEmail()
       .withMessage("Please provide a valid email"),
-    body("memberId")
-      .optional()
-      .trim()
-      .notEmpty()
-      .withMessage("Member ID cannot be empty if provided"),
     body("password")
-      .optional()
       .notEmpty()
-      .withMessage("Password cannot be empty if provided"),
-    body("memberId")
-      .custom((value, { req }) => {
-        // Either memberId or password must be provided
-        if (!value && !req.body.password) {
-          throw new Error("Either Member ID or Password is required")
-        }
-        return true
-      }),
+      .withMessage("Password is required"),
+    body("backupCode").optional().trim().isLength({ max: 20 }).withMessage("Invalid backup code"),
+    body("deviceLabel")
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage("Device label cannot exceed 100 characters"),
     validate,
   ],
 
@@ -116,6 +111,12 @@ export const userValidation = {
         }
         return true
       }),
+    body("backupCode").optional().trim().isLength({ max: 20 }).withMessage("Invalid backup code"),
+    body("deviceLabel")
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage("Device label cannot exceed 100 characters"),
     validate,
   ],
 
@@ -127,18 +128,71 @@ export const userValidation = {
       .trim()
       .matches(/^[6-9]\d{9}$/)
       .withMessage("Please provide a valid Indian phone number"),
+    body("payoutDetails.upiId")
+      .optional({ values: "falsy" })
+      .trim()
+      .matches(/^[\w.-]+@[\w.-]+$/)
+      .withMessage("Please provide a valid UPI ID"),
+    body("payoutDetails.ifscCode")
+      .optional({ values: "falsy" })
+      .trim()
+      .toUpperCase()
+      .matches(/^[A-Z]{4}0[A-Z0-9]{6}$/)
+      .withMessage("Please provide a valid IFSC code"),
+    body("payoutDetails.accountNumber")
+      .optional({ values: "falsy" })
+      .trim()
+      .matches(/^\d{9,18}$/)
+      .withMessage("Account number must be 9 to 18 digits"),
     validate,
   ],
 
+  resetPassword: [body("password").notEmpty().withMessage("Password is required"), validate],
+
   changePassword: [
     body("currentPassword").notEmpty().withMessage("Current password is required"),
-    body("newPassword")
+    // Strength rules come from the club password policy (checked in the controller)
+    body("newPassword").notEmpty().withMessage("New password is required"),
+    validate,
+  ],
+
+  magicLink: [
+    body("email")
+      .trim()
       .notEmpty()
-      .withMessage("New password is required")
-      .isLength({ min: 8 })
-      .withMessage("Password must be at least 8 characters")
-      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-      .withMessage("Password must contain uppercase, lowercase, number and special character"),
+      .withMessage("Email is required")
+      .isEmail()
+      .withMessage("Please provide a valid email"),
+    validate,
+  ],
+
+  verifyMagicLink: [
+    body("token").trim().notEmpty().withMessage("Sign-in token is required"),
+    body("backupCode").optional().trim().isLength({ max: 20 }).withMessage("Invalid backup code"),
+    body("deviceLabel")
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage("Device label cannot exceed 100 characters"),
+    validate,
+  ],
+
+  oidcExchange: [
+    body("ticket").trim().notEmpty().withMessage("Sign-in ticket is required"),
+    body("backupCode").optional().trim().isLength({ max: 20 }).withMessage("Invalid backup code"),
+    body("deviceLabel")
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage("Device label cannot exceed 100 characters"),
+    validate,
+  ],
+
+  unlockAccount: [body("token").trim().notEmpty().withMessage("Unlock token is required"), validate],
+
+  acceptInvite: [
+    body("token").trim().notEmpty().withMessage("Invitation token is required"),
+    body("password").notEmpty().withMessage("Password is required"),
     validate,
   ],
 
@@ -172,20 +226,45 @@ export const userValidation = {
       .withMessage("Phone number is required")
       .matches(/^[6-9]\d{9}$/)
       .withMessage("Please provide a valid Indian phone number"),
-    body("password")
-      .optional()
-      .isLength({ min: 8 })
-      .withMessage("Password must be at least 8 characters")
-      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-      .withMessage("Password must contain uppercase, lowercase, number and special character"),
     body("role")
       .optional()
       .isIn(NON_ADMIN_ROLES)
       .withMessage("Invalid role"),
     validate,
   ],
+
+  bulkInvite: [
+    body("ids").optional().isArray({ min: 1, max: 500 }).withMessage("Provide between 1 and 500 member IDs"),
+    body("ids.*").isMongoId().withMessage("Invalid member ID"),
+    validate,
+  ],
+
+  mergeMember: [
+    body("duplicateId")
+      .notEmpty()
+      .withMessage("Duplicate member ID is required")
+      .isMongoId()
+      .withMessage("Invalid duplicate member ID"),
+    validate,
+  ],
 }
 
+// Bulk expense actions target explicit IDs or an event (+ status) filter
+const bulkExpenseTargets = [
+  body("ids").optional().isArray({ min: 1, max: 200 }).withMessage("Provide between 1 and 200 expense IDs"),
+  body("ids.*").isMongoId().withMessage("Invalid expense ID"),
+  body("event")
+    .if(body("ids").not().exists())
+    .notEmpty()
+    .withMessage("Provide expense IDs or an event filter")
+    .isMongoId()
+    .withMessage("Invalid event ID"),
+  body("status")
+    .optional()
+    .isIn(["pending", "approved", "rejected", "reimbursed", "paid"])
+    .withMessage("Invalid status"),
+]
+
 // Expense validation rules
 export const expenseValidation = {
   create: [
@@ -212,7 +291,7 @@ export const expenseValidation = {
     body("paymentMode")
       .notEmpty()
       .withMessage("Payment mode is required")
-      .isIn(["upi", "cash", "bank_transfer", "cheque"])
+      .isIn(PAYMENT_MODES)
       .withMessage("Invalid payment mode"),
     body("description")
       .optional()
@@ -236,7 +315,92 @@ export const expenseValidation = {
       ])
       .withMessage("Invalid category"),
     body("amount").optional().isFloat({ min: 1 }).withMessage("Amount must be greater than 0"),
-    body("paymentMode").optional().isIn(["upi", "cash", "bank_transfer", "cheque"]).withMessage("Invalid payment mode"),
+    body("paymentMode").optional().isIn(PAYMENT_MODES).withMessage("Invalid payment mode"),
+    validate,
+  ],
+
+  bulk: [...bulkExpenseTargets, validate],
+
+  bulkReject: [
+    body("reason").trim().notEmpty().withMessage("Rejection reason is required"),
+    ...bulkExpenseTargets,
+    validate,
+  ],
+}
+
+// Payout batch validation rules
+export const payoutValidation = {
+  create: [
+    body("ids").optional().isArray({ min: 1 }).withMessage("Expense IDs must be a non-empty list"),
+    body("ids.*").isMongoId().withMessage("Invalid expense ID"),
+    body("event").optional({ values: "falsy" }).isMongoId().withMessage("Invalid event ID"),
+    body("notes").optional().trim().isLength({ max: 500 }).withMessage("Notes cannot exceed 500 characters"),
+    validate,
+  ],
+
+  paid: [
+    body("reference")
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage("Payment reference cannot exceed 100 characters"),
+    validate,
+  ],
+}
+
+// Permission validation rules
+export const permissionValidation = {
+  update: [
+    param("role").trim().notEmpty().withMessage("Role is required"),
+    body("permissions").isArray().withMessage("Permissions must be a list"),
+    body("permissions.*").isString().withMessage("Invalid permission"),
+    body("rotaractYear")
+      .optional()
+      .matches(/^\d{4}-\d{4}$/)
+      .withMessage("Rotaract year must be in the format YYYY-YYYY"),
+    validate,
+  ],
+}
+
+// Income validation rules
+export const incomeValidation = {
+  create: [
+    body("category")
+      .notEmpty()
+      .withMessage("Category is required")
+      .isIn(INCOME_CATEGORIES)
+      .withMessage("Invalid category"),
+    body("amount")
+      .notEmpty()
+      .withMessage("Amount is required")
+      .isFloat({ min: 1 })
+      .withMessage("Amount must be greater than 0"),
+    body("date").notEmpty().withMessage("Date is required").isISO8601().withMessage("Invalid date format"),
+    body("source")
+      .trim()
+      .notEmpty()
+      .withMessage("Source is required")
+      .isLength({ max: 200 })
+      .withMessage("Source cannot exceed 200 characters"),
+    body("paymentMode")
+      .notEmpty()
+      .withMessage("Payment mode is required")
+      .isIn(PAYMENT_MODES)
+      .withMessage("Invalid payment mode"),
+    body("event").optional({ values: "falsy" }).isMongoId().withMessage("Invalid event ID"),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Description cannot exceed 500 characters"),
+    validate,
+  ],
+
+  update: [
+    body("category").optional().isIn(INCOME_CATEGORIES).withMessage("Invalid category"),
+    body("amount").optional().isFloat({ min: 1 }).withMessage("Amount must be greater than 0"),
+    body("paymentMode").optional().isIn(PAYMENT_MODES).withMessage("Invalid payment mode"),
+    body("event").optional({ values: "falsy" }).isMongoId().withMessage("Invalid event ID"),
     validate,
   ],
 }
@@ -272,6 +436,197 @@ export const eventValidation = {
         "other",
       ])
       .withMessage("Invalid category"),
+    body("capacity").optional().isInt({ min: 0 }).withMessage("Capacity must be 0 (unlimited) or a positive number"),
+    body("estimatedBudget").optional().isFloat({ min: 0 }).withMessage("Estimated budget cannot be negative"),
+    body("budgetLines").optional().isArray().withMessage("Budget lines must be a list"),
+    body("budgetLines.*.category").isIn(EXPENSE_CATEGORIES).withMessage("Invalid budget line category"),
+    body("budgetLines.*.amount").isFloat({ min: 0 }).withMessage("Budget line amount cannot be negative"),
+    validate,
+  ],
+
+  update: [
+    body("capacity").optional().isInt({ min: 0 }).withMessage("Capacity must be 0 (unlimited) or a positive number"),
+    body("estimatedBudget").optional().isFloat({ min: 0 }).withMessage("Estimated budget cannot be negative"),
+    body("budgetLines").optional().isArray().withMessage("Budget lines must be a list"),
+    body("budgetLines.*.category").isIn(EXPENSE_CATEGORIES).withMessage("Invalid budget line category"),
+    body("budgetLines.*.amount").isFloat({ min: 0 }).withMessage("Budget line amount cannot be negative"),
+    validate,
+  ],
+
+  attendanceScan: [
+    body("qrToken").trim().notEmpty().withMessage("QR code is required"),
+    body("action").optional().isIn(["check_in", "check_out"]).withMessage("Action must be check_in or check_out"),
+    validate,
+  ],
+
+  attendanceOverride: [
+    param("memberId").isMongoId().withMessage("Invalid member ID"),
+    body("present").optional().isBoolean().withMessage("Present must be true or false"),
+    body("checkInAt").optional({ values: "falsy" }).isISO8601().withMessage("Invalid check-in time"),
+    body("checkOutAt").optional({ values: "falsy" }).isISO8601().withMessage("Invalid check-out time"),
+    body("notes").optional().trim().isLength({ max: 500 }).withMessage("Notes cannot exceed 500 characters"),
+    validate,
+  ],
+}
+
+// Volunteer hours validation rules
+export const volunteerHoursValidation = {
+  submit: [
+    body("event").notEmpty().withMessage("Event is required").isMongoId().withMessage("Invalid event ID"),
+    body("hours")
+      .notEmpty()
+      .withMessage("Hours are required")
+      .isFloat({ min: 0.5, max: 24 })
+      .withMessage("Hours must be between 0.5 and 24"),
+    body("date").optional().isISO8601().withMessage("Invalid date format"),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Description cannot exceed 500 characters"),
+    validate,
+  ],
+
+  log: [
+    body("member").notEmpty().withMessage("Member is required").isMongoId().withMessage("Invalid member ID"),
+    body("event").notEmpty().withMessage("Event is required").isMongoId().withMessage("Invalid event ID"),
+    body("hours")
+      .notEmpty()
+      .withMessage("Hours are required")
+      .isFloat({ min: 0.5, max: 24 })
+      .withMessage("Hours must be between 0.5 and 24"),
+    body("date").optional().isISO8601().withMessage("Invalid date format"),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Description cannot exceed 500 characters"),
+    validate,
+  ],
+}
+
+// Dues validation rules
+export const duesValidation = {
+  plan: [
+    body("rotaractYear")
+      .trim()
+      .notEmpty()
+      .withMessage("Rotaract year is required")
+      .matches(/^\d{4}-\d{4}$/)
+      .withMessage("Rotaract year must look like 2025-2026"),
+    body("name").trim().notEmpty().withMessage("Plan name is required"),
+    body("type").optional().isIn(["membership", "district_fee", "other"]).withMessage("Invalid dues type"),
+    body("amount")
+      .notEmpty()
+      .withMessage("Amount is required")
+      .isFloat({ min: 1 })
+      .withMessage("Amount must be greater than 0"),
+    body("dueDate").notEmpty().withMessage("Due date is required").isISO8601().withMessage("Invalid date format"),
+    body("appliesToRoles").optional().isArray().withMessage("appliesToRoles must be an array"),
+    body("appliesToRoles.*").optional().isIn(USER_ROLES).withMessage("Invalid role"),
+    validate,
+  ],
+
+  updatePlan: [
+    body("name").optional().trim().notEmpty().withMessage("Plan name cannot be empty"),
+    body("type").optional().isIn(["membership", "district_fee", "other"]).withMessage("Invalid dues type"),
+    body("amount").optional().isFloat({ min: 1 }).withMessage("Amount must be greater than 0"),
+    body("dueDate").optional().isISO8601().withMessage("Invalid date format"),
+    body("appliesToRoles").optional().isArray().withMessage("appliesToRoles must be an array"),
+    body("appliesToRoles.*").optional().isIn(USER_ROLES).withMessage("Invalid role"),
+    body("isActive").optional().isBoolean().withMessage("isActive must be true or false"),
+    validate,
+  ],
+
+  payment: [
+    body("amount")
+      .notEmpty()
+      .withMessage("Amount is required")
+      .isFloat({ min: 1 })
+      .withMessage("Amount must be greater than 0"),
+    body("paymentMode")
+      .notEmpty()
+      .withMessage("Payment mode is required")
+      .isIn(PAYMENT_MODES)
+      .withMessage("Invalid payment mode"),
+    body("paidAt").optional().isISO8601().withMessage("Invalid date format"),
+    body("reference").optional().trim().isLength({ max: 100 }).withMessage("Reference cannot exceed 100 characters"),
+    validate,
+  ],
+
+  waive: [
+    body("reason")
+      .trim()
+      .notEmpty()
+      .withMessage("Reason is required")
+      .isLength({ max: 500 })
+      .withMessage("Reason cannot exceed 500 characters"),
+    validate,
+  ],
+}
+
+// Settings validation rules (every field optional; nested objects are merged field by field)
+export const settingsValidation = {
+  update: [
+    body(["socialMedia", "budgetControl", "approvalPolicy", "security", "trash", "features"])
+      .optional()
+      .isObject()
+      .withMessage("Must be an object"),
+    body("budgetControl.alertThresholds")
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage("Provide at most 10 alert thresholds"),
+    body("budgetControl.alertThresholds.*")
+      .isFloat({ min: 1, max: 1000 })
+      .withMessage("Alert thresholds must be between 1 and 1000 percent"),
+    body("budgetControl.blockOverBudgetApproval")
+      .optional()
+      .isBoolean()
+      .withMessage("blockOverBudgetApproval must be true or false"),
+    body("approvalPolicy.tiers").optional().isArray({ max: 10 }).withMessage("Provide at most 10 approval tiers"),
+    body("approvalPolicy.tiers.*.minAmount")
+      .isFloat({ min: 0 })
+      .withMessage("Tier minimum amount must be 0 or more"),
+    body("approvalPolicy.tiers.*.roles")
+      .isArray({ min: 1, max: APPROVAL_ROLES.length })
+      .withMessage("Each tier needs at least one approver role"),
+    body("approvalPolicy.tiers.*.roles.*").isIn(APPROVAL_ROLES).withMessage("Invalid approver role"),
+    body("security.twoFactorRequiredRoles").optional().isArray().withMessage("twoFactorRequiredRoles must be an array"),
+    body("security.twoFactorRequiredRoles.*").isIn(USER_ROLES).withMessage("Invalid role"),
+    body("security.passwordPolicy.minLength")
+      .optional()
+      .isInt({ min: 8, max: 128 })
+      .withMessage("Minimum password length must be between 8 and 128"),
+    body([
+      "security.passwordPolicy.requireUppercase",
+      "security.passwordPolicy.requireLowercase",
+      "security.passwordPolicy.requireNumber",
+      "security.passwordPolicy.requireSymbol",
+    ])
+      .optional()
+      .isBoolean()
+      .withMessage("Must be true or false"),
+    body("security.passwordPolicy.historyCount")
+      .optional()
+      .isInt({ min: 0, max: 24 })
+      .withMessage("Password history must be between 0 and 24"),
+    body("security.passwordPolicy.maxAgeDays")
+      .optional()
+      .isInt({ min: 0, max: 3650 })
+      .withMessage("Password expiry must be between 0 and 3650 days"),
+    body("security.lockout.maxAttempts")
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage("Lockout attempts must be between 1 and 50"),
+    body("security.lockout.durationMinutes")
+      .optional()
+      .isInt({ min: 1, max: 10080 })
+      .withMessage("Lockout duration must be between 1 and 10080 minutes"),
+    body("trash.retentionDays")
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage("Trash retention must be between 1 and 365 days"),
+    body("features.*").isBoolean().withMessage("Feature flags must be true or false"),
     validate,
   ],
 }
@@ -289,18 +644,40 @@ export const queryValidation = {
     query("endDate").optional().isISO8601().withMessage("Invalid end date format"),
     validate,
   ],
+
+  memberExport: [
+    query("format").optional().isIn(["xlsx", "csv", "pdf"]).withMessage("Format must be xlsx, csv or pdf"),
+    query("role").optional().isIn(USER_ROLES).withMessage("Invalid role"),
+    query("isActive").optional().isBoolean().withMessage("isActive must be true or false"),
+    query("isAlumni").optional().isBoolean().withMessage("isAlumni must be true or false"),
+    query("photos").optional().isBoolean().withMessage("photos must be true or false"),
+    query("columns").optional().isString().withMessage("Columns must be a comma-separated list"),
+    validate,
+  ],
+
+  attendanceQr: [
+    query("event").notEmpty().withMessage("Event is required").isMongoId().withMessage("Invalid event ID"),
+    validate,
+  ],
 }
 
 // Param validation
 export const paramValidation = {
   mongoId: [param("id").isMongoId().withMessage("Invalid ID format"), validate],
+  sessionId: [param("sessionId").isMongoId().withMessage("Invalid session ID"), validate],
 }
 
 export default {
   validate,
   userValidation,
   expenseValidation,
+  incomeValidation,
+  payoutValidation,
+  permissionValidation,
   eventValidation,
+  volunteerHoursValidation,
+  duesValidation,
+  settingsValidation,
   queryValidation,
   paramValidation,
 }
@@ -32,6 +32,10 @@ const archiveSchema = new mongoose.Schema(
       totalExpenses: { type: Number, default: 0 },
       totalContributions: { type: Number, default: 0 },
       totalReimbursements: { type: Number, default: 0 },
+      totalDuesCollected: { type: Number, default: 0 },
+      totalDuesOutstanding: { type: Number, default: 0 },
+      totalIncome: { type: Number, default: 0 },
+      netBalance: { type: Number, default: 0 },
     },
 
     // Files
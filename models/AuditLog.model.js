@@ -19,23 +19,64 @@ const auditLogSchema = new mongoose.Schema(
         "expense_create",
         "expense_update",
         "expense_approve",
+        "expense_approval_step",
         "expense_reject",
         "expense_reimburse",
         "expense_delete",
+        "expense_restore",
         "member_create",
+        "member_import",
+        "member_export",
         "member_update",
         "member_delete",
+        "member_restore",
+        "member_merge",
         "member_role_change",
         "event_create",
         "event_update",
         "event_delete",
+        "event_restore",
+        "attendance_check_in",
+        "attendance_check_out",
+        "attendance_override",
+        "event_register",
+        "event_register_cancel",
+        "volunteer_hours_log",
+        "volunteer_hours_submit",
+        "volunteer_hours_approve",
+        "volunteer_hours_reject",
+        "volunteer_hours_delete",
+        "dues_plan_update",
+        "dues_invoice_create",
+        "dues_payment",
+        "dues_waive",
+        "dues_reminder",
+        "income_create",
+        "income_update",
+        "income_delete",
+        "payout_batch_create",
+        "payout_batch_paid",
+        "payout_batch_cancel",
+        "permission_update",
         "settings_update",
         "board_update",
         "year_close",
         "archive_create",
+        "trash_purge",
         "two_factor_enable",
         "two_factor_disable",
+        "two_factor_reset",
+        "two_factor_backup_used",
+        "two_factor_backup_regenerate",
         "failed_login",
+        "account_lock",
+        "account_unlock",
+        "session_revoke",
+        "refresh_token_reuse",
+        "invitation_send",
+        "invitation_revoke",
+        "invitation_accept",
+        "magic_link_request",
       ],
     },
 
@@ -50,7 +91,19 @@ const auditLogSchema = new mongoose.Schema(
     // Target
     targetType: {
       type: String,
-      enum: ["user", "expense", "event", "settings", "board", "archive"],
+      enum: [
+        "user",
+        "expense",
+        "event",
+        "settings",
+        "board",
+        "archive",
+        "volunteer_hours",
+        "dues",
+        "income",
+        "payout_batch",
+        "permission",
+      ],
     },
     targetId: mongoose.Schema.Types.ObjectId,
 
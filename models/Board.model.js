@@ -4,6 +4,23 @@
 
 import mongoose from "mongoose"
 
+export const BOARD_POSITIONS = [
+  "president",
+  "immediate_past_president",
+  "vice_president",
+  "secretary",
+  "joint_secretary",
+  "treasurer",
+  "sergeant_at_arms",
+  "director_club_service",
+  "director_community_service",
+  "director_professional_development",
+  "director_international_service",
+  "director_public_relations",
+  "editor",
+  "webmaster",
+]
+
 const boardMemberSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -16,22 +33,7 @@ const boardMemberSchema = new mongoose.Schema({
   position: {
     type: String,
     required: true,
-    enum: [
-      "president",
-      "immediate_past_president",
-      "vice_president",
-      "secretary",
-      "joint_secretary",
-      "treasurer",
-      "sergeant_at_arms",
-      "director_club_service",
-      "director_community_service",
-      "director_professional_development",
-      "director_international_service",
-      "director_public_relations",
-      "editor",
-      "webmaster",
-    ],
+    enum: BOARD_POSITIONS,
   },
   photo: String,
   email: String,
@@ -4,6 +4,59 @@
 
 import mongoose from "mongoose"
 
+// Roles that can sign an expense approval step
+export const APPROVAL_ROLES = ["treasurer", "president", "faculty_coordinator"]
+
+// The password policy is read on every protected request; keep it briefly in memory
+const CACHE_TTL = 60 * 1000
+let policyCache = null
+
+const duesPlanSchema = new mongoose.Schema({
+  rotaractYear: {
+    type: String,
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  type: {
+    type: String,
+    enum: ["membership", "district_fee", "other"],
+    default: "membership",
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, "Amount must be greater than 0"],
+  },
+  dueDate: {
+    type: Date,
+    required: true,
+  },
+  appliesToRoles: [String], // empty = all active members
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+})
+
+const approvalTierSchema = new mongoose.Schema({
+  minAmount: {
+    type: Number,
+    required: true,
+    min: [0, "Minimum amount cannot be negative"],
+  },
+  // Roles that must sign off, in order
+  roles: [
+    {
+      type: String,
+      enum: APPROVAL_ROLES,
+    },
+  ],
+})
+
 const clubSettingsSchema = new mongoose.Schema(
   {
     // Club Info
@@ -71,9 +124,48 @@ const clubSettingsSchema = new mongoose.Schema(
       website: String,
     },
 
+    // Dues Plans (per Rotaract year)
+    duesPlans: [duesPlanSchema],
+
+    // Event Budget Control
+    budgetControl: {
+      alertThresholds: { type: [Number], default: [80, 100] }, // % of estimated budget
+      blockOverBudgetApproval: { type: Boolean, default: false }, // President can override
+    },
+
+    // Expense Approval Policy (no tiers = single treasurer approval)
+    approvalPolicy: {
+      tiers: [approvalTierSchema],
+    },
+
+    // Account Security
+    security: {
+      // Roles that must enrol in 2FA before using finance routes (when enableTwoFactor is on)
+      twoFactorRequiredRoles: { type: [String], default: ["treasurer", "president"] },
+      passwordPolicy: {
+        minLength: { type: Number, default: 8, min: 8, max: 128 },
+        requireUppercase: { type: Boolean, default: true },
+        requireLowercase: { type: Boolean, default: true },
+        requireNumber: { type: Boolean, default: true },
+        requireSymbol: { type: Boolean, default: true },
+        historyCount: { type: Number, default: 5, min: 0, max: 24 }, // last N passwords cannot be reused
+        maxAgeDays: { type: Number, default: 0, min: 0 }, // 0 = passwords never expire
+      },
+      lockout: {
+        maxAttempts: { type: Number, default: 5, min: 1, max: 50 }, // failed logins before locking
+        durationMinutes: { type: Number, default: 120, min: 1 },
+      },
+    },
+
+    // Trash (soft-deleted members, events and expenses)
+    trash: {
+      retentionDays: { type: Number, default: 30, min: 1, max: 365 }, // purged permanently after this
+    },
+
     // Feature Flags
     features: {
       enableTwoFactor: { type: Boolean, default: false },
+      enableMagicLinkLogin: { type: Boolean, default: false },
       enableEmailNotifications: { type: Boolean, default: true },
       enablePublicGallery: { type: Boolean, default: true },
       maintenanceMode: { type: Boolean, default: false },
@@ -84,6 +176,11 @@ const clubSettingsSchema = new mongoose.Schema(
   },
 )
 
+// Drop the cached policy whenever settings change
+clubSettingsSchema.post("save", function () {
+  policyCache = null
+})
+
 // Ensure only one settings document exists
 clubSettingsSchema.statics.getSettings = async function () {
   let settings = await this.findOne()
@@ -95,6 +192,29 @@ clubSettingsSchema.statics.getSettings = async function () {
   return settings
 }
 
+// Static: Current password policy (cached)
+clubSettingsSchema.statics.getPasswordPolicy = async function () {
+  if (!policyCache || Date.now() - policyCache.loadedAt > CACHE_TTL) {
+    const settings = await this.getSettings()
+    policyCache = { loadedAt: Date.now(), policy: settings.toObject().security.passwordPolicy }
+  }
+  return policyCache.policy
+}
+
+// Method: Get the ordered list of roles that must approve an expense of this amount
+clubSettingsSchema.methods.getRequiredApprovals = function (amount) {
+  const tier = (this.approvalPolicy?.tiers || [])
+    .filter((item) => amount >= item.minAmount && item.roles.length > 0)
+    .sort((a, b) => b.minAmount - a.minAmount)[0]
+  return tier ? [...tier.roles] : ["treasurer"]
+}
+
+// Method: Check whether a role must have 2FA enabled
+clubSettingsSchema.methods.requiresTwoFactor = function (role) {
+  if (!this.features?.enableTwoFactor) return false
+  return (this.security?.twoFactorRequiredRoles || []).includes(role)
+}
+
 const ClubSettings = mongoose.model("ClubSettings", clubSettingsSchema)
 
 export default ClubSettings
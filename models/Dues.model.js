@@ -0,0 +1,145 @@
+// ============================================
+// DUES MODEL (MEMBER INVOICES)
+// ============================================
+
+import mongoose from "mongoose"
+import { PAYMENT_MODES } from "./Expense.model.js"
+
+const duesPaymentSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, "Amount must be greater than 0"],
+  },
+  paymentMode: {
+    type: String,
+    enum: PAYMENT_MODES,
+    required: [true, "Payment mode is required"],
+  },
+  reference: String,
+  paidAt: {
+    type: Date,
+    default: Date.now,
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+})
+
+const duesSchema = new mongoose.Schema(
+  {
+    // Member
+    member: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Plan (snapshot from ClubSettings.duesPlans)
+    plan: {
+      planId: { type: mongoose.Schema.Types.ObjectId, required: true },
+      name: { type: String, required: true },
+      type: { type: String, enum: ["membership", "district_fee", "other"], default: "membership" },
+    },
+
+    // Amounts
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+      min: [1, "Amount must be greater than 0"],
+    },
+    amountPaid: {
+      type: Number,
+      default: 0,
+    },
+    dueDate: {
+      type: Date,
+      required: [true, "Due date is required"],
+    },
+    payments: [duesPaymentSchema],
+
+    // Status
+    status: {
+      type: String,
+      enum: ["unpaid", "partial", "paid", "overdue", "waived"],
+      default: "unpaid",
+    },
+    paidAt: Date,
+
+    // Waiver (the remaining balance is written off)
+    waivedAt: Date,
+    waivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    waiverReason: String,
+
+    // Reminders
+    lastReminderAt: Date,
+    reminderCount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Metadata
+    rotaractYear: {
+      type: String,
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+)
+
+// Indexes
+duesSchema.index({ member: 1, "plan.planId": 1 }, { unique: true })
+duesSchema.index({ status: 1, rotaractYear: 1 })
+duesSchema.index({ dueDate: 1 })
+
+// Virtual for outstanding balance
+duesSchema.virtual("balance").get(function () {
+  return Math.max(0, this.amount - this.amountPaid)
+})
+
+// Pre-save: Derive amount paid and status from payments (a waived invoice stays waived)
+duesSchema.pre("save", function (next) {
+  this.amountPaid = this.payments.reduce((sum, payment) => sum + payment.amount, 0)
+
+  if (this.status === "waived") {
+    // Nothing more is owed
+  } else if (this.amountPaid >= this.amount) {
+    this.status = "paid"
+    this.paidAt = this.paidAt || new Date()
+  } else if (this.dueDate < new Date()) {
+    this.status = "overdue"
+  } else if (this.amountPaid > 0) {
+    this.status = "partial"
+  } else {
+    this.status = "unpaid"
+  }
+  next()
+})
+
+// Static: Flag unpaid invoices past their due date as overdue
+duesSchema.statics.markOverdue = async function () {
+  return this.updateMany(
+    { status: { $in: ["unpaid", "partial"] }, dueDate: { $lt: new Date() } },
+    { status: "overdue" },
+  )
+}
+
+const Dues = mongoose.model("Dues", duesSchema)
+
+export default Dues
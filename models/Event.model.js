@@ -3,6 +3,66 @@
 // ============================================
 
 import mongoose from "mongoose"
+import { EXPENSE_CATEGORIES } from "./Expense.model.js"
+import { softDeletePlugin } from "../utils/softDelete.js"
+
+// Statuses that count towards an event's actual spending
+const SPENT_STATUSES = ["approved", "reimbursed", "paid"]
+
+const attendanceSchema = new mongoose.Schema({
+  member: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  checkInAt: Date,
+  checkOutAt: Date,
+  method: {
+    type: String,
+    enum: ["qr", "manual"],
+    default: "qr",
+  },
+  markedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  notes: {
+    type: String,
+    maxlength: [500, "Notes cannot exceed 500 characters"],
+  },
+})
+
+const registrationSchema = new mongoose.Schema({
+  member: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["registered", "waitlisted", "cancelled"],
+    default: "registered",
+  },
+  registeredAt: {
+    type: Date,
+    default: Date.now,
+  },
+  promotedAt: Date,
+  cancelledAt: Date,
+})
+
+const budgetLineSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    enum: EXPENSE_CATEGORIES,
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, "Budget amount cannot be negative"],
+  },
+})
 
 const eventSchema = new mongoose.Schema(
   {
@@ -59,6 +119,11 @@ const eventSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    budgetLines: [budgetLineSchema], // Per expense category limits
+    budgetAlertLevel: {
+      type: Number,
+      default: 0, // Highest alert threshold (%) already notified
+    },
 
     // Venue
     venue: {
@@ -80,6 +145,17 @@ const eventSchema = new mongoose.Schema(
 
     // Report
     reportLink: String,
+
+    // Registration / RSVP
+    capacity: {
+      type: Number,
+      default: 0, // 0 = unlimited
+      min: [0, "Capacity cannot be negative"],
+    },
+    registrations: [registrationSchema],
+
+    // Attendance (attendees is derived from the register)
+    attendance: [attendanceSchema],
     attendees: {
       type: Number,
       default: 0,
@@ -126,12 +202,17 @@ const eventSchema = new mongoose.Schema(
   },
 )
 
+// Soft delete (deletedAt/deletedBy; deleted documents are hidden from queries)
+eventSchema.plugin(softDeletePlugin)
+
 // Indexes
 eventSchema.index({ name: "text", description: "text" })
 eventSchema.index({ startDate: -1 })
 eventSchema.index({ category: 1 })
 eventSchema.index({ rotaractYear: 1 })
 eventSchema.index({ status: 1 })
+eventSchema.index({ "attendance.member": 1 })
+eventSchema.index({ "registrations.member": 1 })
 
 // Virtual for expenses
 eventSchema.virtual("expenses", {
@@ -140,6 +221,16 @@ eventSchema.virtual("expenses", {
   foreignField: "event",
 })
 
+// Virtual for registered count
+eventSchema.virtual("registeredCount").get(function () {
+  return this.registrations ? this.registrations.filter((r) => r.status === "registered").length : undefined
+})
+
+// Virtual for waitlist count
+eventSchema.virtual("waitlistCount").get(function () {
+  return this.registrations ? this.registrations.filter((r) => r.status === "waitlisted").length : undefined
+})
+
 // Pre-save: Update status based on dates
 eventSchema.pre("save", function (next) {
   const now = new Date()
@@ -155,6 +246,137 @@ eventSchema.pre("save", function (next) {
   next()
 })
 
+// Pre-save: Derive attendee count from the attendance register
+eventSchema.pre("save", function (next) {
+  if (this.isModified("attendance")) {
+    this.attendees = this.attendance.filter((entry) => entry.checkInAt).length
+  }
+  next()
+})
+
+// Method: Check if a user can coordinate this event (admin or event coordinator)
+eventSchema.methods.canCoordinate = function (user) {
+  if (user.isAdmin) return true
+  const coordinatorId = this.coordinator?._id || this.coordinator
+  return Boolean(coordinatorId) && coordinatorId.toString() === user._id.toString()
+}
+
+// Method: Check if registrations have reached capacity
+eventSchema.methods.isFull = function () {
+  return this.capacity > 0 && this.registrations.filter((r) => r.status === "registered").length >= this.capacity
+}
+
+// Method: Promote waitlisted members while seats are available
+// Returns the promoted registration entries
+eventSchema.methods.promoteFromWaitlist = function () {
+  const waitlist = this.registrations
+    .filter((r) => r.status === "waitlisted")
+    .sort((a, b) => a.registeredAt - b.registeredAt)
+
+  const promoted = []
+  for (const entry of waitlist) {
+    if (this.isFull()) break
+    entry.status = "registered"
+    entry.promotedAt = new Date()
+    promoted.push(entry)
+  }
+  return promoted
+}
+
+// Static: Register a member in a single conditional update, so concurrent RSVPs cannot overfill the event
+// Takes a seat while registered < capacity, otherwise joins the waitlist.
+// Returns { event, status }, or null when the member already holds an active registration
+eventSchema.statics.addRegistration = async function (eventId, memberId) {
+  const notActive = { registrations: { $not: { $elemMatch: { member: memberId, status: { $ne: "cancelled" } } } } }
+  const hasSeat = {
+    $or: [
+      { capacity: null },
+      { capacity: { $lte: 0 } },
+      {
+        $expr: {
+          $lt: [
+            { $size: { $filter: { input: "$registrations", cond: { $eq: ["$$this.status", "registered"] } } } },
+            "$capacity",
+          ],
+        },
+      },
+    ],
+  }
+
+  for (const status of ["registered", "waitlisted"]) {
+    const conditions = [{ _id: eventId }, notActive, ...(status === "registered" ? [hasSeat] : [])]
+
+    // Re-registering after a cancellation reuses the entry and goes to the back of the queue
+    const event =
+      (await this.findOneAndUpdate(
+        { $and: [...conditions, { registrations: { $elemMatch: { member: memberId, status: "cancelled" } } }] },
+        {
+          $set: { "registrations.$[entry].status": status, "registrations.$[entry].registeredAt": new Date() },
+          $unset: { "registrations.$[entry].promotedAt": 1, "registrations.$[entry].cancelledAt": 1 },
+        },
+        { new: true, arrayFilters: [{ "entry.member": memberId }] },
+      )) ||
+      (await this.findOneAndUpdate(
+        { $and: [...conditions, { "registrations.member": { $ne: memberId } }] },
+        { $push: { registrations: { member: memberId, status } } },
+        { new: true },
+      ))
+
+    if (event) return { event, status }
+  }
+
+  return null
+}
+
+// Static: Sum approved/settled expenses for an event, overall and per category
+eventSchema.statics.getApprovedSpending = async function (eventId) {
+  const rows = await mongoose.model("Expense").aggregate([
+    { $match: { event: new mongoose.Types.ObjectId(String(eventId)), status: { $in: SPENT_STATUSES } } },
+    { $group: { _id: "$category", total: { $sum: "$amount" } } },
+  ])
+
+  const byCategory = {}
+  rows.forEach((row) => {
+    byCategory[row._id] = row.total
+  })
+
+  return {
+    total: rows.reduce((sum, row) => sum + row.total, 0),
+    byCategory,
+  }
+}
+
+// Static: Reconcile actualSpending with approved/settled expenses
+// Returns the updated event along with its spending breakdown
+eventSchema.statics.recalculateSpending = async function (eventId) {
+  const event = await this.findById(eventId)
+  if (!event) return null
+
+  const spending = await this.getApprovedSpending(eventId)
+  event.actualSpending = spending.total
+  await event.save()
+
+  return { event, spending }
+}
+
+// Method: Check whether adding an amount in a category would exceed the budget
+// Returns a list of human readable reasons (empty when within budget)
+eventSchema.methods.getBudgetOverruns = function (spending, category, amount) {
+  const overruns = []
+
+  if (this.estimatedBudget > 0 && spending.total + amount > this.estimatedBudget) {
+    overruns.push(`Event budget of ₹${this.estimatedBudget} would be exceeded (spent ₹${spending.total})`)
+  }
+
+  const line = this.budgetLines.find((item) => item.category === category)
+  const categorySpent = spending.byCategory[category] || 0
+  if (line && categorySpent + amount > line.amount) {
+    overruns.push(`${category} budget of ₹${line.amount} would be exceeded (spent ₹${categorySpent})`)
+  }
+
+  return overruns
+}
+
 const Event = mongoose.model("Event", eventSchema)
 
 export default Event
@@ -3,6 +3,47 @@
 // ============================================
 
 import mongoose from "mongoose"
+import { softDeletePlugin } from "../utils/softDelete.js"
+
+export const PAYMENT_MODES = ["upi", "cash", "bank_transfer", "cheque"]
+export const EXPENSE_CATEGORIES = [
+  "donation",
+  "personal_contribution",
+  "travel_expense",
+  "accommodation",
+  "event_material",
+  "food_refreshments",
+  "miscellaneous",
+]
+
+const approvalStepSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    required: true,
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  approvedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+const duplicateWarningSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ["same_bill", "same_details"],
+    required: true,
+  },
+  matchedExpense: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Expense",
+  },
+  message: String,
+})
 
 const expenseSchema = new mongoose.Schema(
   {
@@ -23,15 +64,7 @@ const expenseSchema = new mongoose.Schema(
     // Expense Details
     category: {
       type: String,
-      enum: [
-        "donation",
-        "personal_contribution",
-        "travel_expense",
-        "accommodation",
-        "event_material",
-        "food_refreshments",
-        "miscellaneous",
-      ],
+      enum: EXPENSE_CATEGORIES,
       required: [true, "Category is required"],
     },
     amount: {
@@ -46,7 +79,7 @@ const expenseSchema = new mongoose.Schema(
     },
     paymentMode: {
       type: String,
-      enum: ["upi", "cash", "bank_transfer", "cheque"],
+      enum: PAYMENT_MODES,
       required: [true, "Payment mode is required"],
     },
     description: {
@@ -64,6 +97,13 @@ const expenseSchema = new mongoose.Schema(
     },
     billPublicId: String, // Cloudinary public ID
     billOriginalName: String,
+    billHash: {
+      type: String,
+      select: false,
+    }, // SHA-256 of the uploaded file
+
+    // Possible duplicates flagged at submission for the treasurer to review
+    duplicateWarnings: [duplicateWarningSchema],
 
     // Status & Approval
     status: {
@@ -72,12 +112,23 @@ const expenseSchema = new mongoose.Schema(
       default: "pending",
     },
 
+    // Approval Chain (roles required by the club approval policy)
+    requiredApprovals: {
+      type: [String],
+      default: ["treasurer"],
+    },
+    approvalSteps: [approvalStepSchema],
+
     // Approval Details
     approvedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     },
     approvedAt: Date,
+    budgetOverrideBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    }, // President approved despite the event being over budget
     rejectedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -92,6 +143,10 @@ const expenseSchema = new mongoose.Schema(
     },
     reimbursedAt: Date,
     reimbursementReference: String,
+    payoutBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PayoutBatch",
+    },
 
     // Metadata
     rotaractYear: {
@@ -110,6 +165,9 @@ const expenseSchema = new mongoose.Schema(
   },
 )
 
+// Soft delete (deletedAt/deletedBy; deleted documents are hidden from queries)
+expenseSchema.plugin(softDeletePlugin)
+
 // Indexes
 expenseSchema.index({ member: 1, status: 1 })
 expenseSchema.index({ event: 1 })
@@ -117,12 +175,71 @@ expenseSchema.index({ category: 1 })
 expenseSchema.index({ rotaractYear: 1 })
 expenseSchema.index({ date: -1 })
 expenseSchema.index({ status: 1, rotaractYear: 1 })
+expenseSchema.index({ billHash: 1 })
+expenseSchema.index({ member: 1, event: 1, amount: 1 })
 
 // Virtual for formatted amount
 expenseSchema.virtual("formattedAmount").get(function () {
   return `₹${this.amount.toLocaleString("en-IN")}`
 })
 
+// Static: Find possible duplicates of a new/updated expense
+// Matches the same bill file anywhere, or the same member + event + amount on the same day
+expenseSchema.statics.findDuplicateWarnings = async function ({ billHash, member, event, amount, date, excludeId }) {
+  const warnings = []
+  const notSelf = excludeId ? { _id: { $ne: excludeId } } : {}
+
+  if (billHash) {
+    const sameBill = await this.find({ ...notSelf, billHash })
+      .populate("member", "firstName lastName")
+      .select("member amount date status")
+      .limit(5)
+    sameBill.forEach((match) => {
+      const submittedBy = match.member ? `${match.member.firstName} ${match.member.lastName}` : "a member"
+      warnings.push({
+        type: "same_bill",
+        matchedExpense: match._id,
+        message: `Same bill file already submitted by ${submittedBy} (₹${match.amount}, ${match.status})`,
+      })
+    })
+  }
+
+  if (member && event && amount && date) {
+    const dayStart = new Date(date)
+    dayStart.setHours(0, 0, 0, 0)
+    const dayEnd = new Date(dayStart)
+    dayEnd.setDate(dayEnd.getDate() + 1)
+
+    const sameDetails = await this.find({
+      ...notSelf,
+      member,
+      event,
+      amount: Number(amount),
+      date: { $gte: dayStart, $lt: dayEnd },
+      status: { $ne: "rejected" },
+    })
+      .select("amount date status")
+      .limit(5)
+    sameDetails
+      .filter((match) => !warnings.some((warning) => warning.matchedExpense.equals(match._id)))
+      .forEach((match) => {
+        warnings.push({
+          type: "same_details",
+          matchedExpense: match._id,
+          message: `Same member, event, amount and date as an existing expense (₹${match.amount}, ${match.status})`,
+        })
+      })
+  }
+
+  return warnings
+}
+
+// Virtual for the role whose sign-off is awaited
+expenseSchema.virtual("nextApprovalRole").get(function () {
+  if (this.status !== "pending" || !this.requiredApprovals) return null
+  return this.requiredApprovals[this.approvalSteps?.length || 0] || null
+})
+
 const Expense = mongoose.model("Expense", expenseSchema)
 
 export default Expense
@@ -0,0 +1,89 @@
+// ============================================
+// INCOME MODEL
+// ============================================
+
+import mongoose from "mongoose"
+import { PAYMENT_MODES } from "./Expense.model.js"
+
+export const INCOME_CATEGORIES = ["sponsorship", "donation", "fundraiser", "parent_club_grant", "other"]
+
+const incomeSchema = new mongoose.Schema(
+  {
+    // Income Details
+    category: {
+      type: String,
+      enum: INCOME_CATEGORIES,
+      required: [true, "Category is required"],
+    },
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+      min: [1, "Amount must be greater than 0"],
+    },
+    date: {
+      type: Date,
+      required: [true, "Date is required"],
+      default: Date.now,
+    },
+    source: {
+      type: String,
+      required: [true, "Source is required"],
+      trim: true,
+      maxlength: [200, "Source cannot exceed 200 characters"],
+    },
+    paymentMode: {
+      type: String,
+      enum: PAYMENT_MODES,
+      required: [true, "Payment mode is required"],
+    },
+    reference: String,
+    description: {
+      type: String,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+
+    // Linked Event (e.g. fundraiser revenue)
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+    },
+
+    // Receipt
+    receiptUrl: String,
+    receiptOriginalName: String,
+
+    // Metadata
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    rotaractYear: {
+      type: String,
+      required: true,
+    },
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+)
+
+// Indexes
+incomeSchema.index({ rotaractYear: 1, category: 1 })
+incomeSchema.index({ event: 1 })
+incomeSchema.index({ date: -1 })
+
+// Virtual for formatted amount
+incomeSchema.virtual("formattedAmount").get(function () {
+  return `₹${this.amount.toLocaleString("en-IN")}`
+})
+
+const Income = mongoose.model("Income", incomeSchema)
+
+export default Income
@@ -0,0 +1,123 @@
+// ============================================
+// PAYOUT BATCH MODEL (REIMBURSEMENT RUNS)
+// ============================================
+
+import mongoose from "mongoose"
+
+const memberTotalSchema = new mongoose.Schema({
+  member: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+  expenseCount: {
+    type: Number,
+    default: 0,
+  },
+})
+
+const payoutBatchSchema = new mongoose.Schema(
+  {
+    batchNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // Included expenses & per-member totals
+    expenses: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Expense",
+      },
+    ],
+    memberTotals: [memberTotalSchema],
+    totalAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Status
+    status: {
+      type: String,
+      enum: ["draft", "paid", "cancelled"],
+      default: "draft",
+    },
+    paymentReference: String,
+    paidAt: Date,
+    paidBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    notes: {
+      type: String,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+
+    // Metadata
+    rotaractYear: {
+      type: String,
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes
+payoutBatchSchema.index({ rotaractYear: 1, status: 1 })
+payoutBatchSchema.index({ createdAt: -1 })
+
+// Static: Next sequential batch number for a Rotaract year (e.g. PAY-2025-2026-003)
+payoutBatchSchema.statics.generateBatchNumber = async function (rotaractYear) {
+  const last = await this.findOne({ rotaractYear }).sort({ createdAt: -1 }).select("batchNumber")
+  const sequence = last ? Number(last.batchNumber.split("-").pop()) || 0 : 0
+  return `PAY-${rotaractYear}-${String(sequence + 1).padStart(3, "0")}`
+}
+
+// Static: Create a batch under the next batch number, retrying when a concurrent request took it
+payoutBatchSchema.statics.createNumbered = async function (data, attempts = 5) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await this.create({ ...data, batchNumber: await this.generateBatchNumber(data.rotaractYear) })
+    } catch (error) {
+      if (error.code !== 11000 || !error.keyPattern?.batchNumber || attempt >= attempts) throw error
+    }
+  }
+}
+
+// Static: Total approved expenses per member
+payoutBatchSchema.statics.buildMemberTotals = function (expenses) {
+  const totals = new Map()
+  expenses.forEach((expense) => {
+    const memberId = (expense.member._id || expense.member).toString()
+    const entry = totals.get(memberId) || { member: expense.member._id || expense.member, amount: 0, expenseCount: 0 }
+    entry.amount += expense.amount
+    entry.expenseCount += 1
+    totals.set(memberId, entry)
+  })
+  return [...totals.values()].sort((a, b) => b.amount - a.amount)
+}
+
+const PayoutBatch = mongoose.model("PayoutBatch", payoutBatchSchema)
+
+export default PayoutBatch
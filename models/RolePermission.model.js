@@ -0,0 +1,139 @@
+// ============================================
+// ROLE PERMISSION MODEL (PER ROTARACT YEAR)
+// ============================================
+
+import mongoose from "mongoose"
+import { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } from "../config/permissions.js"
+import { USER_ROLES } from "./User.model.js"
+
+// Mappings are read on every protected request; keep them briefly in memory
+const CACHE_TTL = 60 * 1000
+const cache = new Map()
+
+const roleGrantSchema = new mongoose.Schema(
+  {
+    role: {
+      type: String,
+      enum: USER_ROLES,
+      required: true,
+    },
+    permissions: [
+      {
+        type: String,
+        enum: Object.keys(PERMISSIONS),
+      },
+    ],
+  },
+  { _id: false },
+)
+
+const rolePermissionSchema = new mongoose.Schema(
+  {
+    rotaractYear: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    roles: [roleGrantSchema],
+    // Registry keys this mapping has been synced with (see syncNewPermissions)
+    knownPermissions: {
+      type: [String],
+      default: undefined,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Drop cached mapping whenever it changes
+rolePermissionSchema.post("save", function (doc) {
+  cache.delete(doc.rotaractYear)
+})
+
+// Grant permissions registered since the mapping was last synced to their default roles.
+// Runs once per new key, so grants an admin later removes stay removed. Returns true if changed
+// A mapping saved before knownPermissions existed is taken to know the keys it grants to some role
+const syncNewPermissions = (mapping) => {
+  const known = mapping.knownPermissions ?? [...new Set(mapping.roles.flatMap((grant) => grant.permissions))]
+  const added = Object.keys(PERMISSIONS).filter((key) => !known.includes(key))
+  if (added.length === 0 && mapping.knownPermissions) return false
+
+  Object.entries(DEFAULT_ROLE_PERMISSIONS).forEach(([role, defaults]) => {
+    const grants = added.filter((permission) => defaults.includes(permission))
+    if (grants.length === 0) return
+
+    let grant = mapping.roles.find((item) => item.role === role)
+    if (!grant) {
+      mapping.roles.push({ role, permissions: [] })
+      grant = mapping.roles[mapping.roles.length - 1]
+    }
+    grants.forEach((permission) => {
+      if (!grant.permissions.includes(permission)) grant.permissions.push(permission)
+    })
+  })
+
+  mapping.knownPermissions = Object.keys(PERMISSIONS)
+  return true
+}
+
+// Static: Get (or seed) the mapping for a Rotaract year
+// A new year starts from the latest existing mapping, falling back to the defaults
+rolePermissionSchema.statics.getMapping = async function (rotaractYear) {
+  let mapping = await this.findOne({ rotaractYear })
+  if (mapping) {
+    if (!syncNewPermissions(mapping)) return mapping
+    try {
+      return await mapping.save()
+    } catch (error) {
+      // Another request synced it first
+      if (error.name !== "VersionError") throw error
+      return this.findOne({ rotaractYear })
+    }
+  }
+
+  const previous = await this.findOne().sort({ rotaractYear: -1 })
+  mapping = previous
+    ? new this({
+        rotaractYear,
+        roles: previous.roles.map((grant) => ({ role: grant.role, permissions: [...grant.permissions] })),
+        knownPermissions: previous.knownPermissions && [...previous.knownPermissions],
+      })
+    : new this({
+        rotaractYear,
+        roles: Object.entries(DEFAULT_ROLE_PERMISSIONS).map(([role, permissions]) => ({ role, permissions })),
+        knownPermissions: Object.keys(PERMISSIONS),
+      })
+  syncNewPermissions(mapping)
+
+  try {
+    await mapping.save()
+  } catch (error) {
+    // Another request seeded it first
+    if (error.code !== 11000) throw error
+    mapping = await this.findOne({ rotaractYear })
+  }
+  return mapping
+}
+
+// Static: Permissions granted to a role in a Rotaract year (cached)
+rolePermissionSchema.statics.getRolePermissions = async function (role, rotaractYear) {
+  let entry = cache.get(rotaractYear)
+  if (!entry || Date.now() - entry.loadedAt > CACHE_TTL) {
+    const mapping = await this.getMapping(rotaractYear)
+    entry = {
+      loadedAt: Date.now(),
+      grants: new Map(mapping.roles.map((grant) => [grant.role, new Set(grant.permissions)])),
+    }
+    cache.set(rotaractYear, entry)
+  }
+  return entry.grants.get(role) || new Set()
+}
+
+const RolePermission = mongoose.model("RolePermission", rolePermissionSchema)
+
+export default RolePermission
@@ -7,6 +7,9 @@ import bcrypt from "bcryptjs"
 import jwt from "jsonwebtoken"
 import crypto from "crypto"
 import config from "../config/config.js"
+import { generateToken, hashToken, describeUserAgent, encryptData, decryptData } from "../utils/helpers.js"
+import { BOARD_POSITIONS } from "./Board.model.js"
+import { softDeletePlugin } from "../utils/softDelete.js"
 
 export const USER_ROLES = [
   "member",
@@ -29,6 +32,94 @@ export const USER_ROLES = [
   "alumni",
 ]
 
+// Backup codes are compared case- and dash-insensitively
+const hashBackupCode = (code) => hashToken(String(code).replace(/[\s-]/g, "").toLowerCase())
+
+// Login session (one per device) - only a hash of the refresh token is stored.
+// Each session is a refresh token family: the token is rotated on every refresh,
+// and presenting a rotated-out token revokes the whole session.
+const sessionSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+  },
+  userAgent: String,
+  ipAddress: String,
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, "Session label cannot exceed 100 characters"],
+  },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: Date,
+})
+
+// 2FA recovery code - only a hash is stored; each code works once
+const backupCodeSchema = new mongoose.Schema(
+  {
+    codeHash: { type: String, required: true },
+    usedAt: Date,
+  },
+  { _id: false },
+)
+
+// First-login invitation - only a hash of the emailed token is stored
+const invitationSchema = new mongoose.Schema(
+  {
+    tokenHash: {
+      type: String,
+      select: false,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "revoked"],
+      default: "pending",
+    },
+    expiresAt: Date,
+    sentAt: Date,
+    sentBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    sendCount: {
+      type: Number,
+      default: 0,
+    },
+    acceptedAt: Date,
+    revokedAt: Date,
+  },
+  { _id: false },
+)
+
+// One stint of a member in a Rotaract year; a new entry starts on every role, designation,
+// board position or year change (the open entry has no endDate)
+const tenureSchema = new mongoose.Schema({
+  rotaractYear: {
+    type: String,
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: USER_ROLES,
+    required: true,
+  },
+  designation: String,
+  boardPosition: {
+    type: String,
+    enum: BOARD_POSITIONS,
+  },
+  startDate: {
+    type: Date,
+    default: Date.now,
+  },
+  endDate: Date,
+  reason: {
+    type: String,
+    enum: ["joined", "role_change", "alumni", "board", "year_close", "year_start"],
+  },
+})
+
 const userSchema = new mongoose.Schema(
   {
     // Basic Info
@@ -84,6 +175,26 @@ const userSchema = new mongoose.Schema(
     collegeName: String,
     courseName: String,
 
+    // Payout Details (used for reimbursement bank exports)
+    payoutDetails: {
+      upiId: {
+        type: String,
+        trim: true,
+        match: [/^[\w.-]+@[\w.-]+$/, "Please provide a valid UPI ID"],
+      },
+      accountHolderName: { type: String, trim: true },
+      // Encrypted at rest; responses show accountNumberMasked
+      accountNumber: { type: String, select: false },
+      accountNumberMasked: String,
+      ifscCode: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z]{4}0[A-Z0-9]{6}$/, "Please provide a valid IFSC code"],
+      },
+      bankName: { type: String, trim: true },
+    },
+
     // Role & Status
     role: {
       type: String,
@@ -103,6 +214,14 @@ const userSchema = new mongoose.Schema(
       default: false,
     },
 
+    // Set when this record was a duplicate folded into another member
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    mergedAt: Date,
+
     // Rotaract Info
     rotaractYear: {
       type: String,
@@ -113,6 +232,7 @@ const userSchema = new mongoose.Schema(
       default: Date.now,
     },
     designation: String,
+    tenureHistory: [tenureSchema],
 
     // Security
     twoFactorEnabled: {
@@ -123,34 +243,57 @@ const userSchema = new mongoose.Schema(
       type: String,
       select: false,
     },
+    twoFactorBackupCodes: {
+      type: [backupCodeSchema],
+      select: false,
+    },
     passwordChangedAt: Date,
+    passwordHistory: {
+      type: [String], // previous password hashes, newest last
+      select: false,
+    },
     hasChangedPassword: {
       type: Boolean,
       default: false,
     },
     passwordResetToken: String,
     passwordResetExpires: Date,
+    magicLinkToken: {
+      type: String,
+      select: false,
+    },
+    magicLinkExpires: Date,
+    invitation: invitationSchema,
     loginAttempts: {
       type: Number,
       default: 0,
     },
     lockUntil: Date,
+    unlockToken: {
+      type: String,
+      select: false,
+    },
+    unlockExpires: Date,
     lastLogin: Date,
-    refreshTokens: [
-      {
-        token: String,
-        createdAt: { type: Date, default: Date.now },
-        expiresAt: Date,
-      },
-    ],
+    refreshTokens: [sessionSchema],
   },
   {
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: {
+      virtuals: true,
+      // Never send the encrypted account number, even when a query selected it
+      transform: (doc, ret) => {
+        if (ret.payoutDetails) delete ret.payoutDetails.accountNumber
+        return ret
+      },
+    },
     toObject: { virtuals: true },
   },
 )
 
+// Soft delete (deletedAt/deletedBy; deleted documents are hidden from queries)
+userSchema.plugin(softDeletePlugin)
+
 // Indexes
 userSchema.index({ email: 1 })
 userSchema.index({ memberId: 1 })
@@ -162,6 +305,42 @@ userSchema.virtual("fullName").get(function () {
   return `${this.firstName} ${this.lastName}`
 })
 
+// Virtual for invitation status (pending invitations past their expiry read as expired)
+userSchema.virtual("invitationStatus").get(function () {
+  if (!this.invitation?.status) return "none"
+  if (this.invitation.status === "pending" && this.invitation.expiresAt <= Date.now()) return "expired"
+  return this.invitation.status
+})
+
+// Virtual for the open tenure entry
+userSchema.virtual("currentTenure").get(function () {
+  return this.tenureHistory?.findLast((tenure) => !tenure.endDate)
+})
+
+// Pre-save: New members start their tenure history on creation
+userSchema.pre("save", function (next) {
+  if (this.isNew && this.tenureHistory.length === 0) {
+    this.tenureHistory.push({
+      rotaractYear: this.rotaractYear,
+      role: this.role,
+      designation: this.designation,
+      startDate: this.joinDate,
+      reason: "joined",
+    })
+  }
+  next()
+})
+
+// Pre-validate: Prune expired sessions and refresh tokens stored raw before sessions were hashed
+userSchema.pre("validate", function (next) {
+  const isStale = (session) => !session.tokenHash || (session.expiresAt && session.expiresAt <= Date.now())
+
+  if (this.refreshTokens.some(isStale)) {
+    this.refreshTokens = this.refreshTokens.filter((session) => !isStale(session))
+  }
+  next()
+})
+
 // Pre-save: Hash password
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next()
@@ -171,16 +350,72 @@ userSchema.pre("save", async function (next) {
   next()
 })
 
+// Method: Apply role/designation/year/board changes and record them as a new tenure entry
+// Returns false (and records nothing) when the tenure is unchanged
+userSchema.methods.changeTenure = function (changes, reason) {
+  const { boardPosition, ...fields } = changes
+
+  // Members created before tenure tracking start from their current state
+  if (this.tenureHistory.length === 0) {
+    this.tenureHistory.push({
+      rotaractYear: this.rotaractYear,
+      role: this.role,
+      designation: this.designation,
+      startDate: this.joinDate || this.createdAt,
+      reason: "joined",
+    })
+  }
+
+  const current = this.currentTenure
+  this.set(fields)
+
+  // Board positions belong to a year; keep the current one unless it changes or the year does
+  let nextPosition = boardPosition
+  if (nextPosition === undefined) {
+    nextPosition = current?.rotaractYear === this.rotaractYear ? current.boardPosition : null
+  }
+
+  const unchanged =
+    current &&
+    current.rotaractYear === this.rotaractYear &&
+    current.role === this.role &&
+    (current.designation || null) === (this.designation || null) &&
+    (current.boardPosition || null) === (nextPosition || null)
+  if (unchanged) return false
+
+  const now = new Date()
+  if (current) current.endDate = now
+  this.tenureHistory.push({
+    rotaractYear: this.rotaractYear,
+    role: this.role,
+    designation: this.designation,
+    boardPosition: nextPosition || undefined,
+    startDate: now,
+    reason,
+  })
+  return true
+}
+
+// Method: Set a new password, keeping the current hash in the reuse history
+// (load with +password +passwordHistory so the current hash is known)
+userSchema.methods.setPassword = function (newPassword, historyCount = 0) {
+  if (this.password && historyCount > 0) {
+    this.passwordHistory = [...(this.passwordHistory || []), this.password].slice(-historyCount)
+  }
+  this.password = newPassword
+}
+
 // Method: Compare password
 userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password)
 }
 
-// Method: Generate JWT token
-userSchema.methods.generateAuthToken = function () {
+// Method: Generate JWT token (sid ties the token to a login session)
+userSchema.methods.generateAuthToken = function (sessionId) {
   return jwt.sign(
     {
       id: this._id,
+      sid: sessionId,
       email: this.email,
       role: this.role,
       isAdmin: this.isAdmin,
@@ -190,16 +425,72 @@ userSchema.methods.generateAuthToken = function () {
   )
 }
 
-// Method: Generate refresh token
-userSchema.methods.generateRefreshToken = function () {
-  const refreshToken = jwt.sign({ id: this._id }, config.jwtRefreshSecret, { expiresIn: config.jwtRefreshExpire })
+// Method: Generate refresh token for a session
+userSchema.methods.generateRefreshToken = function (sessionId) {
+  return jwt.sign({ id: this._id, sid: sessionId }, config.jwtRefreshSecret, {
+    expiresIn: config.jwtRefreshExpire,
+    jwtid: generateToken(8),
+  })
+}
+
+// Method: Start a new login session for a device and issue its tokens
+userSchema.methods.createSession = function ({ userAgent, ipAddress, label } = {}) {
+  const sessionId = new mongoose.Types.ObjectId()
+  const refreshToken = this.generateRefreshToken(sessionId)
 
   this.refreshTokens.push({
-    token: refreshToken,
+    _id: sessionId,
+    tokenHash: hashToken(refreshToken),
+    userAgent,
+    ipAddress,
+    label: label || describeUserAgent(userAgent),
     expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
   })
 
-  return refreshToken
+  return {
+    sessionId,
+    accessToken: this.generateAuthToken(sessionId),
+    refreshToken,
+  }
+}
+
+// Method: Replace a session's refresh token (the old one stops working)
+userSchema.methods.rotateSession = function (session, { ipAddress } = {}) {
+  const refreshToken = this.generateRefreshToken(session._id)
+
+  session.tokenHash = hashToken(refreshToken)
+  session.lastUsedAt = new Date()
+  session.expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
+  if (ipAddress) session.ipAddress = ipAddress
+
+  return {
+    sessionId: session._id,
+    accessToken: this.generateAuthToken(session._id),
+    refreshToken,
+  }
+}
+
+// Method: Find the session a refresh token belongs to
+userSchema.methods.findSessionByToken = function (refreshToken) {
+  const tokenHash = hashToken(refreshToken)
+  return this.refreshTokens.find((session) => session.tokenHash === tokenHash)
+}
+
+// Method: Generate signed attendance QR token for one event
+// (tied to the login session, so signing out or a password change revokes it)
+userSchema.methods.generateAttendanceToken = function (eventId, sessionId) {
+  if (!config.attendanceQrSecret) throw new Error("ATTENDANCE_QR_SECRET is not configured")
+  return jwt.sign(
+    {
+      id: this._id,
+      memberId: this.memberId,
+      type: "attendance",
+      event: String(eventId),
+      sid: sessionId,
+    },
+    config.attendanceQrSecret,
+    { expiresIn: config.attendanceQrExpire },
+  )
 }
 
 // Method: Generate password reset token
@@ -213,6 +504,56 @@ userSchema.methods.generatePasswordResetToken = function () {
   return resetToken
 }
 
+// Method: Generate single-use magic sign-in link token
+userSchema.methods.generateMagicLinkToken = function () {
+  const magicToken = crypto.randomBytes(32).toString("hex")
+
+  this.magicLinkToken = crypto.createHash("sha256").update(magicToken).digest("hex")
+
+  this.magicLinkExpires = Date.now() + 15 * 60 * 1000 // 15 minutes
+
+  return magicToken
+}
+
+// Method: Generate single-use invitation token (replaces any earlier invitation)
+userSchema.methods.generateInvitationToken = function (sentBy) {
+  const inviteToken = crypto.randomBytes(32).toString("hex")
+
+  this.invitation = {
+    tokenHash: crypto.createHash("sha256").update(inviteToken).digest("hex"),
+    status: "pending",
+    expiresAt: Date.now() + 7 * 24 * 60 * 60 * 1000, // 7 days
+    sentAt: Date.now(),
+    sentBy,
+    sendCount: (this.invitation?.sendCount || 0) + 1,
+  }
+
+  return inviteToken
+}
+
+// Method: Generate a fresh set of 2FA backup codes (replaces any earlier set)
+userSchema.methods.generateBackupCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const code = crypto.randomBytes(5).toString("hex")
+    return `${code.slice(0, 5)}-${code.slice(5)}`
+  })
+
+  this.twoFactorBackupCodes = codes.map((code) => ({ codeHash: hashBackupCode(code) }))
+
+  return codes
+}
+
+// Method: Redeem a 2FA backup code (requires +twoFactorBackupCodes)
+userSchema.methods.useBackupCode = function (code) {
+  const codeHash = hashBackupCode(code)
+  const backupCode = (this.twoFactorBackupCodes || []).find((item) => !item.usedAt && item.codeHash === codeHash)
+
+  if (!backupCode) return false
+
+  backupCode.usedAt = new Date()
+  return true
+}
+
 // Method: Check if password was changed after token was issued
 userSchema.methods.changedPasswordAfter = function (JWTTimestamp) {
   if (this.passwordChangedAt) {
@@ -227,24 +568,95 @@ userSchema.methods.isLocked = function () {
   return this.lockUntil && this.lockUntil > Date.now()
 }
 
-// Method: Increment login attempts
-userSchema.methods.incLoginAttempts = async function () {
+// Method: Increment login attempts (lockout settings come from ClubSettings.security.lockout)
+// Resolves true when this attempt locked the account
+userSchema.methods.incLoginAttempts = async function ({ maxAttempts = 5, durationMinutes = 120 } = {}) {
   // Reset attempts if lock has expired
   if (this.lockUntil && this.lockUntil < Date.now()) {
-    return this.updateOne({
+    await this.updateOne({
       $set: { loginAttempts: 1 },
       $unset: { lockUntil: 1 },
     })
+    return false
   }
 
   const updates = { $inc: { loginAttempts: 1 } }
 
-  // Lock account after 5 failed attempts for 2 hours
-  if (this.loginAttempts + 1 >= 5) {
-    updates.$set = { lockUntil: Date.now() + 2 * 60 * 60 * 1000 }
+  // Lock account after too many failed attempts
+  const locking = this.loginAttempts + 1 >= maxAttempts
+  if (locking) {
+    this.lockUntil = new Date(Date.now() + durationMinutes * 60 * 1000)
+    updates.$set = { lockUntil: this.lockUntil }
   }
 
-  return this.updateOne(updates)
+  await this.updateOne(updates)
+  return locking
+}
+
+// Method: Generate self-service unlock token (valid while the lock lasts)
+userSchema.methods.generateUnlockToken = function () {
+  const unlockToken = crypto.randomBytes(32).toString("hex")
+
+  this.unlockToken = crypto.createHash("sha256").update(unlockToken).digest("hex")
+
+  this.unlockExpires = this.lockUntil
+
+  return unlockToken
+}
+
+// Method: Clear lockout state
+userSchema.methods.unlockAccount = function () {
+  this.loginAttempts = 0
+  this.lockUntil = undefined
+  this.unlockToken = undefined
+  this.unlockExpires = undefined
+}
+
+// Static: Apply the same tenure change to every matching member (year transitions)
+userSchema.statics.changeTenureMany = async function (filter, changes, reason) {
+  const members = await this.find(filter)
+  let changed = 0
+  for (const member of members) {
+    if (member.changeTenure(changes, reason)) {
+      await member.save({ validateBeforeSave: false })
+      changed += 1
+    }
+  }
+  return changed
+}
+
+// Static: payoutDetails fields for a bank account number - the encrypted value plus a masked copy for display
+userSchema.statics.protectAccountNumber = function (accountNumber) {
+  if (!config.dataEncryptionKey) throw new Error("DATA_ENCRYPTION_KEY is not configured")
+  return {
+    accountNumber: encryptData(accountNumber, config.dataEncryptionKey),
+    accountNumberMasked: `${"X".repeat(Math.max(accountNumber.length - 4, 0))}${accountNumber.slice(-4)}`,
+  }
+}
+
+// Method: Decrypted bank account number (needs +payoutDetails.accountNumber; payout export only)
+userSchema.methods.getAccountNumber = function () {
+  const stored = this.payoutDetails?.accountNumber
+  if (!stored) return ""
+  // Saved before encryption at rest and not yet migrated
+  if (/^\d+$/.test(stored)) return stored
+  return decryptData(stored, config.dataEncryptionKey)
+}
+
+// Static: Encrypt account numbers that were stored in plain text (run at startup)
+userSchema.statics.encryptLegacyAccountNumbers = async function () {
+  const members = await this.find({ "payoutDetails.accountNumber": /^\d+$/ })
+    .withDeleted()
+    .select("+payoutDetails.accountNumber")
+
+  for (const member of members) {
+    const { accountNumber, accountNumberMasked } = this.protectAccountNumber(member.payoutDetails.accountNumber)
+    await this.updateOne(
+      { _id: member._id },
+      { "payoutDetails.accountNumber": accountNumber, "payoutDetails.accountNumberMasked": accountNumberMasked },
+    ).withDeleted()
+  }
+  return members.length
 }
 
 const User = mongoose.model("User", userSchema)
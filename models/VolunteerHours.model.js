@@ -0,0 +1,92 @@
+// ============================================
+// VOLUNTEER HOURS MODEL
+// ============================================
+
+import mongoose from "mongoose"
+
+const volunteerHoursSchema = new mongoose.Schema(
+  {
+    // Volunteer
+    member: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Event
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+    },
+
+    // Hours Details
+    hours: {
+      type: Number,
+      required: [true, "Hours are required"],
+      min: [0.5, "Hours must be at least 0.5"],
+      max: [24, "Hours cannot exceed 24 per entry"],
+    },
+    date: {
+      type: Date,
+      required: [true, "Date is required"],
+      default: Date.now,
+    },
+    description: {
+      type: String,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+
+    // Source
+    source: {
+      type: String,
+      enum: ["coordinator", "self_reported"],
+      required: true,
+    },
+    loggedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Status & Approval
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    approvedAt: Date,
+    rejectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    rejectedAt: Date,
+    rejectionReason: String,
+
+    // Metadata
+    rotaractYear: {
+      type: String,
+      required: true,
+    },
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes
+volunteerHoursSchema.index({ member: 1, status: 1 })
+volunteerHoursSchema.index({ event: 1, status: 1 })
+volunteerHoursSchema.index({ rotaractYear: 1 })
+
+const VolunteerHours = mongoose.model("VolunteerHours", volunteerHoursSchema)
+
+export default VolunteerHours
@@ -6,31 +6,80 @@ import express from "express"
 import {
   getDashboard,
   getMembers,
+  exportMembers,
   getMemberById,
+  getMemberHistory,
   addMember,
+  importMembers,
   updateMember,
   changeMemberRole,
   markAsAlumni,
   deleteMember,
+  restoreMember,
+  getDuplicateMembers,
+  mergeMembers,
+  getTrash,
+  resendInvitation,
+  sendPendingInvitations,
+  revokeInvitation,
+  resetMemberTwoFactor,
+  getLockedAccounts,
+  unlockMember,
+  revokeMemberSessions,
   getMembersDropdown,
 } from "../controllers/admin.controller.js"
-import { protect, adminOnly, authorize } from "../middleware/auth.middleware.js"
+import { protect, requirePermission } from "../middleware/auth.middleware.js"
 import { userValidation, queryValidation, paramValidation } from "../middleware/validation.middleware.js"
+import { uploadImport } from "../middleware/upload.middleware.js"
 
 const router = express.Router()
 
-// All routes require authentication and admin access
+// All routes require authentication
 router.use(protect)
-router.use(adminOnly)
 
-router.get("/dashboard", getDashboard)
-router.get("/members", queryValidation.pagination, getMembers)
-router.get("/members/dropdown", getMembersDropdown)
-router.get("/members/:id", paramValidation.mongoId, getMemberById)
-router.post("/members", userValidation.addMember, addMember)
-router.put("/members/:id", paramValidation.mongoId, updateMember)
-router.put("/members/:id/role", authorize("president"), changeMemberRole)
-router.put("/members/:id/alumni", markAsAlumni)
-router.delete("/members/:id", authorize("president", "secretary"), deleteMember)
+router.get("/dashboard", requirePermission("admin.dashboard"), getDashboard)
+router.get("/members", requirePermission("member.view"), queryValidation.pagination, getMembers)
+router.get("/members/export", requirePermission("report.export"), queryValidation.memberExport, exportMembers)
+router.get(
+  "/trash",
+  requirePermission("member.delete", "event.delete", "expense.delete"),
+  queryValidation.pagination,
+  getTrash,
+)
+router.get("/locked-accounts", requirePermission("member.view"), getLockedAccounts)
+router.get("/members/dropdown", requirePermission("member.view"), getMembersDropdown)
+router.get("/members/duplicates", requirePermission("member.view"), getDuplicateMembers)
+router.get("/members/:id", requirePermission("member.view"), paramValidation.mongoId, getMemberById)
+router.get("/members/:id/history", requirePermission("member.view"), paramValidation.mongoId, getMemberHistory)
+router.post("/members", requirePermission("member.create"), userValidation.addMember, addMember)
+router.post("/members/import", requirePermission("member.create"), uploadImport, importMembers)
+router.post(
+  "/members/invitations",
+  requirePermission("member.create"),
+  userValidation.bulkInvite,
+  sendPendingInvitations,
+)
+router.put("/members/:id", requirePermission("member.update"), paramValidation.mongoId, updateMember)
+router.put("/members/:id/role", requirePermission("member.change_role"), changeMemberRole)
+router.put("/members/:id/alumni", requirePermission("member.alumni"), markAsAlumni)
+router.delete("/members/:id", requirePermission("member.delete"), deleteMember)
+router.post("/members/:id/restore", requirePermission("member.delete"), paramValidation.mongoId, restoreMember)
+router.post(
+  "/members/:id/merge",
+  requirePermission("member.delete"),
+  paramValidation.mongoId,
+  userValidation.mergeMember,
+  mergeMembers,
+)
+router.post("/members/:id/invitation", requirePermission("member.create"), paramValidation.mongoId, resendInvitation)
+router.delete("/members/:id/invitation", requirePermission("member.create"), paramValidation.mongoId, revokeInvitation)
+router.post("/members/:id/unlock", requirePermission("member.update"), paramValidation.mongoId, unlockMember)
+router.post("/members/:id/reset-2fa", requirePermission("member.update"), paramValidation.mongoId, resetMemberTwoFactor)
+router.delete(
+  "/members/:id/sessions",
+  requirePermission("member.update"),
+  paramValidation.mongoId,
+  revokeMemberSessions,
+)
 
 export default router
@@ -10,19 +10,18 @@ import {
   startNewYear,
   addArchiveFile,
 } from "../controllers/archive.controller.js"
-import { protect, adminOnly, treasurerOnly } from "../middleware/auth.middleware.js"
+import { protect, requirePermission } from "../middleware/auth.middleware.js"
 import { upload } from "../middleware/upload.middleware.js"
 
 const router = express.Router()
 
-// All routes require authentication and admin access
+// All routes require authentication
 router.use(protect)
-router.use(adminOnly)
 
-router.get("/", getArchives)
-router.get("/:year", getArchiveByYear)
-router.post("/close-year", treasurerOnly, closeYear)
-router.post("/start-new-year", treasurerOnly, startNewYear)
-router.post("/:year/files", treasurerOnly, upload.single("file"), addArchiveFile)
+router.get("/", requirePermission("archive.view"), getArchives)
+router.get("/:year", requirePermission("archive.view"), getArchiveByYear)
+router.post("/close-year", requirePermission("archive.close"), closeYear)
+router.post("/start-new-year", requirePermission("archive.close"), startNewYear)
+router.post("/:year/files", requirePermission("archive.files"), upload.single("file"), addArchiveFile)
 
 export default router
@@ -9,17 +9,28 @@ import {
   adminLogin,
   logout,
   refreshToken,
+  requestMagicLink,
+  verifyMagicLink,
+  oidcLogin,
+  oidcCallback,
+  oidcExchange,
   forgotPassword,
   resetPassword,
+  unlockAccount,
+  acceptInvite,
   changePassword,
   setup2FA,
   verify2FA,
   disable2FA,
+  regenerateBackupCodes,
   getMe,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   checkLoginStatus,
 } from "../controllers/auth.controller.js"
 import { protect, verifyRefreshToken } from "../middleware/auth.middleware.js"
-import { userValidation } from "../middleware/validation.middleware.js"
+import { userValidation, paramValidation } from "../middleware/validation.middleware.js"
 
 const router = express.Router()
 
@@ -28,8 +39,15 @@ const router = express.Router()
 router.get("/check-login-status", checkLoginStatus)
 router.post("/login", userValidation.login, login)
 router.post("/admin-login", userValidation.adminLogin, adminLogin)
+router.post("/magic-link", userValidation.magicLink, requestMagicLink)
+router.post("/magic-link/verify", userValidation.verifyMagicLink, verifyMagicLink)
+router.get("/oidc/login", oidcLogin)
+router.get("/oidc/callback", oidcCallback)
+router.post("/oidc/exchange", userValidation.oidcExchange, oidcExchange)
 router.post("/forgot-password", forgotPassword)
-router.put("/reset-password/:token", resetPassword)
+router.put("/reset-password/:token", userValidation.resetPassword, resetPassword)
+router.post("/unlock-account", userValidation.unlockAccount, unlockAccount)
+router.post("/accept-invite", userValidation.acceptInvite, acceptInvite)
 router.post("/refresh-token", verifyRefreshToken, refreshToken)
 
 // Protected routes
@@ -40,5 +58,9 @@ router.put("/change-password", userValidation.changePassword, changePassword)
 router.post("/setup-2fa", setup2FA)
 router.post("/verify-2fa", verify2FA)
 router.post("/disable-2fa", disable2FA)
+router.post("/backup-codes", regenerateBackupCodes)
+router.get("/sessions", getSessions)
+router.delete("/sessions", revokeOtherSessions)
+router.delete("/sessions/:sessionId", paramValidation.sessionId, revokeSession)
 
 export default router
@@ -10,7 +10,7 @@ import {
   updateBoardMember,
   getBoardHistory,
 } from "../controllers/board.controller.js"
-import { protect, adminOnly } from "../middleware/auth.middleware.js"
+import { protect, requirePermission } from "../middleware/auth.middleware.js"
 import { uploadPhoto, upload } from "../middleware/upload.middleware.js"
 
 const router = express.Router()
@@ -22,7 +22,7 @@ router.get("/:year", getBoardByYear)
 
 // Admin routes
 router.use(protect)
-router.use(adminOnly)
+router.use(requirePermission("board.manage"))
 
 router.post(
   "/",
@@ -0,0 +1,42 @@
+// ============================================
+// DUES ROUTES
+// ============================================
+
+import express from "express"
+import {
+  getDuesPlans,
+  createDuesPlan,
+  updateDuesPlan,
+  generateInvoices,
+  getAllDues,
+  getOutstandingDues,
+  getMyDues,
+  recordDuesPayment,
+  waiveDues,
+  sendDuesReminders,
+} from "../controllers/dues.controller.js"
+import { protect, requirePermission } from "../middleware/auth.middleware.js"
+import { duesValidation, paramValidation, queryValidation } from "../middleware/validation.middleware.js"
+
+const router = express.Router()
+
+// All routes require authentication
+router.use(protect)
+
+// Member routes
+router.get("/my", getMyDues)
+
+// Treasurer routes
+router.use(requirePermission("dues.manage"))
+
+router.get("/plans", getDuesPlans)
+router.post("/plans", duesValidation.plan, createDuesPlan)
+router.put("/plans/:planId", duesValidation.updatePlan, updateDuesPlan)
+router.post("/plans/:planId/generate", generateInvoices)
+router.get("/", queryValidation.pagination, getAllDues)
+router.get("/outstanding", getOutstandingDues)
+router.post("/reminders", sendDuesReminders)
+router.post("/:id/payments", paramValidation.mongoId, duesValidation.payment, recordDuesPayment)
+router.post("/:id/waive", paramValidation.mongoId, duesValidation.waive, waiveDues)
+
+export default router
@@ -9,10 +9,18 @@ import {
   getEventById,
   updateEvent,
   deleteEvent,
+  restoreEvent,
   addGalleryImages,
   getEventsDropdown,
+  getAttendance,
+  scanAttendance,
+  overrideAttendance,
+  registerForEvent,
+  cancelRegistration,
+  getRegistrations,
+  exportRegistrations,
 } from "../controllers/event.controller.js"
-import { protect, adminOnly } from "../middleware/auth.middleware.js"
+import { protect, requirePermission } from "../middleware/auth.middleware.js"
 import { uploadPhoto, uploadGallery } from "../middleware/upload.middleware.js"
 import { eventValidation, paramValidation, queryValidation } from "../middleware/validation.middleware.js"
 
@@ -25,10 +33,27 @@ router.get("/dropdown", getEventsDropdown)
 router.get("/", queryValidation.pagination, getEvents)
 router.get("/:id", paramValidation.mongoId, getEventById)
 
+// Attendance routes (event coordinator or admin, checked in controller)
+router.get("/:id/attendance", paramValidation.mongoId, getAttendance)
+router.post("/:id/attendance/scan", paramValidation.mongoId, eventValidation.attendanceScan, scanAttendance)
+router.put("/:id/attendance/:memberId", paramValidation.mongoId, eventValidation.attendanceOverride, overrideAttendance)
+
+// RSVP routes
+router.post("/:id/register", paramValidation.mongoId, registerForEvent)
+router.delete("/:id/register", paramValidation.mongoId, cancelRegistration)
+
 // Admin routes
-router.post("/", adminOnly, uploadPhoto, eventValidation.create, createEvent)
-router.put("/:id", adminOnly, uploadPhoto, updateEvent)
-router.delete("/:id", adminOnly, deleteEvent)
-router.post("/:id/gallery", adminOnly, uploadGallery, addGalleryImages)
+router.get("/:id/registrations", requirePermission("event.registrations"), paramValidation.mongoId, getRegistrations)
+router.get(
+  "/:id/registrations/export",
+  requirePermission("event.registrations"),
+  paramValidation.mongoId,
+  exportRegistrations,
+)
+router.post("/", requirePermission("event.create"), uploadPhoto, eventValidation.create, createEvent)
+router.put("/:id", requirePermission("event.update"), uploadPhoto, eventValidation.update, updateEvent)
+router.delete("/:id", requirePermission("event.delete"), deleteEvent)
+router.post("/:id/restore", requirePermission("event.delete"), paramValidation.mongoId, restoreEvent)
+router.post("/:id/gallery", requirePermission("event.update"), uploadGallery, addGalleryImages)
 
 export default router
@@ -12,9 +12,13 @@ import {
   rejectExpense,
   reimburseExpense,
   deleteExpense,
+  restoreExpense,
   addManualExpense,
+  bulkApproveExpenses,
+  bulkRejectExpenses,
+  bulkReimburseExpenses,
 } from "../controllers/expense.controller.js"
-import { protect, adminOnly, treasurerOnly } from "../middleware/auth.middleware.js"
+import { protect, requirePermission } from "../middleware/auth.middleware.js"
 import { uploadBill } from "../middleware/upload.middleware.js"
 import { expenseValidation, paramValidation, queryValidation } from "../middleware/validation.middleware.js"
 
@@ -24,19 +28,23 @@ const router = express.Router()
 router.use(protect)
 
 // Admin routes (place static routes first)
-router.get("/all", adminOnly, queryValidation.pagination, getAllExpenses)
-router.post("/manual", treasurerOnly, uploadBill, addManualExpense)
+router.get("/all", requirePermission("expense.view_all"), queryValidation.pagination, getAllExpenses)
+router.post("/manual", requirePermission("expense.create_manual"), uploadBill, addManualExpense)
+router.post("/bulk/approve", requirePermission("expense.approve"), expenseValidation.bulk, bulkApproveExpenses)
+router.post("/bulk/reject", requirePermission("expense.reject"), expenseValidation.bulkReject, bulkRejectExpenses)
+router.post("/bulk/reimburse", requirePermission("expense.reimburse"), expenseValidation.bulk, bulkReimburseExpenses)
 
 // Member routes
 router.post("/", uploadBill, expenseValidation.create, createExpense)
 router.get("/:id", paramValidation.mongoId, getExpenseById)
 
 // Treasurer/Admin protected actions
-router.put("/:id", treasurerOnly, uploadBill, expenseValidation.update, updateExpense)
-router.put("/:id/approve", treasurerOnly, approveExpense)
-router.put("/:id/reject", treasurerOnly, rejectExpense)
-router.put("/:id/reimburse", treasurerOnly, reimburseExpense)
-router.delete("/:id", treasurerOnly, deleteExpense)
+router.put("/:id", requirePermission("expense.update"), uploadBill, expenseValidation.update, updateExpense)
+router.put("/:id/approve", requirePermission("expense.approve"), approveExpense)
+router.put("/:id/reject", requirePermission("expense.reject"), rejectExpense)
+router.put("/:id/reimburse", requirePermission("expense.reimburse"), reimburseExpense)
+router.delete("/:id", requirePermission("expense.delete"), deleteExpense)
+router.post("/:id/restore", requirePermission("expense.delete"), paramValidation.mongoId, restoreExpense)
 
 export default router
 
@@ -0,0 +1,37 @@
+// ============================================
+// INCOME ROUTES
+// ============================================
+
+import express from "express"
+import {
+  createIncome,
+  getAllIncome,
+  getIncomeById,
+  updateIncome,
+  deleteIncome,
+} from "../controllers/income.controller.js"
+import { protect, requirePermission } from "../middleware/auth.middleware.js"
+import { uploadBill } from "../middleware/upload.middleware.js"
+import { incomeValidation, paramValidation, queryValidation } from "../middleware/validation.middleware.js"
+
+const router = express.Router()
+
+// All routes require authentication
+router.use(protect)
+
+router.get("/", requirePermission("income.view"), queryValidation.pagination, getAllIncome)
+router.get("/:id", requirePermission("income.view"), paramValidation.mongoId, getIncomeById)
+
+// Treasurer actions
+router.post("/", requirePermission("income.manage"), uploadBill, incomeValidation.create, createIncome)
+router.put(
+  "/:id",
+  requirePermission("income.manage"),
+  paramValidation.mongoId,
+  uploadBill,
+  incomeValidation.update,
+  updateIncome,
+)
+router.delete("/:id", requirePermission("income.manage"), paramValidation.mongoId, deleteIncome)
+
+export default router
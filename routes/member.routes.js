@@ -10,6 +10,7 @@ import {
   updatePhoto,
   getMyExpenses,
   getExpense,
+  getAttendanceQR,
 } from "../controllers/member.controller.js"
 import { protect } from "../middleware/auth.middleware.js"
 import { uploadPhoto } from "../middleware/upload.middleware.js"
@@ -21,6 +22,7 @@ const router = express.Router()
 router.use(protect)
 
 router.get("/dashboard", getDashboard)
+router.get("/attendance-qr", queryValidation.attendanceQr, getAttendanceQR)
 router.get("/profile", getProfile)
 router.put("/profile", userValidation.updateProfile, updateProfile)
 router.put("/profile/photo", uploadPhoto, updatePhoto)
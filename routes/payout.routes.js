@@ -0,0 +1,30 @@
+// ============================================
+// PAYOUT BATCH ROUTES
+// ============================================
+
+import express from "express"
+import {
+  createPayoutBatch,
+  getPayoutBatches,
+  getPayoutBatchById,
+  exportPayoutBatch,
+  markPayoutBatchPaid,
+  cancelPayoutBatch,
+} from "../controllers/payout.controller.js"
+import { protect, requirePermission } from "../middleware/auth.middleware.js"
+import { payoutValidation, paramValidation, queryValidation } from "../middleware/validation.middleware.js"
+
+const router = express.Router()
+
+// All routes require authentication and payout access
+router.use(protect)
+router.use(requirePermission("payout.manage"))
+
+router.get("/", queryValidation.pagination, getPayoutBatches)
+router.post("/", payoutValidation.create, createPayoutBatch)
+router.get("/:id", paramValidation.mongoId, getPayoutBatchById)
+router.get("/:id/export", paramValidation.mongoId, exportPayoutBatch)
+router.put("/:id/paid", paramValidation.mongoId, payoutValidation.paid, markPayoutBatchPaid)
+router.put("/:id/cancel", paramValidation.mongoId, cancelPayoutBatch)
+
+export default router
@@ -0,0 +1,20 @@
+// ============================================
+// PERMISSION ROUTES
+// ============================================
+
+import express from "express"
+import { getPermissions, updateRolePermissions, resetPermissions } from "../controllers/permission.controller.js"
+import { protect, requirePermission } from "../middleware/auth.middleware.js"
+import { permissionValidation } from "../middleware/validation.middleware.js"
+
+const router = express.Router()
+
+// All routes require authentication and permission management access
+router.use(protect)
+router.use(requirePermission("permission.manage"))
+
+router.get("/", getPermissions)
+router.post("/reset", resetPermissions)
+router.put("/:role", permissionValidation.update, updateRolePermissions)
+
+export default router
@@ -12,7 +12,7 @@ import {
   exportBillsZip,
   getLeaderboard,
 } from "../controllers/report.controller.js"
-import { protect, adminOnly } from "../middleware/auth.middleware.js"
+import { protect, requirePermission } from "../middleware/auth.middleware.js"
 
 const router = express.Router()
 
@@ -22,14 +22,12 @@ router.use(protect)
 // Leaderboard is available to all members
 router.get("/leaderboard", getLeaderboard)
 
-// Admin only routes
-router.use(adminOnly)
-
-router.get("/financial-summary", getFinancialSummary)
-router.get("/member-wise", getMemberWiseReport)
-router.get("/event-wise", getEventWiseReport)
-router.get("/export/pdf", exportPDF)
-router.get("/export/excel", exportExcel)
-router.get("/export/bills", exportBillsZip)
+// Admin routes
+router.get("/financial-summary", requirePermission("report.view"), getFinancialSummary)
+router.get("/member-wise", requirePermission("report.view"), getMemberWiseReport)
+router.get("/event-wise", requirePermission("report.view"), getEventWiseReport)
+router.get("/export/pdf", requirePermission("report.export"), exportPDF)
+router.get("/export/excel", requirePermission("report.export"), exportExcel)
+router.get("/export/bills", requirePermission("report.export"), exportBillsZip)
 
 export default router
@@ -4,8 +4,9 @@
 
 import express from "express"
 import { getSettings, updateSettings, updateLogos } from "../controllers/settings.controller.js"
-import { protect, adminOnly } from "../middleware/auth.middleware.js"
+import { protect, requirePermission } from "../middleware/auth.middleware.js"
 import { upload } from "../middleware/upload.middleware.js"
+import { settingsValidation } from "../middleware/validation.middleware.js"
 
 const router = express.Router()
 
@@ -14,7 +15,7 @@ router.get("/", getSettings)
 
 // Admin routes
 router.use(protect)
-router.use(adminOnly)
+router.use(requirePermission("settings.update"))
 
 router.put(
   "/",
@@ -24,6 +25,7 @@ router.put(
     { name: "parentClubLogo", maxCount: 1 },
     { name: "collegeLogo", maxCount: 1 },
   ]),
+  settingsValidation.update,
   updateSettings,
 )
 
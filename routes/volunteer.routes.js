@@ -0,0 +1,38 @@
+// ============================================
+// VOLUNTEER HOURS ROUTES
+// ============================================
+
+import express from "express"
+import {
+  logVolunteerHours,
+  submitVolunteerHours,
+  getMyVolunteerHours,
+  getAllVolunteerHours,
+  approveVolunteerHours,
+  rejectVolunteerHours,
+  deleteVolunteerHours,
+  getEventVolunteerHours,
+} from "../controllers/volunteer.controller.js"
+import { protect, requirePermission } from "../middleware/auth.middleware.js"
+import { volunteerHoursValidation, paramValidation, queryValidation } from "../middleware/validation.middleware.js"
+
+const router = express.Router()
+
+// All routes require authentication
+router.use(protect)
+
+// Static routes first
+router.get("/", requirePermission("volunteer.view_all"), queryValidation.pagination, getAllVolunteerHours)
+router.get("/my", queryValidation.pagination, getMyVolunteerHours)
+router.get("/event/:id", paramValidation.mongoId, getEventVolunteerHours)
+
+// Member self-reporting
+router.post("/", volunteerHoursValidation.submit, submitVolunteerHours)
+
+// Event coordinator/Admin actions (coordinator checked in controller)
+router.post("/log", volunteerHoursValidation.log, logVolunteerHours)
+router.put("/:id/approve", paramValidation.mongoId, approveVolunteerHours)
+router.put("/:id/reject", paramValidation.mongoId, rejectVolunteerHours)
+router.delete("/:id", paramValidation.mongoId, deleteVolunteerHours)
+
+export default router
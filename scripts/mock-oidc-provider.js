@@ -0,0 +1,138 @@
+// ============================================
+// MOCK OPENID CONNECT PROVIDER (LOCAL TESTING ONLY)
+// Signs in as MOCK_OIDC_EMAIL (or the login_hint) without a password,
+// so the single sign-on flow can be tried end to end. See README.
+// ============================================
+
+import http from "http"
+import crypto from "crypto"
+import jwt from "jsonwebtoken"
+
+const PORT = Number(process.env.MOCK_OIDC_PORT) || 4010
+const ISSUER = `http://localhost:${PORT}`
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || "rotaract-local"
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || "local-secret"
+const DEFAULT_EMAIL = process.env.MOCK_OIDC_EMAIL || "member@example.com"
+// "false" or "missing" to check that unverified emails are refused
+const EMAIL_VERIFIED = process.env.MOCK_OIDC_EMAIL_VERIFIED || "true"
+
+const KEY_ID = "mock-oidc-key"
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 })
+
+// Authorization codes waiting to be exchanged (single use)
+const codes = new Map()
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" })
+  res.end(JSON.stringify(body))
+}
+
+const readForm = (req) =>
+  new Promise((resolve, reject) => {
+    let body = ""
+    req.on("data", (chunk) => {
+      body += chunk
+    })
+    req.on("end", () => resolve(new URLSearchParams(body)))
+    req.on("error", reject)
+  })
+
+// Approve every request straight away and send the browser back with a code
+const authorize = (params, res) => {
+  if (params.get("client_id") !== CLIENT_ID || !params.get("redirect_uri")) {
+    return sendJson(res, 400, { error: "unauthorized_client" })
+  }
+
+  const code = crypto.randomBytes(16).toString("hex")
+  codes.set(code, {
+    email: params.get("login_hint") || DEFAULT_EMAIL,
+    nonce: params.get("nonce"),
+    codeChallenge: params.get("code_challenge"),
+    redirectUri: params.get("redirect_uri"),
+  })
+
+  const redirect = new URL(params.get("redirect_uri"))
+  redirect.searchParams.set("code", code)
+  redirect.searchParams.set("state", params.get("state"))
+  res.writeHead(302, { Location: redirect.toString() })
+  res.end()
+}
+
+// Check the client, redirect URI and PKCE verifier, then issue a signed ID token
+const token = async (req, res) => {
+  const form = await readForm(req)
+  const grant = codes.get(form.get("code"))
+  codes.delete(form.get("code"))
+
+  const challenge = crypto
+    .createHash("sha256")
+    .update(form.get("code_verifier") || "")
+    .digest("base64url")
+  if (
+    !grant ||
+    form.get("client_id") !== CLIENT_ID ||
+    form.get("client_secret") !== CLIENT_SECRET ||
+    form.get("redirect_uri") !== grant.redirectUri ||
+    challenge !== grant.codeChallenge
+  ) {
+    return sendJson(res, 400, { error: "invalid_grant" })
+  }
+
+  const claims = {
+    sub: crypto.createHash("sha256").update(grant.email).digest("hex"),
+    email: grant.email,
+    nonce: grant.nonce,
+  }
+  if (EMAIL_VERIFIED !== "missing") claims.email_verified = EMAIL_VERIFIED === "true"
+
+  const idToken = jwt.sign(claims, privateKey, {
+    algorithm: "RS256",
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: "5m",
+  })
+
+  sendJson(res, 200, {
+    access_token: crypto.randomBytes(16).toString("hex"),
+    token_type: "Bearer",
+    expires_in: 300,
+    id_token: idToken,
+  })
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER)
+
+  try {
+    if (url.pathname === "/.well-known/openid-configuration") {
+      return sendJson(res, 200, {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ["code"],
+        subject_types_supported: ["public"],
+        id_token_signing_alg_values_supported: ["RS256"],
+        code_challenge_methods_supported: ["S256"],
+      })
+    }
+
+    if (url.pathname === "/jwks") {
+      return sendJson(res, 200, {
+        keys: [{ ...publicKey.export({ format: "jwk" }), kid: KEY_ID, use: "sig", alg: "RS256" }],
+      })
+    }
+
+    if (url.pathname === "/authorize") return authorize(url.searchParams, res)
+    if (url.pathname === "/token" && req.method === "POST") return await token(req, res)
+
+    sendJson(res, 404, { error: "not_found" })
+  } catch (error) {
+    sendJson(res, 500, { error: "server_error", error_description: error.message })
+  }
+})
+
+server.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER} (signs in as ${DEFAULT_EMAIL})`)
+})
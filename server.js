@@ -29,13 +29,20 @@ import boardRoutes from "./routes/board.routes.js"
 import settingsRoutes from "./routes/settings.routes.js"
 import archiveRoutes from "./routes/archive.routes.js"
 import publicRoutes from "./routes/public.routes.js"
+import volunteerRoutes from "./routes/volunteer.routes.js"
+import duesRoutes from "./routes/dues.routes.js"
+import incomeRoutes from "./routes/income.routes.js"
+import payoutRoutes from "./routes/payout.routes.js"
+import permissionRoutes from "./routes/permission.routes.js"
 
 // Import Error Handler
 import { errorHandler, notFound } from "./middleware/error.middleware.js"
 import { logger } from "./utils/logger.js"
 import config from "./config/config.js"
+import { FINANCE_ROLES } from "./config/permissions.js"
 import User from "./models/User.model.js"
 import syncAdminUsers from "./utils/adminSync.js"
+import { scheduleTrashPurge } from "./utils/trashPurge.js"
 
 dotenv.config()
 
@@ -101,6 +108,10 @@ const authLimiter = rateLimit({
 app.use("/api", generalLimiter)
 app.use("/api/auth/login", authLimiter)
 app.use("/api/auth/admin-login", authLimiter)
+app.use("/api/auth/accept-invite", authLimiter)
+app.use("/api/auth/unlock-account", authLimiter)
+app.use("/api/auth/magic-link", authLimiter)
+app.use("/api/auth/oidc", authLimiter)
 
 // Body parser
 app.use(express.json({ limit: "10kb" }))
@@ -180,6 +191,11 @@ app.use("/api/reports", reportRoutes)
 app.use("/api/board", boardRoutes)
 app.use("/api/settings", settingsRoutes)
 app.use("/api/archive", archiveRoutes)
+app.use("/api/volunteer-hours", volunteerRoutes)
+app.use("/api/dues", duesRoutes)
+app.use("/api/income", incomeRoutes)
+app.use("/api/payouts", payoutRoutes)
+app.use("/api/permissions", permissionRoutes)
 
 // Error handling
 app.use(notFound)
@@ -222,6 +238,11 @@ io.use(async (socket, next) => {
       return next(new Error("UNAUTHORIZED"))
     }
 
+    // reject sockets whose login session was revoked
+    if (decoded.sid && !user.refreshTokens.id(decoded.sid)) {
+      return next(new Error("SESSION_REVOKED"))
+    }
+
     // attach user to socket for later use
     socket.user = user
 
@@ -230,7 +251,7 @@ io.use(async (socket, next) => {
       socket.join("admins")
     }
 
-    if (["treasurer", "secretary", "joint_secretary", "president"].includes(user.role)) {
+    if (FINANCE_ROLES.includes(user.role)) {
       socket.join("treasurer")
     }
 
@@ -241,6 +262,11 @@ io.use(async (socket, next) => {
     // personal room
     socket.join(String(user._id))
 
+    // session room (revoking the session disconnects this socket)
+    if (decoded.sid) {
+      socket.join(`session:${decoded.sid}`)
+    }
+
     next()
   } catch (error) {
     logger.error(`Socket auth error: ${error.message}`)
@@ -272,7 +298,16 @@ io.on("connection", (socket) => {
 
 const PORT = process.env.PORT || 5000
 
+// Secrets with no safe default (see README)
+const REQUIRED_SECRETS = ["ATTENDANCE_QR_SECRET", "DATA_ENCRYPTION_KEY"]
+
 const startServer = async () => {
+  const missingSecrets = REQUIRED_SECRETS.filter((key) => !process.env[key]?.trim())
+  if (missingSecrets.length > 0) {
+    logger.error(`Missing required environment variables: ${missingSecrets.join(", ")}. See README.`)
+    process.exit(1)
+  }
+
   await connectDB()
 
   // Sync admin users from .env configuration
@@ -283,6 +318,17 @@ const startServer = async () => {
     // Don't exit - allow server to start even if admin sync fails
   }
 
+  // Encrypt bank account numbers saved before encryption at rest
+  try {
+    const encrypted = await User.encryptLegacyAccountNumbers()
+    if (encrypted > 0) logger.info(`Encrypted ${encrypted} stored bank account numbers`)
+  } catch (error) {
+    logger.error(`Failed to encrypt stored account numbers: ${error.message}`)
+  }
+
+  // Permanently remove soft-deleted records past the retention period (daily)
+  scheduleTrashPurge()
+
   server.listen(PORT, () => {
     logger.info(`Server running in ${process.env.NODE_ENV || "development"} mode on port ${PORT}`)
     console.log(`
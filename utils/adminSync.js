@@ -7,10 +7,9 @@ import User from "../models/User.model.js"
 import ClubSettings from "../models/ClubSettings.model.js"
 import { generateMemberId } from "./helpers.js"
 import { logger } from "./logger.js"
+import { checkPasswordStrength, checkNewPassword } from "./passwordPolicy.js"
 import config from "../config/config.js"
-
-// Admin roles that should have admin access
-const ADMIN_ROLES = ["president", "secretary", "treasurer", "faculty_coordinator"]
+import { ADMIN_ROLES } from "../config/permissions.js"
 
 /**
  * Sync admin users from environment variables
@@ -23,6 +22,7 @@ export const syncAdminUsers = async () => {
     // Get current rotaract year
     const settings = await ClubSettings.getSettings()
     const currentYear = settings.currentRotaractYear
+    const passwordPolicy = settings.security.passwordPolicy
 
     const results = {
       created: [],
@@ -69,11 +69,30 @@ export const syncAdminUsers = async () => {
         }
 
         // First, try to find user by the new email (in case email hasn't changed)
-        let user = await User.findOne({ email: normalizedEmail })
+        let user = await User.findOne({ email: normalizedEmail }).select("+password +passwordHistory")
 
         // If not found by email, try to find by role (for existing admins when email changes)
         if (!user) {
-          user = await User.findOne({ role, isAdmin: true })
+          user = await User.findOne({ role, isAdmin: true }).select("+password +passwordHistory")
+        }
+
+        // Only a changed .env password is applied, and it must satisfy the password policy
+        const passwordUnchanged = user?.password ? await user.comparePassword(adminConfig.password) : false
+        let passwordErrors = []
+        if (!user) {
+          passwordErrors = checkPasswordStrength(adminConfig.password, passwordPolicy)
+        } else if (!passwordUnchanged) {
+          passwordErrors = await checkNewPassword(user, adminConfig.password, passwordPolicy)
+        }
+
+        if (passwordErrors.length > 0) {
+          logger.error(`Password for ${role} does not meet the password policy: ${passwordErrors.join("; ")}`)
+          results.errors.push({
+            role,
+            email: normalizedEmail,
+            error: `Password does not meet the password policy: ${passwordErrors.join("; ")}`,
+          })
+          continue
         }
 
         if (user) {
@@ -107,7 +126,9 @@ export const syncAdminUsers = async () => {
           user.lastName = adminConfig.lastName || user.lastName || "Admin"
           user.phone = adminConfig.phone || user.phone || "9999999999"
           user.rotaractYear = currentYear
-          user.password = adminConfig.password // Will be hashed by pre-save hook
+          if (!passwordUnchanged) {
+            user.setPassword(adminConfig.password, passwordPolicy.historyCount) // Will be hashed by pre-save hook
+          }
           user.hasChangedPassword = true
 
           // Save with validation
@@ -1,5 +1,6 @@
 import { Resend } from "resend"
 import logger from "./logger.js"
+import config from "../config/config.js"
 
 // Initialize Resend client
 const resend = new Resend(process.env.RESEND_API_KEY)
@@ -42,33 +43,73 @@ export const sendEmail = async ({ to, subject, html, text }) => {
     return { error: error.message, id: null }
   }
 }
+// Bulk emails go out one at a time so large batches stay under the provider's rate limit
+const emailQueue = []
+let processingQueue = false
+
+const processEmailQueue = async () => {
+  if (processingQueue) return
+  processingQueue = true
+
+  while (emailQueue.length > 0) {
+    await sendEmail(emailQueue.shift())
+    if (emailQueue.length > 0) {
+      await new Promise((resolve) => setTimeout(resolve, config.emailQueueInterval))
+    }
+  }
+
+  processingQueue = false
+}
+
+// Queue emails for throttled background delivery (returns immediately)
+export const queueEmails = (messages) => {
+  emailQueue.push(...messages)
+  logger.info(`Queued ${messages.length} emails (${emailQueue.length} pending)`)
+  processEmailQueue().catch((error) => {
+    processingQueue = false
+    logger.error(`Email queue error: ${error.message}`)
+  })
+}
+
 // Email templates
 export const emailTemplates = {
   welcome: (name, memberId) => ({
-    subject: "Welcome to Rotaract Club - Your Login Credentials",
+    subject: "Welcome to Rotaract Club",
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h1 style="color: #0066cc;">Welcome to Rotaract Club!</h1>
         <p>Dear ${name},</p>
         <p>Welcome to our Rotaract family! Your membership has been confirmed.</p>
         <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
-          <h2 style="color: #0066cc; margin-top: 0;">Your Login Credentials</h2>
           <p><strong>Member ID:</strong> <span style="font-family: monospace; font-size: 18px; color: #0066cc;">${memberId}</span></p>
         </div>
-        <p><strong>How to Login:</strong></p>
-        <ol>
-          <li>Go to the member login page</li>
-          <li>Enter your <strong>EMAIL</strong>  in the login field</li>
-          <li>Enter your <strong>MEMBER ID(PASSWORD)</strong> in the password field</li>
-          <li>Click "Sign In"</li>
-        </ol>
-        <p style="color: #dc3545;"><strong>Important:</strong> Please change your password after first login for security.</p>
+        <p>Login to the member portal with your email and the password you chose.</p>
         <p>We're excited to have you join us in our mission of service above self.</p>
         <br>
         <p>Best regards,<br>Rotaract Club of AIHT</p>
       </div>
     `,
-    text: `Welcome to Rotaract Club! Dear ${name}, Your Member ID: ${memberId}. Use your Member ID(PASSWORD) to login.`,
+    text: `Welcome to Rotaract Club! Dear ${name}, Your Member ID: ${memberId}. Login with your email and password.`,
+  }),
+
+  invitation: (name, memberId, inviteUrl) => ({
+    subject: "You're invited to the Rotaract Club member portal",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #0066cc;">Welcome to Rotaract Club!</h1>
+        <p>Dear ${name},</p>
+        <p>Welcome to our Rotaract family! Your membership has been confirmed.</p>
+        <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Member ID:</strong> <span style="font-family: monospace; font-size: 18px; color: #0066cc;">${memberId}</span></p>
+        </div>
+        <p>Click the link below to set your password and activate your account:</p>
+        <a href="${inviteUrl}" style="display: inline-block; padding: 10px 20px; background: #0066cc; color: white; text-decoration: none; border-radius: 5px;">Set Up My Account</a>
+        <p>This link can be used once and expires in 7 days. If it has expired, ask a club admin to resend your invitation.</p>
+        <br>
+        <p>Best regards,<br>Rotaract Club of AIHT</p>
+      </div>
+    `,
+    text: `Welcome to Rotaract Club! Dear ${name}, Your Member ID: ${memberId}. Set your password here (valid 7 days): ${inviteUrl}`,
   }),
 
   expenseSubmitted: (name, amount, event) => ({
@@ -116,6 +157,91 @@ export const emailTemplates = {
     text: `Expense Rejected - Amount: ₹${amount}, Reason: ${reason}`,
   }),
 
+  expensesBulkUpdate: (name, status, items, note) => {
+    const total = items.reduce((sum, item) => sum + item.amount, 0)
+    const titles = { approved: "Expenses Approved", rejected: "Expenses Rejected", reimbursed: "Expenses Reimbursed" }
+    const colors = { approved: "#28a745", rejected: "#dc3545", reimbursed: "#0066cc" }
+    const rows = items
+      .map((item) => `<tr><td style="padding: 4px 8px;">${item.event}</td><td style="padding: 4px 8px;">₹${item.amount}</td></tr>`)
+      .join("")
+
+    return {
+      subject: `${titles[status]} (${items.length})`,
+      html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: ${colors[status]};">${titles[status]}</h2>
+        <p>Dear ${name},</p>
+        <p>The following ${items.length} expense(s) have been ${status}:</p>
+        <table style="border-collapse: collapse;">${rows}</table>
+        <p><strong>Total:</strong> ₹${total}</p>
+        ${note ? `<p><strong>${status === "rejected" ? "Reason" : "Reference"}:</strong> ${note}</p>` : ""}
+      </div>
+    `,
+      text: `${titles[status]} - ${items.length} expense(s) totalling ₹${total}${note ? ` (${note})` : ""}`,
+    }
+  },
+
+  volunteerHoursReviewed: (name, hours, event, status, reason) => ({
+    subject: status === "approved" ? "Volunteer Hours Approved" : "Volunteer Hours Rejected",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: ${status === "approved" ? "#28a745" : "#dc3545"};">Volunteer Hours ${status === "approved" ? "Approved ✓" : "Rejected"}</h2>
+        <p>Dear ${name},</p>
+        <p>Your volunteer hours submission has been ${status}.</p>
+        <p><strong>Hours:</strong> ${hours}</p>
+        <p><strong>Event:</strong> ${event}</p>
+        ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ""}
+      </div>
+    `,
+    text: `Volunteer Hours ${status === "approved" ? "Approved" : "Rejected"} - ${hours}h for ${event}${reason ? `, Reason: ${reason}` : ""}`,
+  }),
+
+  duesInvoice: (name, plan, amount, dueDate) => ({
+    subject: `Dues Invoice: ${plan}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #0066cc;">Dues Invoice</h2>
+        <p>Dear ${name},</p>
+        <p>A new dues invoice has been raised for you.</p>
+        <p><strong>Plan:</strong> ${plan}</p>
+        <p><strong>Amount:</strong> ₹${amount}</p>
+        <p><strong>Due Date:</strong> ${new Date(dueDate).toLocaleDateString("en-IN")}</p>
+        <p>Please pay the treasurer before the due date.</p>
+      </div>
+    `,
+    text: `Dues Invoice - ${plan}: ₹${amount}, due ${new Date(dueDate).toLocaleDateString("en-IN")}`,
+  }),
+
+  duesReminder: (name, plan, balance, dueDate, isOverdue) => ({
+    subject: isOverdue ? `Overdue: ${plan}` : `Reminder: ${plan} Due Soon`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: ${isOverdue ? "#dc3545" : "#ff9800"};">${isOverdue ? "Dues Overdue" : "Dues Reminder"}</h2>
+        <p>Dear ${name},</p>
+        <p>This is a reminder that you have an outstanding balance on your club dues.</p>
+        <p><strong>Plan:</strong> ${plan}</p>
+        <p><strong>Balance:</strong> ₹${balance}</p>
+        <p><strong>Due Date:</strong> ${new Date(dueDate).toLocaleDateString("en-IN")}</p>
+        <p>Please contact the treasurer to settle the amount. Ignore this email if you have already paid.</p>
+      </div>
+    `,
+    text: `${isOverdue ? "Overdue" : "Reminder"} - ${plan}: ₹${balance} outstanding, due ${new Date(dueDate).toLocaleDateString("en-IN")}`,
+  }),
+
+  duesPaymentReceived: (name, plan, amount, balance) => ({
+    subject: "Dues Payment Received",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #28a745;">Payment Received ✓</h2>
+        <p>Dear ${name},</p>
+        <p>We have received your payment towards ${plan}.</p>
+        <p><strong>Amount Paid:</strong> ₹${amount}</p>
+        <p><strong>Remaining Balance:</strong> ₹${balance}</p>
+      </div>
+    `,
+    text: `Dues Payment Received - ₹${amount} towards ${plan}. Remaining balance: ₹${balance}`,
+  }),
+
   passwordReset: (name, resetUrl) => ({
     subject: "Password Reset Request",
     html: `
@@ -131,6 +257,110 @@ export const emailTemplates = {
     text: `Password Reset - Visit: ${resetUrl}`,
   }),
 
+  accountLocked: (name, lockUntil, unlockUrl) => ({
+    subject: "Your Rotaract Club account has been locked",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #dc3545;">Account Locked</h2>
+        <p>Dear ${name},</p>
+        <p>Your account was locked after too many failed login attempts. It will unlock automatically at ${new Date(lockUntil).toLocaleString("en-IN")}.</p>
+        <p>If these attempts were yours, you can unlock your account now:</p>
+        <a href="${unlockUrl}" style="display: inline-block; padding: 10px 20px; background: #0066cc; color: white; text-decoration: none; border-radius: 5px;">Unlock My Account</a>
+        <p>If you didn't try to login, someone may be guessing your password. Consider resetting it after unlocking.</p>
+      </div>
+    `,
+    text: `Account Locked - Too many failed login attempts. Unlock your account: ${unlockUrl}`,
+  }),
+
+  magicLink: (name, loginUrl) => ({
+    subject: "Your Rotaract Club sign-in link",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #0066cc;">Sign In</h2>
+        <p>Dear ${name},</p>
+        <p>Click the link below to sign in to the member portal:</p>
+        <a href="${loginUrl}" style="display: inline-block; padding: 10px 20px; background: #0066cc; color: white; text-decoration: none; border-radius: 5px;">Sign In</a>
+        <p>This link can be used once and expires in 15 minutes.</p>
+        <p>If you didn't request this, please ignore this email.</p>
+      </div>
+    `,
+    text: `Sign In - Visit: ${loginUrl}`,
+  }),
+
+  refreshTokenReuse: (name, device, ipAddress) => ({
+    subject: "Security Alert: You were signed out of a device",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #dc3545;">Suspicious Session Activity</h2>
+        <p>Dear ${name},</p>
+        <p>An old sign-in token for one of your devices was used again, which can mean it was copied. As a precaution we signed that device out.</p>
+        <p><strong>Device:</strong> ${device || "Unknown device"}</p>
+        <p><strong>IP address:</strong> ${ipAddress || "Unknown"}</p>
+        <p>Please login again. If you don't recognise this activity, change your password and review your active sessions.</p>
+      </div>
+    `,
+    text: `Security Alert - A reused sign-in token was detected for ${device || "a device"}. That session has been signed out.`,
+  }),
+
+  twoFactorReset: (name, resetBy) => ({
+    subject: "Security Alert: Two-factor authentication was turned off",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #dc3545;">Two-Factor Authentication Reset</h2>
+        <p>Dear ${name},</p>
+        <p>${resetBy} reset two-factor authentication on your account. All your devices have been signed out.</p>
+        <p>Please login again and set up 2FA. If you did not ask for this, contact the club president straight away.</p>
+      </div>
+    `,
+    text: `Security Alert - ${resetBy} reset two-factor authentication on your account and signed out all devices.`,
+  }),
+
+  newLoginAlert: (name, device, ipAddress, time) => ({
+    subject: "Security Alert: New sign-in to your account",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #ffc107;">New Sign-in Detected</h2>
+        <p>Dear ${name},</p>
+        <p>Your account was just signed in to from a device or network we haven't seen before.</p>
+        <p><strong>Device:</strong> ${device || "Unknown device"}</p>
+        <p><strong>IP address:</strong> ${ipAddress || "Unknown"}</p>
+        <p><strong>Time:</strong> ${new Date(time).toLocaleString("en-IN")}</p>
+        <p>If this was you, no action is needed. If not, change your password and review your active sessions.</p>
+      </div>
+    `,
+    text: `Security Alert - New sign-in from ${device || "an unknown device"} (${ipAddress || "unknown IP"}).`,
+  }),
+
+  waitlistPromoted: (name, event, startDate) => ({
+    subject: `You're In! Seat Confirmed for ${event}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #28a745;">Seat Confirmed ✓</h2>
+        <p>Dear ${name},</p>
+        <p>A seat opened up and you have been moved from the waitlist to the registered list.</p>
+        <p><strong>Event:</strong> ${event}</p>
+        <p><strong>Date:</strong> ${new Date(startDate).toLocaleDateString("en-IN")}</p>
+        <p>If you can no longer attend, please cancel your registration so the next member on the waitlist can take your place.</p>
+      </div>
+    `,
+    text: `Seat Confirmed - You have been moved off the waitlist for ${event}`,
+  }),
+
+  budgetAlert: (treasurerName, event, threshold, spent, budget) => ({
+    subject: `Budget Alert: ${event} has reached ${threshold}% of its budget`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: ${threshold >= 100 ? "#dc3545" : "#ff9800"};">Event Budget Alert</h2>
+        <p>Dear ${treasurerName},</p>
+        <p>Approved spending for <strong>${event}</strong> has crossed ${threshold}% of the estimated budget.</p>
+        <p><strong>Spent:</strong> ₹${spent}</p>
+        <p><strong>Budget:</strong> ₹${budget}</p>
+        <p>Please review pending expenses for this event before approving further claims.</p>
+      </div>
+    `,
+    text: `Budget Alert - ${event}: ₹${spent} spent of ₹${budget} (${threshold}% threshold crossed)`,
+  }),
+
   newExpenseAlert: (treasurerName, memberName, amount, event) => ({
     subject: "New Expense Submission - Action Required",
     html: `
@@ -148,4 +378,4 @@ export const emailTemplates = {
   }),
 }
 
-export default { sendEmail, emailTemplates }
+export default { sendEmail, queueEmails, emailTemplates }
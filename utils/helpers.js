@@ -3,6 +3,7 @@
 // ============================================
 
 import crypto from "crypto"
+import fs from "fs"
 import CryptoJS from "crypto-js"
 
 // Generate random token
@@ -10,6 +11,63 @@ export const generateToken = (length = 32) => {
   return crypto.randomBytes(length).toString("hex")
 }
 
+// SHA-256 hash of a token (refresh tokens are stored hashed)
+export const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex")
+}
+
+// SHA-256 hash of a file's contents (used for duplicate bill detection)
+export const hashFile = (filePath) => {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256")
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")))
+  })
+}
+
+// Request details recorded against a login session
+export const getDeviceInfo = (req) => {
+  return {
+    userAgent: req.headers?.["user-agent"],
+    ipAddress: req.ip || req.connection?.remoteAddress,
+    label: req.body?.deviceLabel,
+  }
+}
+
+// Short human readable device label, e.g. "Chrome on Windows"
+export const describeUserAgent = (userAgent = "") => {
+  const browsers = [
+    ["Edge", /Edg\//],
+    ["Opera", /OPR\//],
+    ["Chrome", /Chrome\//],
+    ["Firefox", /Firefox\//],
+    ["Safari", /Safari\//],
+  ]
+  const systems = [
+    ["Android", /Android/],
+    ["iOS", /iPhone|iPad/],
+    ["Windows", /Windows/],
+    ["macOS", /Mac OS X/],
+    ["Linux", /Linux/],
+  ]
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0]
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0]
+
+  if (browser && system) return `${browser} on ${system}`
+  return browser || system || "Unknown device"
+}
+
+// Disconnect sockets opened with the given login sessions
+export const disconnectSessions = (io, sessionIds) => {
+  if (!io) return
+  sessionIds.forEach((sessionId) => {
+    io.in(`session:${sessionId}`).disconnectSockets(true)
+  })
+}
+
 // Generate member ID
 export const generateMemberId = (prefix = "RC") => {
   const year = new Date().getFullYear().toString().slice(-2)
@@ -79,6 +137,11 @@ export const paginationResponse = (total, page, limit) => {
 
 export default {
   generateToken,
+  hashToken,
+  hashFile,
+  getDeviceInfo,
+  describeUserAgent,
+  disconnectSessions,
   generateMemberId,
   encryptData,
   decryptData,
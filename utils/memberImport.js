@@ -0,0 +1,219 @@
+// ============================================
+// MEMBER IMPORT (CSV / XLSX)
+// ============================================
+
+import ExcelJS from "exceljs"
+import path from "path"
+import { Readable } from "stream"
+import { validationResult } from "express-validator"
+import User from "../models/User.model.js"
+import { userValidation } from "../middleware/validation.middleware.js"
+import { AppError } from "../middleware/error.middleware.js"
+import { generateMemberId, generateToken } from "./helpers.js"
+
+export const MAX_IMPORT_ROWS = 500
+
+const REQUIRED_COLUMNS = ["firstName", "lastName", "email", "phone"]
+
+// Accepted header spellings (compared lowercase with spaces/punctuation removed)
+const COLUMN_ALIASES = {
+  firstname: "firstName",
+  first: "firstName",
+  lastname: "lastName",
+  last: "lastName",
+  surname: "lastName",
+  email: "email",
+  emailid: "email",
+  emailaddress: "email",
+  phone: "phone",
+  phonenumber: "phone",
+  mobile: "phone",
+  mobilenumber: "phone",
+  role: "role",
+  college: "collegeName",
+  collegename: "collegeName",
+  course: "courseName",
+  coursename: "courseName",
+  dob: "dateOfBirth",
+  dateofbirth: "dateOfBirth",
+  street: "address.street",
+  city: "address.city",
+  state: "address.state",
+  pincode: "address.pincode",
+}
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z]/g, "")
+
+// Cell text as typed in the sheet (dates as YYYY-MM-DD)
+const readCell = (cell) => {
+  if (cell.value instanceof Date) return cell.value.toISOString().slice(0, 10)
+  return (cell.text || "").trim()
+}
+
+// Accept "+91 98765-43210" / "098765 43210" style numbers
+const normalizePhone = (phone) => {
+  const digits = phone.replace(/\D/g, "")
+  if (digits.length === 12 && digits.startsWith("91")) return digits.slice(2)
+  if (digits.length === 11 && digits.startsWith("0")) return digits.slice(1)
+  return digits
+}
+
+// Read the first worksheet of an uploaded file into { row, data } objects
+export const parseImportFile = async (file) => {
+  const workbook = new ExcelJS.Workbook()
+  let worksheet
+
+  if (path.extname(file.originalname).toLowerCase() === ".csv") {
+    worksheet = await workbook.csv.read(Readable.from(file.buffer))
+  } else {
+    await workbook.xlsx.load(file.buffer)
+    worksheet = workbook.worksheets[0]
+  }
+
+  if (!worksheet || worksheet.rowCount === 0) return []
+
+  const columns = {}
+  worksheet.getRow(1).eachCell((cell, colNumber) => {
+    const field = COLUMN_ALIASES[normalizeHeader(readCell(cell))]
+    if (field) columns[colNumber] = field
+  })
+
+  const missing = REQUIRED_COLUMNS.filter((field) => !Object.values(columns).includes(field))
+  if (missing.length > 0) {
+    throw new AppError(`Missing required columns: ${missing.join(", ")}`, 400)
+  }
+
+  const rows = []
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return
+
+    const data = {}
+    Object.entries(columns).forEach(([colNumber, field]) => {
+      const value = readCell(row.getCell(Number(colNumber)))
+      // Leave blanks out so optional rules skip them
+      if (!value) return
+
+      if (field.startsWith("address.")) {
+        data.address = { ...data.address, [field.split(".")[1]]: value }
+      } else {
+        data[field] = field === "phone" ? normalizePhone(value) : value
+      }
+    })
+
+    if (Object.keys(data).length > 0) rows.push({ row: rowNumber, data })
+  })
+
+  return rows
+}
+
+// Same rules as POST /api/admin/members, then the User schema itself
+const validateRow = async (data, rotaractYear) => {
+  const req = { body: { ...data } }
+  const chains = userValidation.addMember.filter((rule) => typeof rule.run === "function")
+  for (const chain of chains) {
+    await chain.run(req)
+  }
+
+  const errors = validationResult(req)
+    .array()
+    .map((err) => ({ field: err.path, message: err.msg }))
+
+  const candidate = new User({ ...req.body, memberId: "IMPORT", password: generateToken(), rotaractYear })
+  const schemaError = candidate.validateSync()
+  if (schemaError) {
+    Object.values(schemaError.errors).forEach((err) => {
+      if (!errors.some((existing) => existing.field === err.path)) {
+        errors.push({ field: err.path, message: err.message })
+      }
+    })
+  }
+
+  // Sanitized values (trimmed, normalized email) are what gets imported; show bad rows as typed
+  return { data: errors.length > 0 ? data : req.body, errors }
+}
+
+const describeExisting = (member) =>
+  member.deletedAt ? `deleted member ${member.memberId} (restore from trash)` : `member ${member.memberId}`
+
+// Build the dry-run report: row-level errors plus duplicates within the file and against existing members
+export const validateImportRows = async (rows, rotaractYear) => {
+  const report = []
+  for (const { row, data } of rows) {
+    const result = await validateRow(data, rotaractYear)
+    report.push({
+      row,
+      status: result.errors.length > 0 ? "invalid" : "valid",
+      data: result.data,
+      errors: result.errors,
+    })
+  }
+
+  const emails = report.map((item) => item.data.email?.toLowerCase()).filter(Boolean)
+  const phones = report.map((item) => item.data.phone).filter(Boolean)
+  const existing = await User.find({ $or: [{ email: { $in: emails } }, { phone: { $in: phones } }] })
+    .withDeleted()
+    .select("memberId email phone deletedAt")
+
+  const seenEmails = new Map()
+  const seenPhones = new Map()
+  report.forEach((item) => {
+    const email = item.data.email?.toLowerCase()
+    const phone = item.data.phone
+    const duplicates = []
+
+    const emailMember = existing.find((member) => member.email === email)
+    const phoneMember = existing.find((member) => member.phone === phone)
+    if (email && emailMember) {
+      duplicates.push({ field: "email", message: `Email already belongs to ${describeExisting(emailMember)}` })
+    }
+    if (phone && phoneMember) {
+      duplicates.push({ field: "phone", message: `Phone already belongs to ${describeExisting(phoneMember)}` })
+    }
+    if (email && seenEmails.has(email)) {
+      duplicates.push({ field: "email", message: `Same email as row ${seenEmails.get(email)}` })
+    }
+    if (phone && seenPhones.has(phone)) {
+      duplicates.push({ field: "phone", message: `Same phone as row ${seenPhones.get(phone)}` })
+    }
+
+    if (email && !seenEmails.has(email)) seenEmails.set(email, item.row)
+    if (phone && !seenPhones.has(phone)) seenPhones.set(phone, item.row)
+
+    if (duplicates.length > 0) {
+      item.errors.push(...duplicates)
+      if (item.status === "valid") item.status = "duplicate"
+    }
+  })
+
+  return report
+}
+
+// Counts for the import report
+export const summarizeImport = (report) => ({
+  totalRows: report.length,
+  valid: report.filter((item) => item.status === "valid").length,
+  invalid: report.filter((item) => item.status === "invalid").length,
+  duplicates: report.filter((item) => item.status === "duplicate").length,
+  created: report.filter((item) => item.status === "created").length,
+  failed: report.filter((item) => item.status === "failed").length,
+})
+
+// generateMemberId is random, so check against members created so far and in this batch
+export const generateUniqueMemberId = async (prefix, taken) => {
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const memberId = generateMemberId(prefix)
+    if (!taken.has(memberId) && !(await User.exists({ memberId }))) {
+      taken.add(memberId)
+      return memberId
+    }
+  }
+  throw new Error("Could not generate a unique member ID")
+}
+
+export default {
+  MAX_IMPORT_ROWS,
+  parseImportFile,
+  validateImportRows,
+  summarizeImport,
+  generateUniqueMemberId,
+}
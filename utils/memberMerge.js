@@ -0,0 +1,221 @@
+// ============================================
+// DUPLICATE MEMBER DETECTION & MERGE
+// ============================================
+
+import Expense from "../models/Expense.model.js"
+import Event from "../models/Event.model.js"
+import Board from "../models/Board.model.js"
+import AuditLog from "../models/AuditLog.model.js"
+import VolunteerHours from "../models/VolunteerHours.model.js"
+import Dues from "../models/Dues.model.js"
+import PayoutBatch from "../models/PayoutBatch.model.js"
+
+// "Priya  S." and "S Priya" both become "priya s"
+export const normalizeName = (...parts) =>
+  parts
+    .join(" ")
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(" ")
+
+const normalizePhone = (phone = "") => phone.replace(/\D/g, "").slice(-10)
+
+// Keys two records of the same student are likely to share
+const matchKeys = (member) => {
+  const keys = []
+
+  const phone = normalizePhone(member.phone)
+  if (phone.length === 10) keys.push(["phone", phone])
+
+  const name = normalizeName(member.firstName, member.lastName)
+  if (name) keys.push(["name", name])
+
+  // Same birthday and first name catches a misspelt or missing surname
+  if (member.dateOfBirth) {
+    const firstName = normalizeName(member.firstName)
+    keys.push(["dateOfBirth", `${member.dateOfBirth.toISOString().slice(0, 10)}|${firstName}`])
+  }
+
+  return keys
+}
+
+// Group members that share a phone number, a normalized full name, or a birthday and first name
+// Returns [{ matchedOn: [...], members: [...] }] with groups of two or more
+export const findDuplicateGroups = (members) => {
+  const byKey = new Map()
+  members.forEach((member) => {
+    matchKeys(member).forEach(([reason, value]) => {
+      const key = `${reason}:${value}`
+      if (!byKey.has(key)) byKey.set(key, { reason, ids: [] })
+      byKey.get(key).ids.push(member.id)
+    })
+  })
+
+  // Union members linked by any shared key (A~B by phone, B~C by name => one group)
+  const parent = new Map(members.map((member) => [member.id, member.id]))
+  const root = (id) => (parent.get(id) === id ? id : root(parent.get(id)))
+  const reasons = new Map()
+
+  byKey.forEach(({ reason, ids }) => {
+    if (ids.length < 2) return
+    ids.slice(1).forEach((id) => parent.set(root(id), root(ids[0])))
+    ids.forEach((id) => reasons.set(id, new Set([...(reasons.get(id) || []), reason])))
+  })
+
+  const groups = new Map()
+  members.forEach((member) => {
+    if (!reasons.has(member.id)) return
+    const id = root(member.id)
+    if (!groups.has(id)) groups.set(id, { matchedOn: new Set(), members: [] })
+    groups.get(id).members.push(member)
+    reasons.get(member.id).forEach((reason) => groups.get(id).matchedOn.add(reason))
+  })
+
+  return [...groups.values()].map((group) => ({
+    matchedOn: [...group.matchedOn],
+    members: group.members.sort((a, b) => a.createdAt - b.createdAt),
+  }))
+}
+
+// Move the duplicate's dues invoices. One invoice per member per plan: where both members were
+// billed for the same plan, the duplicate's payments move onto the survivor's invoice (which keeps
+// its own status, so a waiver on it stands) and the duplicate's invoice is dropped
+const mergeDuesInvoices = async (duplicateId, survivorId) => {
+  let folded = 0
+  const invoices = await Dues.find({ member: duplicateId })
+
+  for (const invoice of invoices) {
+    const survivorInvoice = await Dues.findOne({ member: survivorId, "plan.planId": invoice.plan.planId })
+    if (!survivorInvoice) continue
+
+    // Skip payments an earlier, interrupted merge already copied
+    const copied = new Set(survivorInvoice.payments.map((payment) => payment._id.toString()))
+    invoice.payments
+      .filter((payment) => !copied.has(payment._id.toString()))
+      .forEach((payment) => survivorInvoice.payments.push(payment.toObject()))
+    await survivorInvoice.save()
+    await invoice.deleteOne()
+    folded += 1
+  }
+
+  const moved = await Dues.updateMany({ member: duplicateId }, { member: survivorId })
+  return folded + moved.modifiedCount
+}
+
+// Registration statuses, best first (kept when both members registered for the same event)
+const REGISTRATION_RANK = ["registered", "waitlisted", "cancelled"]
+
+// Move the duplicate's check-ins and RSVPs; where both members have an entry for the same event
+// keep one, combining the check-in times and keeping the better registration
+const mergeEventEntries = async (duplicateId, survivorId) => {
+  const counts = { attendance: 0, registrations: 0 }
+
+  for (const field of ["attendance", "registrations"]) {
+    // Events with only the duplicate's entry: repoint it
+    const result = await Event.updateMany(
+      { [field]: { $elemMatch: { member: duplicateId } }, [`${field}.member`]: { $ne: survivorId } },
+      { $set: { [`${field}.$[entry].member`]: survivorId } },
+      { arrayFilters: [{ "entry.member": duplicateId }] },
+    ).withDeleted()
+    counts[field] += result.modifiedCount
+  }
+
+  // Events with entries for both members
+  const events = await Event.find({
+    $or: [
+      { $and: [{ "attendance.member": duplicateId }, { "attendance.member": survivorId }] },
+      { $and: [{ "registrations.member": duplicateId }, { "registrations.member": survivorId }] },
+    ],
+  }).withDeleted()
+
+  for (const event of events) {
+    const findEntry = (list, memberId) => list.find((entry) => entry.member.equals(memberId))
+
+    const duplicateCheckIn = findEntry(event.attendance, duplicateId)
+    const survivorCheckIn = findEntry(event.attendance, survivorId)
+    if (duplicateCheckIn && survivorCheckIn) {
+      const checkIns = [duplicateCheckIn.checkInAt, survivorCheckIn.checkInAt].filter(Boolean)
+      const checkOuts = [duplicateCheckIn.checkOutAt, survivorCheckIn.checkOutAt].filter(Boolean)
+      if (checkIns.length > 0) survivorCheckIn.checkInAt = new Date(Math.min(...checkIns))
+      if (checkOuts.length > 0) survivorCheckIn.checkOutAt = new Date(Math.max(...checkOuts))
+      event.attendance.pull(duplicateCheckIn._id)
+      counts.attendance += 1
+    }
+
+    const duplicateRsvp = findEntry(event.registrations, duplicateId)
+    const survivorRsvp = findEntry(event.registrations, survivorId)
+    if (duplicateRsvp && survivorRsvp) {
+      if (REGISTRATION_RANK.indexOf(duplicateRsvp.status) < REGISTRATION_RANK.indexOf(survivorRsvp.status)) {
+        survivorRsvp.status = duplicateRsvp.status
+        survivorRsvp.registeredAt = duplicateRsvp.registeredAt
+        survivorRsvp.promotedAt = duplicateRsvp.promotedAt
+        survivorRsvp.cancelledAt = duplicateRsvp.cancelledAt
+      }
+      event.registrations.pull(duplicateRsvp._id)
+      counts.registrations += 1
+    }
+
+    // Save recounts attendees from the register
+    await event.save({ validateBeforeSave: false })
+  }
+
+  return counts
+}
+
+// Point everything that references the duplicate at the surviving member.
+// Every step can safely run again, so a merge that fails part way is finished by retrying it.
+export const reassignMemberReferences = async (duplicateId, survivorId) => {
+  const expenses = await Expense.updateMany({ member: duplicateId }, { member: survivorId }).withDeleted()
+  const coordinator = await Event.updateMany({ coordinator: duplicateId }, { coordinator: survivorId }).withDeleted()
+
+  await Event.updateMany({ volunteers: duplicateId }, { $addToSet: { volunteers: survivorId } }).withDeleted()
+  const volunteers = await Event.updateMany(
+    { volunteers: duplicateId },
+    { $pull: { volunteers: duplicateId } },
+  ).withDeleted()
+
+  const { attendance, registrations } = await mergeEventEntries(duplicateId, survivorId)
+
+  const board = await Board.updateMany(
+    { "members.user": duplicateId },
+    { $set: { "members.$[seat].user": survivorId } },
+    { arrayFilters: [{ "seat.user": duplicateId }] },
+  )
+
+  const volunteerHours = await VolunteerHours.updateMany({ member: duplicateId }, { member: survivorId })
+  const dues = await mergeDuesInvoices(duplicateId, survivorId)
+  const payoutBatches = await PayoutBatch.updateMany(
+    { "memberTotals.member": duplicateId },
+    { $set: { "memberTotals.$[total].member": survivorId } },
+    { arrayFilters: [{ "total.member": duplicateId }] },
+  )
+
+  // Actions the duplicate performed and actions performed on it
+  const auditActor = await AuditLog.updateMany({ user: duplicateId }, { user: survivorId })
+  const auditTarget = await AuditLog.updateMany(
+    { targetType: "user", targetId: duplicateId },
+    { targetId: survivorId },
+  )
+
+  return {
+    expenses: expenses.modifiedCount,
+    eventsCoordinated: coordinator.modifiedCount,
+    eventsVolunteered: volunteers.modifiedCount,
+    eventAttendance: attendance,
+    eventRegistrations: registrations,
+    boards: board.modifiedCount,
+    volunteerHours: volunteerHours.modifiedCount,
+    dues,
+    payoutBatches: payoutBatches.modifiedCount,
+    auditLogs: auditActor.modifiedCount + auditTarget.modifiedCount,
+  }
+}
+
+export default {
+  normalizeName,
+  findDuplicateGroups,
+  reassignMemberReferences,
+}
@@ -0,0 +1,184 @@
+// ============================================
+// OPENID CONNECT CLIENT (AUTHORIZATION CODE + PKCE)
+// ============================================
+
+import crypto from "crypto"
+import jwt from "jsonwebtoken"
+import config from "../config/config.js"
+import { AppError } from "../middleware/error.middleware.js"
+
+// Pending logins and issued login tickets live in memory for a few minutes
+const PENDING_TTL = 10 * 60 * 1000
+const TICKET_TTL = 5 * 60 * 1000
+const DISCOVERY_TTL = 60 * 60 * 1000
+
+const pendingLogins = new Map()
+const loginTickets = new Map()
+let discoveryCache = null
+
+const base64Url = (buffer) => buffer.toString("base64url")
+
+// Drop expired entries so the maps cannot grow unbounded
+const pruneExpired = (store) => {
+  const now = Date.now()
+  for (const [key, value] of store) {
+    if (value.expiresAt <= now) store.delete(key)
+  }
+}
+
+// OIDC login is available when issuer, client and redirect URI are configured
+export const isOidcEnabled = () => {
+  const { issuer, clientId, clientSecret, redirectUri } = config.oidc
+  return Boolean(issuer && clientId && clientSecret && redirectUri)
+}
+
+// Fetch (and cache) the provider's discovery document
+const getDiscovery = async () => {
+  if (discoveryCache && discoveryCache.expiresAt > Date.now()) return discoveryCache.document
+
+  const issuer = config.oidc.issuer.replace(/\/$/, "")
+  const response = await fetch(`${issuer}/.well-known/openid-configuration`)
+  if (!response.ok) {
+    throw new Error(`OIDC discovery failed with status ${response.status}`)
+  }
+
+  const document = await response.json()
+  discoveryCache = { document, expiresAt: Date.now() + DISCOVERY_TTL }
+  return document
+}
+
+// Find the signing key for an ID token in the provider's JWKS
+const getSigningKey = async (kid) => {
+  const discovery = await getDiscovery()
+  const response = await fetch(discovery.jwks_uri)
+  if (!response.ok) {
+    throw new Error(`OIDC JWKS fetch failed with status ${response.status}`)
+  }
+
+  const { keys = [] } = await response.json()
+  const jwk = keys.find((key) => !kid || key.kid === kid)
+  if (!jwk) {
+    throw new AppError("Identity provider signing key not found", 401)
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: "jwk" })
+}
+
+// Build the provider authorization URL for a new login attempt
+export const createAuthorizationUrl = async () => {
+  const discovery = await getDiscovery()
+
+  const state = base64Url(crypto.randomBytes(24))
+  const nonce = base64Url(crypto.randomBytes(24))
+  const codeVerifier = base64Url(crypto.randomBytes(32))
+  const codeChallenge = base64Url(crypto.createHash("sha256").update(codeVerifier).digest())
+
+  pruneExpired(pendingLogins)
+  pendingLogins.set(state, { nonce, codeVerifier, expiresAt: Date.now() + PENDING_TTL })
+
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: config.oidc.clientId,
+    redirect_uri: config.oidc.redirectUri,
+    scope: config.oidc.scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  })
+
+  // Google Workspace: pre-select accounts from the college domain
+  if (config.oidc.allowedDomain) params.set("hd", config.oidc.allowedDomain)
+
+  return `${discovery.authorization_endpoint}?${params.toString()}`
+}
+
+// Exchange the authorization code and return the verified ID token claims
+export const handleCallback = async ({ code, state }) => {
+  const pending = state && pendingLogins.get(state)
+  pendingLogins.delete(state)
+
+  if (!pending || pending.expiresAt <= Date.now()) {
+    throw new AppError("Login request expired. Please try again.", 401)
+  }
+
+  const discovery = await getDiscovery()
+  const response = await fetch(discovery.token_endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: config.oidc.redirectUri,
+      client_id: config.oidc.clientId,
+      client_secret: config.oidc.clientSecret,
+      code_verifier: pending.codeVerifier,
+    }),
+  })
+
+  const tokens = await response.json().catch(() => ({}))
+  if (!response.ok || !tokens.id_token) {
+    throw new AppError("Identity provider rejected the login", 401)
+  }
+
+  const decoded = jwt.decode(tokens.id_token, { complete: true })
+  const key = await getSigningKey(decoded?.header?.kid)
+
+  let claims
+  try {
+    claims = jwt.verify(tokens.id_token, key, {
+      algorithms: ["RS256", "ES256"],
+      issuer: discovery.issuer,
+      audience: config.oidc.clientId,
+    })
+  } catch (error) {
+    throw new AppError(`Invalid ID token: ${error.message}`, 401)
+  }
+
+  if (claims.nonce !== pending.nonce) {
+    throw new AppError("Invalid ID token nonce", 401)
+  }
+
+  const email = claims.email?.toLowerCase()
+  // Providers that leave email_verified out are treated as unverified
+  if (!email || claims.email_verified !== true) {
+    throw new AppError("Your account has no verified email address", 401)
+  }
+
+  const allowedDomain = config.oidc.allowedDomain?.toLowerCase()
+  if (allowedDomain && !email.endsWith(`@${allowedDomain}`)) {
+    throw new AppError(`Please sign in with your @${allowedDomain} account`, 401)
+  }
+
+  return { ...claims, email }
+}
+
+// Issue a short-lived ticket the frontend exchanges for our own tokens
+export const createLoginTicket = (userId) => {
+  const ticket = base64Url(crypto.randomBytes(32))
+
+  pruneExpired(loginTickets)
+  loginTickets.set(ticket, { userId: String(userId), expiresAt: Date.now() + TICKET_TTL })
+
+  return ticket
+}
+
+// Look up a login ticket (consume it once the login has succeeded)
+export const getLoginTicket = (ticket) => {
+  const entry = loginTickets.get(ticket)
+  if (!entry || entry.expiresAt <= Date.now()) return null
+  return entry
+}
+
+export const consumeLoginTicket = (ticket) => {
+  loginTickets.delete(ticket)
+}
+
+export default {
+  isOidcEnabled,
+  createAuthorizationUrl,
+  handleCallback,
+  createLoginTicket,
+  getLoginTicket,
+  consumeLoginTicket,
+}
@@ -0,0 +1,98 @@
+// ============================================
+// PASSWORD POLICY CHECKS
+// ============================================
+
+import fs from "fs"
+import path from "path"
+import bcrypt from "bcryptjs"
+import { fileURLToPath } from "url"
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// Bundled offline list of common/breached passwords
+const COMMON_PASSWORDS = new Set(
+  fs
+    .readFileSync(path.join(__dirname, "../config/common-passwords.txt"), "utf8")
+    .split(/\r?\n/)
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith("#")),
+)
+
+// Defaults used when the club has not configured a policy
+export const DEFAULT_PASSWORD_POLICY = {
+  minLength: 8,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumber: true,
+  requireSymbol: true,
+  historyCount: 5,
+  maxAgeDays: 0,
+}
+
+// Check a password against the common-password list (also catches "Password@123" style variants)
+export const isCommonPassword = (password) => {
+  const lower = String(password).toLowerCase()
+  const letters = lower.replace(/[^a-z]/g, "")
+  return COMMON_PASSWORDS.has(lower) || (letters.length >= 3 && COMMON_PASSWORDS.has(letters))
+}
+
+// Strength rules - returns a list of problems (empty when the password is acceptable)
+export const checkPasswordStrength = (password, policy = DEFAULT_PASSWORD_POLICY) => {
+  const errors = []
+  const value = String(password || "")
+
+  if (value.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters`)
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    errors.push("Password must contain an uppercase letter")
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    errors.push("Password must contain a lowercase letter")
+  }
+  if (policy.requireNumber && !/\d/.test(value)) {
+    errors.push("Password must contain a number")
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    errors.push("Password must contain a special character")
+  }
+  if (isCommonPassword(value)) {
+    errors.push("Password is too common. Please choose a less predictable password")
+  }
+
+  return errors
+}
+
+// Full policy check for a user's new password, including reuse of recent passwords
+// (user must be loaded with +password +passwordHistory)
+export const checkNewPassword = async (user, password, policy = DEFAULT_PASSWORD_POLICY) => {
+  const errors = checkPasswordStrength(password, policy)
+
+  if (policy.historyCount > 0 && user) {
+    const recentHashes = [...(user.passwordHistory || []), user.password].filter(Boolean).slice(-policy.historyCount)
+
+    for (const hash of recentHashes) {
+      if (await bcrypt.compare(password, hash)) {
+        errors.push(`Password cannot match any of your last ${policy.historyCount} passwords`)
+        break
+      }
+    }
+  }
+
+  return errors
+}
+
+// Whether a password set at passwordChangedAt has passed the policy's maximum age
+export const isPasswordExpired = (passwordChangedAt, policy = DEFAULT_PASSWORD_POLICY) => {
+  if (!policy.maxAgeDays || !passwordChangedAt) return false
+  return Date.now() - new Date(passwordChangedAt).getTime() > policy.maxAgeDays * 24 * 60 * 60 * 1000
+}
+
+export default {
+  DEFAULT_PASSWORD_POLICY,
+  isCommonPassword,
+  checkPasswordStrength,
+  checkNewPassword,
+  isPasswordExpired,
+}
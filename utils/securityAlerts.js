@@ -0,0 +1,112 @@
+// ============================================
+// SECURITY ALERTS (NEW DEVICES, FAILED ADMIN LOGINS)
+// ============================================
+
+import AuditLog from "../models/AuditLog.model.js"
+import { sendEmail, emailTemplates } from "./email.js"
+import { describeUserAgent } from "./helpers.js"
+import { logger } from "./logger.js"
+
+// How far back prior logins count as "seen" devices/networks
+const HISTORY_DAYS = 90
+// Failed admin logins within the window that raise an alert
+const FAILED_ADMIN_THRESHOLD = 3
+const FAILED_ADMIN_WINDOW_MINUTES = 15
+
+// Network prefix used as a rough location (IPv4 /24, IPv6 /64)
+const getNetwork = (ipAddress = "") => {
+  const ip = ipAddress.replace(/^::ffff:/, "")
+  if (ip.includes(".")) return ip.split(".").slice(0, 3).join(".")
+  if (ip.includes(":")) return ip.split(":").slice(0, 4).join(":")
+  return ip
+}
+
+// Request IP the same way audit entries record it
+const getRequestIp = (req) => req.ip || req.connection?.remoteAddress
+
+// Push a security alert to admins in real time
+const emitSecurityAlert = (req, alert) => {
+  const io = req.app?.get("io")
+  if (!io) return
+  try {
+    io.to("admins").emit("security_alert", { ...alert, createdAt: new Date() })
+  } catch (socketError) {
+    logger.error(`Socket emit error (security_alert): ${socketError.message}`)
+  }
+}
+
+// Compare a successful login against the user's prior logins. Call before the login is audit logged.
+// Emails the member about unseen devices and alerts admins when an admin signs in from a new network.
+export const checkLoginContext = async (req, user) => {
+  try {
+    const ipAddress = getRequestIp(req)
+    const device = describeUserAgent(req.headers?.["user-agent"])
+
+    const priorLogins = await AuditLog.find({
+      action: "login",
+      user: user._id,
+      createdAt: { $gte: new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000) },
+    })
+      .select("ipAddress userAgent")
+      .limit(500)
+
+    // Nothing to compare the very first login against
+    if (priorLogins.length === 0) return { newDevice: false, newNetwork: false }
+
+    const newDevice = !priorLogins.some((entry) => describeUserAgent(entry.userAgent) === device)
+    const newNetwork = !priorLogins.some((entry) => getNetwork(entry.ipAddress) === getNetwork(ipAddress))
+
+    if (newDevice || newNetwork) {
+      await sendEmail({
+        to: user.email,
+        ...emailTemplates.newLoginAlert(user.firstName, device, ipAddress, new Date()),
+      })
+    }
+
+    if (user.isAdmin && newNetwork) {
+      emitSecurityAlert(req, {
+        type: "admin_new_location",
+        userId: user._id,
+        email: user.email,
+        role: user.role,
+        ipAddress,
+        device,
+        message: `${user.firstName} ${user.lastName} (${user.role}) signed in from a new network`,
+      })
+    }
+
+    return { newDevice, newNetwork }
+  } catch (error) {
+    logger.error(`Login context check error: ${error.message}`)
+    return { newDevice: false, newNetwork: false }
+  }
+}
+
+// Alert admins when an admin account keeps failing to login. Call after the failed_login is audit logged.
+export const checkFailedAdminLogins = async (req, user) => {
+  try {
+    if (!user.isAdmin) return
+
+    const failedCount = await AuditLog.countDocuments({
+      action: "failed_login",
+      user: user._id,
+      createdAt: { $gte: new Date(Date.now() - FAILED_ADMIN_WINDOW_MINUTES * 60 * 1000) },
+    })
+
+    if (failedCount < FAILED_ADMIN_THRESHOLD) return
+
+    emitSecurityAlert(req, {
+      type: "admin_failed_logins",
+      userId: user._id,
+      email: user.email,
+      role: user.role,
+      ipAddress: getRequestIp(req),
+      failedCount,
+      message: `${failedCount} failed logins for admin ${user.email} in ${FAILED_ADMIN_WINDOW_MINUTES} minutes`,
+    })
+  } catch (error) {
+    logger.error(`Failed admin login check error: ${error.message}`)
+  }
+}
+
+export default { checkLoginContext, checkFailedAdminLogins }
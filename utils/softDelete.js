@@ -0,0 +1,77 @@
+// ============================================
+// SOFT DELETE PLUGIN
+// ============================================
+
+import mongoose from "mongoose"
+
+const QUERY_HOOKS = [
+  "countDocuments",
+  "distinct",
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "findOneAndDelete",
+  "updateOne",
+  "updateMany",
+  "replaceOne",
+]
+
+// Adds deletedAt/deletedBy and hides deleted documents from queries and aggregations.
+// Filter on deletedAt (or call .withDeleted()) to reach deleted documents.
+export const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  })
+
+  schema.index({ deletedAt: 1 })
+
+  // Query helper: include deleted documents
+  schema.query.withDeleted = function () {
+    this._includeDeleted = true
+    return this
+  }
+
+  schema.pre(QUERY_HOOKS, function () {
+    if (this._includeDeleted || Object.hasOwn(this.getFilter(), "deletedAt")) return
+    this.where({ deletedAt: null })
+  })
+
+  // Merged into a leading $match (which may hold $text and must stay first)
+  schema.pre("aggregate", function () {
+    const firstStage = this.pipeline()[0]
+    if (firstStage?.$match) {
+      if (!Object.hasOwn(firstStage.$match, "deletedAt")) firstStage.$match.deletedAt = null
+      return
+    }
+    this.pipeline().unshift({ $match: { deletedAt: null } })
+  })
+
+  // Method: Move to trash
+  schema.methods.softDelete = function (deletedBy, deletedAt = new Date()) {
+    this.deletedAt = deletedAt
+    this.deletedBy = deletedBy
+    return this.save({ validateBeforeSave: false })
+  }
+
+  // Method: Restore from trash
+  schema.methods.restore = function () {
+    this.deletedAt = null
+    this.deletedBy = undefined
+    return this.save({ validateBeforeSave: false })
+  }
+
+  // Static: Permanently remove documents deleted before a date
+  schema.statics.purgeDeleted = function (before) {
+    return this.deleteMany({ deletedAt: { $ne: null, $lte: before } })
+  }
+}
+
+export default softDeletePlugin
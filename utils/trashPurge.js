@@ -0,0 +1,52 @@
+// ============================================
+// TRASH PURGE (SCHEDULED)
+// ============================================
+
+import User from "../models/User.model.js"
+import Event from "../models/Event.model.js"
+import Expense from "../models/Expense.model.js"
+import ClubSettings from "../models/ClubSettings.model.js"
+import { createAuditLog } from "../middleware/audit.middleware.js"
+import { logger } from "./logger.js"
+
+const PURGE_INTERVAL = 24 * 60 * 60 * 1000
+
+// Permanently remove trashed documents older than the club's retention period
+export const purgeTrash = async () => {
+  const settings = await ClubSettings.getSettings()
+  const retentionDays = settings.trash?.retentionDays || 30
+  const before = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000)
+
+  // Expenses first so a purged event never leaves trashed expenses pointing at it
+  const expenses = await Expense.purgeDeleted(before)
+  const events = await Event.purgeDeleted(before)
+  const members = await User.purgeDeleted(before)
+
+  const purged = {
+    expenses: expenses.deletedCount,
+    events: events.deletedCount,
+    members: members.deletedCount,
+  }
+
+  if (purged.expenses + purged.events + purged.members > 0) {
+    logger.info(`Trash purged: ${JSON.stringify(purged)}`)
+
+    // Audit log (system action, no user)
+    await createAuditLog({
+      action: "trash_purge",
+      description: `Trash older than ${retentionDays} days purged`,
+      changes: purged,
+    })
+  }
+
+  return purged
+}
+
+// Run the purge at startup and then once a day
+export const scheduleTrashPurge = () => {
+  const run = () => purgeTrash().catch((error) => logger.error(`Trash purge error: ${error.message}`))
+  run()
+  setInterval(run, PURGE_INTERVAL).unref()
+}
+
+export default { purgeTrash, scheduleTrashPurge }